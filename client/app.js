@@ -4,9 +4,21 @@
 
 const API = '';
 let token = localStorage.getItem('iq_token');
+let refreshToken = localStorage.getItem('iq_refresh');
+let refreshPromise = null; // Shared in-flight refresh so parallel 401s refresh once
 let currentUser = null;
 let researchData = null;
+let currentSessionId = null; // Saved research session the dashboard is showing
 let isResearching = false; // Lock to prevent double-triggering
+let activeJobId = null; // Research job the dashboard is following
+let jobStream = null; // AbortController for that job's event stream
+let progressSteps = {}; // Progress step elements by step name
+let researchDocuments = []; // Uploaded documents the next research run will read
+let pendingReview = null; // { jobId, videos } while the followed job waits for a video review
+let identityCandidates = []; // People the typed guest name could be, while the picker is open
+let pendingResetToken = null; // From the emailed reset link
+let workspaceList = [];
+let currentWorkspace = null; // Workspace every request acts on (sent as X-Workspace-Id)
 
 // ── Initialization ─────────────────────────────────────
 
@@ -20,6 +32,27 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (rememberCheckbox) rememberCheckbox.checked = true;
     }
 
+    // Links from emails: /?reset=<token> and /?verify=<token>
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('invite')) {
+        // Accepted once signed in (see loadWorkspaces)
+        sessionStorage.setItem('iq_pending_invite', params.get('invite'));
+        if (!token) showSuccess('Sign in or create an account with the invited email to join the workspace');
+    }
+    if (params.has('reset') || params.has('verify') || params.has('invite')) {
+        window.history.replaceState({}, '', window.location.pathname);
+    }
+    if (params.has('reset')) {
+        pendingResetToken = params.get('reset');
+        navigateTo('auth');
+        showAuthView('reset');
+        return;
+    }
+    if (params.has('verify')) {
+        await handleVerifyEmail(params.get('verify'));
+        if (!token) return;
+    }
+
     if (token) {
         const ok = await loadProfile();
         if (ok) {
@@ -68,11 +101,21 @@ function navigateTo(pageId) {
             `Hey <span>${escapeHtml(name)}</span> 👋 Ready to craft some killer questions?`;
     }
 
+    // Carry on following a research job left running (reload, workspace switch)
+    if (pageId === 'dashboard' && currentUser) {
+        loadResearchSources();
+        resumeResearchJob();
+    }
+
     // Load settings when navigating to settings page
     if (pageId === 'settings' && currentUser) {
         loadSettingsPage();
     }
 
+    if (pageId === 'history' && currentUser) {
+        loadHistoryPage();
+    }
+
     if (window.lucide) lucide.createIcons();
 }
 
@@ -94,9 +137,9 @@ async function handleLogin(e) {
     setLoading(btn, true);
     try {
         const res = await apiFetch('/api/auth/login', 'POST', { email, password });
-        token = res.token;
-        localStorage.setItem('iq_token', token);
+        storeTokens(res);
         currentUser = res.user;
+        await loadWorkspaces();
 
         // Remember me
         const rememberCheckbox = document.getElementById('rememberMe');
@@ -131,9 +174,9 @@ async function handleRegister(e) {
     setLoading(btn, true);
     try {
         const res = await apiFetch('/api/auth/register', 'POST', { email, password, name });
-        token = res.token;
-        localStorage.setItem('iq_token', token);
+        storeTokens(res);
         currentUser = res.user;
+        await loadWorkspaces();
         navigateTo('setup');
         prefillSetup();
     } catch (err) {
@@ -143,12 +186,144 @@ async function handleRegister(e) {
     }
 }
 
-// ── Logout ────────────────────────────────────────────
+// ── Password Reset & Email Verification ────────────────
 
-function logout() {
+async function handleForgotPassword(e) {
+    e.preventDefault();
+    const email = document.getElementById('forgotEmail').value.trim();
+    const btn = document.getElementById('forgotBtn');
+
+    setLoading(btn, true);
+    try {
+        const res = await apiFetch('/api/auth/forgot-password', 'POST', { email });
+        showSuccess(res.message);
+        showAuthView('login');
+    } catch (err) {
+        showError(err.message);
+    } finally {
+        setLoading(btn, false);
+    }
+}
+
+async function handleResetPassword(e) {
+    e.preventDefault();
+    const password = document.getElementById('resetPassword').value;
+    const btn = document.getElementById('resetBtn');
+
+    setLoading(btn, true);
+    try {
+        await apiFetch('/api/auth/reset-password', 'POST', { token: pendingResetToken, password });
+        pendingResetToken = null;
+        clearTokens();
+        showSuccess('Password updated — sign in with your new password');
+        showAuthView('login');
+    } catch (err) {
+        showError(err.message);
+    } finally {
+        setLoading(btn, false);
+    }
+}
+
+// Signed-in users go straight on to the app; others see the result on the auth page
+async function handleVerifyEmail(verifyToken) {
+    try {
+        await apiFetch('/api/auth/verify-email', 'POST', { token: verifyToken });
+        if (token) {
+            showSuccess('Email verified!');
+            return;
+        }
+        document.getElementById('verifyTitle').textContent = 'Email verified';
+        document.getElementById('verifyMessage').textContent = 'Thanks! You can now sign in.';
+    } catch (err) {
+        if (token) {
+            showError(err.message);
+            return;
+        }
+        document.getElementById('verifyTitle').textContent = 'Verification failed';
+        document.getElementById('verifyMessage').textContent = err.message;
+    }
+    navigateTo('auth');
+    showAuthView('verify');
+}
+
+async function resendVerification() {
+    try {
+        const res = await apiFetch('/api/auth/resend-verification', 'POST');
+        showSuccess(res.message);
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+function renderEmailVerifyStatus() {
+    const el = document.getElementById('emailVerifyStatus');
+    if (!el || !currentUser) return;
+    if (currentUser.emailVerified) {
+        el.innerHTML = `<span class="key-active"><i data-lucide="check-circle" class="icon-xs"></i> ${escapeHtml(currentUser.email)} verified</span>`;
+    } else {
+        el.innerHTML = `<span class="key-inactive"><i data-lucide="alert-circle" class="icon-xs"></i> ${escapeHtml(currentUser.email)} not verified</span>
+          <a href="#" class="key-help-link" onclick="resendVerification(); return false;">Resend verification email</a>`;
+    }
+    if (window.lucide) lucide.createIcons();
+}
+
+// ── Tokens & Logout ───────────────────────────────────
+
+function storeTokens(res) {
+    token = res.token;
+    refreshToken = res.refreshToken || null;
+    localStorage.setItem('iq_token', token);
+    if (refreshToken) localStorage.setItem('iq_refresh', refreshToken);
+    else localStorage.removeItem('iq_refresh');
+}
+
+function clearTokens() {
     token = null;
-    currentUser = null;
+    refreshToken = null;
     localStorage.removeItem('iq_token');
+    localStorage.removeItem('iq_refresh');
+}
+
+// Exchange the refresh token for a new token pair; false if the session is gone
+async function refreshAccessToken() {
+    if (!refreshToken) return false;
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            try {
+                const res = await fetch(API + '/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken }),
+                });
+                if (!res.ok) return false;
+                storeTokens(await res.json());
+                return true;
+            } catch {
+                return false;
+            } finally {
+                refreshPromise = null;
+            }
+        })();
+    }
+    return refreshPromise;
+}
+
+function logout() {
+    // Revoke this device's session server-side; don't block the UI on it
+    if (refreshToken) {
+        fetch(API + '/api/auth/logout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken }),
+        }).catch(() => { });
+    }
+    stopFollowingJob();
+    clearResearchDocuments();
+    localStorage.removeItem('iq_research_job');
+    clearTokens();
+    currentUser = null;
+    currentWorkspace = null;
+    workspaceList = [];
     navigateTo('auth');
     showAuthView('login');
 }
@@ -158,8 +333,11 @@ function logout() {
 function prefillSetup() {
     if (currentUser) {
         document.getElementById('setupName').value = currentUser.name || '';
-        document.getElementById('setupChannel').value = currentUser.channelDescription || '';
-        document.getElementById('setupStyle').value = currentUser.interviewerStyle || '';
+    }
+    const personal = personalWorkspace();
+    if (personal) {
+        document.getElementById('setupChannel').value = personal.channelDescription || '';
+        document.getElementById('setupStyle').value = personal.interviewerStyle || '';
     }
 }
 
@@ -169,15 +347,16 @@ async function handleProfileSetup(e) {
     setLoading(btn, true);
 
     try {
-        const updates = {
+        // Name is the user's; the show description and style belong to their personal workspace
+        const res = await apiFetch('/api/profile', 'PUT', {
             name: document.getElementById('setupName').value.trim(),
-            channelDescription: document.getElementById('setupChannel').value.trim(),
-            interviewerStyle: document.getElementById('setupStyle').value.trim(),
             profileComplete: true,
-        };
-
-        const res = await apiFetch('/api/profile', 'PUT', updates);
+        });
         currentUser = res.user;
+        await saveWorkspace(personalWorkspace(), {
+            channelDescription: document.getElementById('setupChannel').value.trim(),
+            interviewerStyle: document.getElementById('setupStyle').value.trim(),
+        });
         navigateTo('dashboard');
     } catch (err) {
         showError(err.message);
@@ -192,27 +371,334 @@ async function loadProfile() {
     try {
         const res = await apiFetch('/api/profile', 'GET');
         currentUser = res.user;
+        await loadWorkspaces();
         return true;
     } catch {
         return false;
     }
 }
 
+// ── Workspaces ─────────────────────────────────────────
+
+async function loadWorkspaces() {
+    await acceptPendingInvite();
+
+    const res = await apiFetch('/api/workspaces', 'GET');
+    workspaceList = res.workspaces;
+    const savedId = localStorage.getItem('iq_workspace');
+    currentWorkspace = workspaceList.find(w => w.id === savedId) || workspaceList[0] || null;
+    renderWorkspaceSelect();
+}
+
+// Join the workspace from an emailed invitation link, then switch to it
+async function acceptPendingInvite() {
+    const inviteToken = sessionStorage.getItem('iq_pending_invite');
+    if (!inviteToken) return;
+    sessionStorage.removeItem('iq_pending_invite');
+    try {
+        const res = await apiFetch('/api/invitations/accept', 'POST', { token: inviteToken });
+        localStorage.setItem('iq_workspace', res.workspace.id);
+        showSuccess(`You joined ${res.workspace.name}`);
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+function renderWorkspaceSelect() {
+    const select = document.getElementById('workspaceSelect');
+    select.innerHTML = workspaceList.map(w =>
+        `<option value="${w.id}">${escapeHtml(w.name)}${w.role !== 'owner' ? ` (${w.role})` : ''}</option>`
+    ).join('');
+    if (currentWorkspace) {
+        select.value = currentWorkspace.id;
+        localStorage.setItem('iq_workspace', currentWorkspace.id);
+    }
+    // Hide actions the role can't perform (the server enforces them regardless)
+    document.body.dataset.role = currentWorkspace ? currentWorkspace.role : '';
+}
+
+function switchWorkspace(workspaceId) {
+    currentWorkspace = workspaceList.find(w => w.id === workspaceId) || currentWorkspace;
+    renderWorkspaceSelect();
+
+    // Research on screen belongs to the previous workspace; a running job carries on
+    // server-side and is picked up again when switching back
+    stopFollowingJob();
+    clearResearchDocuments();
+    researchData = null;
+    currentSessionId = null;
+    document.getElementById('researchResults').style.display = 'none';
+
+    const active = document.querySelector('.page.active');
+    const pageId = active ? active.id.replace('page-', '') : 'dashboard';
+    navigateTo(['history', 'settings'].includes(pageId) ? pageId : 'dashboard');
+}
+
+function personalWorkspace() {
+    return workspaceList.find(w => w.personal) || null;
+}
+
+function isOwner() {
+    return !!currentWorkspace && currentWorkspace.role === 'owner';
+}
+
+// Viewers can't change workspace details, so their saves skip it
+async function saveWorkspace(workspace, changes) {
+    if (!workspace || workspace.role === 'viewer') return;
+    const res = await apiFetch(`/api/workspaces/${workspace.id}`, 'PATCH', changes);
+    replaceWorkspace(res.workspace);
+}
+
+function replaceWorkspace(workspace) {
+    workspaceList = workspaceList.map(w => (w.id === workspace.id ? workspace : w));
+    if (currentWorkspace && currentWorkspace.id === workspace.id) currentWorkspace = workspace;
+    renderWorkspaceSelect();
+}
+
 // ── Research Guest ─────────────────────────────────────
+// Research runs as a server-side job; the dashboard follows its event stream and
+// remembers the job so a reload (or switching back to the workspace) picks it up.
+// Before the job starts, the name is looked up and the user picks which person
+// they mean; `identity` is that pick (null = research the name as typed).
 
-async function researchGuest() {
+async function researchGuest(identity) {
     // ── Prevent double-triggering ──
     if (isResearching) return;
 
     const guestName = document.getElementById('guestName').value.trim();
     if (!guestName) { showError("Please enter the guest's name"); return; }
 
+    const contextEl = document.getElementById('guestContext');
+    const context = contextEl ? contextEl.value.trim() : '';
+    const forceRefreshEl = document.getElementById('forceRefresh');
+    const forceRefresh = forceRefreshEl ? forceRefreshEl.checked : false;
+    const reviewVideos = document.getElementById('reviewVideos').checked;
+    // No checkboxes (the list failed to load) means the server's default sources
+    const sourceInputs = [...document.querySelectorAll('#sourcePicker input')];
+    const sources = sourceInputs.length > 0 ? sourceInputs.filter(el => el.checked).map(el => el.value) : undefined;
+    if (sources && sources.length === 0) { showError('Pick at least one source to research'); return; }
+
     isResearching = true;
+    const btn = document.getElementById('researchBtn');
+    setLoading(btn, true);
+
+    if (identity === undefined) {
+        hideIdentityPicker();
+        const candidates = await findGuestCandidates(guestName);
+        if (candidates.length > 0) {
+            showIdentityPicker(candidates);
+            isResearching = false;
+            setLoading(btn, false);
+            return;
+        }
+        identity = null;
+    }
+
+    let job;
+    try {
+        const documentIds = researchDocuments.map(d => d.id);
+        const res = await apiFetch('/api/jobs', 'POST', { guestName, context, forceRefresh, sources, documentIds, reviewVideos, identity });
+        job = res.job;
+        clearResearchDocuments(); // Now attached to this run
+        localStorage.setItem('iq_research_job', JSON.stringify({ id: job.id, workspaceId: currentWorkspace.id }));
+    } catch (err) {
+        showError(err.message);
+        isResearching = false;
+        setLoading(btn, false);
+        return;
+    }
+    await runResearchJob(job);
+}
+
+// ── Refresh Research ──
+// A returning guest: the job looks only for what was published since the saved
+// research, adds it to the dossier and updates the session in place.
+
+async function refreshResearch() {
+    if (isResearching || !currentSessionId) return;
+
+    const reviewVideos = document.getElementById('reviewVideos').checked;
+    const sourceInputs = [...document.querySelectorAll('#sourcePicker input')];
+    const sources = sourceInputs.length > 0 ? sourceInputs.filter(el => el.checked).map(el => el.value) : undefined;
+    if (sources && sources.length === 0) { showError('Pick at least one source to research'); return; }
+
+    isResearching = true;
+    const btn = document.getElementById('refreshResearchBtn');
+    setLoading(btn, true);
+
+    let job;
+    try {
+        const res = await apiFetch('/api/jobs', 'POST', { refreshSessionId: currentSessionId, sources, reviewVideos });
+        job = res.job;
+        localStorage.setItem('iq_research_job', JSON.stringify({ id: job.id, workspaceId: currentWorkspace.id }));
+    } catch (err) {
+        showError(err.message);
+        isResearching = false;
+        return;
+    } finally {
+        setLoading(btn, false);
+    }
+    await runResearchJob(job);
+}
+
+// ── Guest Disambiguation ──
+
+// A failed lookup (Wikipedia down, rate limit) just means researching the name as typed
+async function findGuestCandidates(guestName) {
+    try {
+        const res = await apiFetch(`/api/research/candidates?name=${encodeURIComponent(guestName)}`, 'GET');
+        return res.candidates || [];
+    } catch (err) {
+        console.warn('Guest lookup failed:', err.message);
+        return [];
+    }
+}
+
+function showIdentityPicker(candidates) {
+    identityCandidates = candidates;
+    const list = document.getElementById('identityList');
+    list.innerHTML = candidates.map((c, i) => `
+    <button type="button" class="identity-card" onclick="pickIdentity(${i})">
+      ${c.thumbnail
+            ? `<img class="identity-thumb" src="${escapeHtml(safeLink(c.thumbnail))}" alt="" loading="lazy" onerror="this.style.visibility='hidden'">`
+            : '<div class="identity-thumb icon-thumb"><i data-lucide="user"></i></div>'}
+      <div class="interview-info">
+        <div class="interview-title">${escapeHtml(c.name)}</div>
+        <div class="interview-channel">${escapeHtml(c.description || c.wikipediaTitle)}</div>
+        ${c.youtubeChannelId ? `<div class="identity-channel"><i data-lucide="youtube" class="icon-sm"></i> ${escapeHtml(c.youtubeChannelTitle || 'Official channel')}</div>` : ''}
+      </div>
+    </button>
+  `).join('');
+    document.getElementById('identityPicker').style.display = 'block';
+    if (window.lucide) lucide.createIcons();
+}
+
+function hideIdentityPicker() {
+    identityCandidates = [];
+    document.getElementById('identityPicker').style.display = 'none';
+    document.getElementById('identityList').innerHTML = '';
+}
+
+// index into identityCandidates, or -1 to research the name as typed
+function pickIdentity(index) {
+    const identity = identityCandidates[index] || null;
+    hideIdentityPicker();
+    researchGuest(identity);
+}
+
+// Source checkboxes come from the server's provider registry. Sources the workspace
+// has no API key for are disabled; the user's other choices survive a re-render.
+async function loadResearchSources() {
+    const picker = document.getElementById('sourcePicker');
+    try {
+        const res = await apiFetch('/api/research/sources', 'GET');
+        const checked = new Set([...picker.querySelectorAll('input:checked')].map(el => el.value));
+        const fresh = picker.childElementCount === 0;
+
+        // Uploaded documents are picked with the file control below the sources
+        picker.innerHTML = res.sources.filter(source => source.name !== 'documents').map(source => {
+            const on = source.available && (fresh ? source.defaultEnabled : checked.has(source.name));
+            return `
+              <label class="checkbox-label${source.available ? '' : ' unavailable'}" title="${escapeHtml(source.unavailableReason || source.description)}">
+                <input type="checkbox" value="${escapeHtml(source.name)}"${on ? ' checked' : ''}${source.available ? '' : ' disabled'}>
+                <span>${escapeHtml(source.label)}</span>
+              </label>
+            `;
+        }).join('');
+    } catch (err) {
+        console.error('Failed to load research sources:', err);
+    }
+}
+
+// ── Research Documents ─────────────────────────────────
+
+async function uploadDocuments(input) {
+    const files = [...input.files];
+    input.value = '';
+    const btn = document.getElementById('attachDocumentsBtn');
+    btn.disabled = true;
+
+    for (const file of files) {
+        try {
+            const res = await authFetch(`/api/documents?name=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': file.type || 'application/octet-stream' },
+                body: file,
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(requestErrorMessage(res, data));
+            researchDocuments.push(data.document);
+            if (data.truncated) showError(`${file.name} is very long — only the first part will be read`);
+        } catch (err) {
+            showError(err.message);
+        }
+        renderResearchDocuments();
+    }
+    btn.disabled = false;
+}
 
+function renderResearchDocuments() {
+    const list = document.getElementById('documentList');
+    list.innerHTML = '';
+    researchDocuments.forEach(doc => {
+        const chip = document.createElement('span');
+        chip.className = 'document-chip';
+        chip.innerHTML = `<i data-lucide="file-text" class="icon-xs"></i> ${escapeHtml(doc.name)}
+          <button type="button" class="document-remove" title="Remove"><i data-lucide="x" class="icon-xs"></i></button>`;
+        chip.querySelector('button').addEventListener('click', () => removeResearchDocument(doc));
+        list.appendChild(chip);
+    });
+    if (window.lucide) lucide.createIcons();
+}
+
+async function removeResearchDocument(doc) {
+    researchDocuments = researchDocuments.filter(d => d.id !== doc.id);
+    renderResearchDocuments();
+    // Unused uploads are cleaned up server-side anyway; this just frees them now
+    apiFetch(`/api/documents/${doc.id}`, 'DELETE').catch(() => { });
+}
+
+function clearResearchDocuments() {
+    researchDocuments = [];
+    renderResearchDocuments();
+}
+
+// Pick up the job this browser last started in the current workspace
+async function resumeResearchJob() {
+    const saved = JSON.parse(localStorage.getItem('iq_research_job') || 'null');
+    if (!saved || isResearching || !currentWorkspace || saved.workspaceId !== currentWorkspace.id) return;
+
+    try {
+        const { job } = await apiFetch(`/api/jobs/${saved.id}`, 'GET');
+        if (job.status === 'running') {
+            isResearching = true;
+            document.getElementById('guestName').value = job.guestName;
+            document.getElementById('guestContext').value = job.context || '';
+            await runResearchJob(job);
+            return;
+        }
+
+        // Finished while the page was closed
+        localStorage.removeItem('iq_research_job');
+        if (job.status === 'completed' && job.sessionId) {
+            showSuccess(`Research on ${job.guestName} is ready`);
+            await openSession(job.sessionId);
+        } else if (job.status === 'failed') {
+            showError(job.error || 'Research failed');
+        }
+    } catch {
+        localStorage.removeItem('iq_research_job');
+    }
+}
+
+async function runResearchJob(job) {
     const btn = document.getElementById('researchBtn');
     const nameInput = document.getElementById('guestName');
     const contextInput = document.getElementById('guestContext');
 
+    activeJobId = job.id;
+    currentSessionId = null;
+
     // Lock all inputs during research
     setLoading(btn, true);
     if (nameInput) { nameInput.disabled = true; nameInput.style.opacity = '0.5'; }
@@ -220,151 +706,331 @@ async function researchGuest() {
 
     // Show progress panel, hide results
     const progressEl = document.getElementById('researchProgress');
-    const stepsEl = document.getElementById('progressSteps');
-    const titleEl = document.getElementById('progressTitle');
     document.getElementById('researchResults').style.display = 'none';
     progressEl.style.display = 'block';
-    stepsEl.innerHTML = '';
-    titleEl.textContent = `Researching ${guestName}...`;
+    document.getElementById('progressSteps').innerHTML = '';
+    document.getElementById('progressTitle').textContent = job.refreshSessionId
+        ? `Checking what's new on ${job.guestName}...`
+        : `Researching ${job.guestName}...`;
+    document.getElementById('cancelResearchBtn').disabled = false;
+    progressSteps = {};
     progressEl.scrollIntoView({ behavior: 'smooth' });
 
-    // Track step elements by step name
-    const stepElements = {};
-
-    function addOrUpdateStep(data) {
-        const { step, status, message } = data;
-        if (step === 'start' || step === 'complete') {
-            // Update title only
-            if (step === 'complete') titleEl.textContent = 'Research complete!';
-            return;
-        }
-
-        if (stepElements[step]) {
-            // Update existing step
-            const el = stepElements[step];
-            const iconEl = el.querySelector('.step-icon');
-            const msgEl = el.querySelector('.step-message');
-            msgEl.textContent = message;
-
-            if (status === 'done') {
-                el.className = 'progress-step done';
-                iconEl.innerHTML = '<span class="step-check">✓</span>';
-            } else if (status === 'error') {
-                el.className = 'progress-step';
-                iconEl.innerHTML = '<span class="step-error">✗</span>';
-            }
+    try {
+        const event = await followResearchJob(job.id);
+        if (event) localStorage.removeItem('iq_research_job');
+
+        if (!event) {
+            // Stopped following (workspace switch, sign-out) — the job keeps running
+            progressEl.style.display = 'none';
+        } else if (event.type === 'result') {
+            researchData = event.data;
+            currentSessionId = event.sessionId;
+            // Small delay to let the user see "complete"
+            setTimeout(() => {
+                progressEl.style.display = 'none';
+                if (researchData) displayResearch(researchData);
+            }, 800);
+        } else if (event.type === 'cancelled') {
+            progressEl.style.display = 'none';
+            showSuccess('Research cancelled');
         } else {
-            // Create new step
-            const el = document.createElement('div');
-            el.className = `progress-step ${status === 'active' ? 'active' : 'done'}`;
-
-            let iconHtml = '<div class="step-spinner"></div>';
-            if (status === 'done') iconHtml = '<span class="step-check">✓</span>';
-            if (status === 'error') iconHtml = '<span class="step-error">✗</span>';
-
-            el.innerHTML = `
-                <div class="step-icon">${iconHtml}</div>
-                <span class="step-message">${escapeHtml(message)}</span>
-            `;
-            stepsEl.appendChild(el);
-            stepElements[step] = el;
+            // Check for quota errors and show helpful message
+            const msg = event.message || 'Research failed';
+            showError(msg.replace('QUOTA_EXHAUSTED: ', ''));
+            progressEl.style.display = 'none';
         }
+    } catch (err) {
+        showError(err.message);
+        progressEl.style.display = 'none';
+    } finally {
+        // Unlock all inputs after research completes
+        hideVideoReview();
+        activeJobId = null;
+        isResearching = false;
+        setLoading(btn, false);
+        if (nameInput) { nameInput.disabled = false; nameInput.style.opacity = '1'; }
+        if (contextInput) { contextInput.disabled = false; contextInput.style.opacity = '1'; }
     }
+}
 
-    try {
-        const contextEl = document.getElementById('guestContext');
-        const context = contextEl ? contextEl.value.trim() : '';
-
-        const response = await fetch(API + '/api/research-guest', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`,
-            },
-            body: JSON.stringify({ guestName, context }),
-        });
+// Read the job's SSE stream until its final event (result, error or cancelled),
+// reconnecting with Last-Event-ID when the connection drops. Resolves to the final
+// event, or null once stopFollowingJob() is called.
+async function followResearchJob(jobId) {
+    jobStream = new AbortController();
+    const { signal } = jobStream;
+    let lastEventId = 0;
+    let failures = 0;
+
+    while (!signal.aborted) {
+        try {
+            const response = await authFetch(`/api/jobs/${jobId}/events`, {
+                headers: { 'Last-Event-ID': String(lastEventId) },
+                signal,
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                const err = new Error(requestErrorMessage(response, data));
+                err.permanent = response.status < 500;
+                throw err;
+            }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-
-            // Parse SSE events (data: {...}\n\n)
-            const parts = buffer.split('\n\n');
-            buffer = parts.pop(); // Keep incomplete chunk
-
-            for (const part of parts) {
-                const lines = part.split('\n');
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        try {
-                            const event = JSON.parse(line.slice(6));
-                            if (event.type === 'progress') {
-                                addOrUpdateStep(event);
-                            } else if (event.type === 'result') {
-                                researchData = event.data;
-                                // Small delay to let the user see "complete"
-                                setTimeout(() => {
-                                    progressEl.style.display = 'none';
-                                    displayResearch(researchData);
-                                }, 800);
-                            } else if (event.type === 'error') {
-                                // Check for quota errors and show helpful message
-                                const msg = event.message || '';
-                                if (msg.includes('QUOTA_EXHAUSTED') || msg.includes('quota')) {
-                                    showError(msg.replace('QUOTA_EXHAUSTED: ', ''));
-                                } else {
-                                    showError(msg);
-                                }
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+
+                // Parse SSE events (id: n\ndata: {...}\n\n)
+                const parts = buffer.split('\n\n');
+                buffer = parts.pop(); // Keep incomplete chunk
+
+                for (const part of parts) {
+                    let id = null;
+                    let event = null;
+                    for (const line of part.split('\n')) {
+                        if (line.startsWith('id: ')) id = parseInt(line.slice(4));
+                        if (line.startsWith('data: ')) {
+                            try {
+                                event = JSON.parse(line.slice(6));
+                            } catch (parseErr) {
+                                console.warn('SSE parse error:', parseErr);
                             }
-                        } catch (parseErr) {
-                            console.warn('SSE parse error:', parseErr);
                         }
                     }
+                    if (!event) continue;
+                    if (id) lastEventId = id;
+                    failures = 0;
+
+                    if (event.type === 'review') showVideoReview(jobId, event.videos);
+                    else if (event.type === 'progress') {
+                        renderProgressStep(event);
+                        if (event.step === 'review' && event.status === 'done') hideVideoReview();
+                    } else return event;
                 }
             }
+        } catch (err) {
+            if (signal.aborted) return null;
+            if (err.permanent || ++failures > 5) throw err;
         }
+
+        // Stream ended before the job did (network blip, server restart): reconnect
+        await new Promise(r => setTimeout(r, 2000 * Math.max(1, failures)));
+    }
+    return null;
+}
+
+// Stop watching the current job without cancelling it
+function stopFollowingJob() {
+    if (jobStream) jobStream.abort();
+    jobStream = null;
+}
+
+async function cancelResearch() {
+    if (!activeJobId) return;
+    const btn = document.getElementById('cancelResearchBtn');
+    btn.disabled = true;
+    try {
+        // The stream delivers the "cancelled" event once the server has stopped
+        await apiFetch(`/api/jobs/${activeJobId}/cancel`, 'POST');
+        document.getElementById('progressTitle').textContent = 'Cancelling...';
+    } catch (err) {
+        showError(err.message);
+        btn.disabled = false;
+    }
+}
+
+// ── Video Review ──
+
+function showVideoReview(jobId, videos) {
+    pendingReview = { jobId, videos };
+    const list = document.getElementById('videoReviewList');
+    list.innerHTML = '';
+    videos.forEach(video => {
+        const row = document.createElement('label');
+        row.className = 'video-review-item';
+        row.dataset.videoId = video.videoId;
+        row.innerHTML = `
+          <input type="checkbox" checked>
+          <img class="video-review-thumb" src="${escapeHtml(video.thumbnail || '')}" alt="" loading="lazy" onerror="this.style.visibility='hidden'">
+          <div class="interview-info">
+            <a class="interview-title" href="https://youtube.com/watch?v=${encodeURIComponent(video.videoId)}" target="_blank" rel="noopener">${escapeHtml(video.title)}</a>
+            <div class="interview-channel">${escapeHtml(video.channelTitle)}${video.publishedAt ? ` · ${new Date(video.publishedAt).toLocaleDateString()}` : ''}</div>
+            ${relevanceBadge(video.relevance)}
+          </div>
+          <button type="button" class="video-pin editor-only" title="Pin: always analyze this video"><i data-lucide="pin" class="icon-sm"></i></button>
+        `;
+        const checkbox = row.querySelector('input');
+        checkbox.addEventListener('change', () => {
+            if (!checkbox.checked) row.classList.remove('pinned');
+            updateVideoReviewCount();
+        });
+        row.querySelector('.video-pin').addEventListener('click', (e) => {
+            e.preventDefault();
+            row.classList.toggle('pinned');
+            if (row.classList.contains('pinned')) checkbox.checked = true;
+            updateVideoReviewCount();
+        });
+        list.appendChild(row);
+    });
+
+    document.getElementById('extraVideoUrls').value = '';
+    document.getElementById('videoReview').style.display = 'block';
+    updateVideoReviewCount();
+    if (window.lucide) lucide.createIcons();
+}
+
+function updateVideoReviewCount() {
+    const rows = [...document.querySelectorAll('#videoReviewList .video-review-item')];
+    const kept = rows.filter(row => row.querySelector('input').checked).length;
+    const pinned = rows.filter(row => row.classList.contains('pinned')).length;
+    document.getElementById('videoReviewCount').textContent =
+        `${kept} of ${rows.length} videos selected${pinned ? ` · ${pinned} pinned` : ''}`;
+}
+
+function hideVideoReview() {
+    pendingReview = null;
+    document.getElementById('videoReview').style.display = 'none';
+    document.getElementById('videoReviewList').innerHTML = '';
+}
+
+async function submitVideoReview() {
+    if (!pendingReview) return;
+    const btn = document.getElementById('submitReviewBtn');
+    const rows = [...document.querySelectorAll('#videoReviewList .video-review-item')];
+    const review = {
+        excludedVideoIds: rows.filter(row => !row.querySelector('input').checked).map(row => row.dataset.videoId),
+        pinnedVideoIds: rows.filter(row => row.classList.contains('pinned')).map(row => row.dataset.videoId),
+        extraUrls: document.getElementById('extraVideoUrls').value,
+    };
+
+    setLoading(btn, true);
+    try {
+        // The stream's "review done" progress step hides the panel
+        await apiFetch(`/api/jobs/${pendingReview.jobId}/review`, 'POST', review);
     } catch (err) {
         showError(err.message);
-        progressEl.style.display = 'none';
     } finally {
-        // Unlock all inputs after research completes
-        isResearching = false;
         setLoading(btn, false);
-        if (nameInput) { nameInput.disabled = false; nameInput.style.opacity = '1'; }
-        if (contextInput) { contextInput.disabled = false; contextInput.style.opacity = '1'; }
     }
 }
 
+// Add or update a step in the progress panel
+function renderProgressStep(data) {
+    const { step, status, message } = data;
+    const stepsEl = document.getElementById('progressSteps');
+    if (step === 'start' || step === 'complete') {
+        // Update title only
+        if (step === 'complete') document.getElementById('progressTitle').textContent = 'Research complete!';
+        return;
+    }
+
+    if (progressSteps[step]) {
+        // Update existing step
+        const el = progressSteps[step];
+        const iconEl = el.querySelector('.step-icon');
+        const msgEl = el.querySelector('.step-message');
+        msgEl.textContent = message;
+
+        if (status === 'done') {
+            el.className = 'progress-step done';
+            iconEl.innerHTML = '<span class="step-check">✓</span>';
+        } else if (status === 'error') {
+            el.className = 'progress-step';
+            iconEl.innerHTML = '<span class="step-error">✗</span>';
+        }
+    } else {
+        // Create new step
+        const el = document.createElement('div');
+        el.className = `progress-step ${status === 'active' ? 'active' : 'done'}`;
+
+        let iconHtml = '<div class="step-spinner"></div>';
+        if (status === 'done') iconHtml = '<span class="step-check">✓</span>';
+        if (status === 'error') iconHtml = '<span class="step-error">✗</span>';
+
+        el.innerHTML = `
+            <div class="step-icon">${iconHtml}</div>
+            <span class="step-message">${escapeHtml(message)}</span>
+        `;
+        stepsEl.appendChild(el);
+        progressSteps[step] = el;
+    }
+}
+
+// Podcast feeds are third-party content: only link out to http(s) addresses,
+// rebuilt by the URL parser so nothing but the address survives
+function safeLink(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : '#';
+    } catch {
+        return '#';
+    }
+}
+
+// Score from the server's relevance model; hover for the reasons behind it
+function relevanceBadge(relevance) {
+    if (!relevance) return '';
+    const score = Number(relevance.score) || 0;
+    const level = score >= 60 ? 'high' : score >= 30 ? 'medium' : 'low';
+    return `<span class="relevance-score ${level}" title="${escapeAttr((relevance.reasons || []).join('\n'))}">Relevance ${score}</span>`;
+}
+
 function displayResearch(data) {
     const transcriptNote = data.transcriptsAnalyzed > 0 ? ` · ${data.transcriptsAnalyzed} transcripts read` : '';
-    document.getElementById('interviewCount').textContent = `${data.totalInterviewsFound} videos found${transcriptNote}`;
+    const episodes = data.podcastEpisodes || [];
+    const docs = data.documents || [];
+    const podcastNote = episodes.length > 0 ? ` · ${episodes.length} podcast episodes` : '';
+    const documentNote = docs.length > 0 ? ` · ${docs.length} documents` : '';
+    const identityNote = data.identity ? ` · ${data.identity.name}${data.identity.description ? ` (${data.identity.description})` : ''}` : '';
+    document.getElementById('interviewCount').textContent = `${data.totalInterviewsFound} videos found${podcastNote}${documentNote}${transcriptNote}${identityNote}`;
 
     const list = document.getElementById('interviewsList');
     list.innerHTML = data.interviews.map(iv => `
-    <a class="interview-card" href="https://youtube.com/watch?v=${iv.videoId}" target="_blank" rel="noopener" style="text-decoration:none;color:inherit;">
-      <img class="interview-thumb" src="${iv.thumbnail || ''}" alt="" loading="lazy" onerror="this.style.display='none'">
+    <a class="interview-card" href="https://youtube.com/watch?v=${encodeURIComponent(iv.videoId)}" target="_blank" rel="noopener" style="text-decoration:none;color:inherit;">
+      <img class="interview-thumb" src="${iv.thumbnail ? escapeAttr(safeLink(iv.thumbnail)) : ''}" alt="" loading="lazy" onerror="this.style.display='none'">
       <div class="interview-info">
         <div class="interview-title">${escapeHtml(iv.title)}</div>
         <div class="interview-channel">${escapeHtml(iv.channelTitle)}</div>
+        ${relevanceBadge(iv.relevance)}
       </div>
     </a>
+  `).join('') + episodes.map(ep => `
+    <a class="interview-card" href="${escapeAttr(safeLink(ep.link || ep.audioUrl))}" target="_blank" rel="noopener" style="text-decoration:none;color:inherit;">
+      <div class="interview-thumb icon-thumb"><i data-lucide="podcast"></i></div>
+      <div class="interview-info">
+        <div class="interview-title">${escapeHtml(ep.title)}</div>
+        <div class="interview-channel">${escapeHtml(ep.show)}${ep.hasTranscript ? ' · Transcript' : ''}</div>
+      </div>
+    </a>
+  `).join('') + docs.map(doc => `
+    <div class="interview-card">
+      <div class="interview-thumb icon-thumb"><i data-lucide="file-text"></i></div>
+      <div class="interview-info">
+        <div class="interview-title">${escapeHtml(doc.name)}</div>
+        <div class="interview-channel">Uploaded document · ${escapeHtml(String(doc.type || '').toUpperCase())}</div>
+      </div>
+    </div>
   `).join('');
 
-    // Show video analysis if available
+    // Show video analysis if available (dossiers saved before the structured
+    // report have it as markdown text)
     const videoAnalysisEl = document.getElementById('videoAnalysis');
-    if (data.videoAnalysis && videoAnalysisEl) {
-        const analysisHtml = formatWebProfile(data.videoAnalysis);
+    if ((data.interviewReport || data.videoAnalysis) && videoAnalysisEl) {
+        const analysisHtml = data.interviewReport
+            ? renderInterviewReport(data.interviewReport)
+            : formatWebProfile(data.videoAnalysis);
+        const basis = data.interviewReport?.basis === 'metadata' ? 'From Titles' : `${data.transcriptsAnalyzed} Transcripts`;
         videoAnalysisEl.innerHTML = `
         <div class="web-profile-header">
           <i data-lucide="video" class="icon-sm"></i>
           <span>Interview Analysis</span>
-          <span class="badge-source">${data.transcriptsAnalyzed} Transcripts</span>
+          <span class="badge-source">${basis}</span>
         </div>
         <div class="web-profile-body">${analysisHtml}</div>
       `;
@@ -406,6 +1072,11 @@ function displayResearch(data) {
         webProfileEl.style.display = 'none';
     }
 
+    renderSavedQuestionSets(data.questionSets || []);
+
+    // Only a saved dossier can be refreshed
+    document.getElementById('refreshResearchBtn').style.display = currentSessionId ? '' : 'none';
+
     document.getElementById('researchResults').style.display = 'block';
     document.getElementById('researchResults').scrollIntoView({ behavior: 'smooth' });
 
@@ -416,6 +1087,9 @@ function formatWebProfile(text) {
     // Convert the plain-text profile into styled HTML sections
     return text
         .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+        // Timestamped quotes and questions: [▶ 12:03](https://www.youtube.com/watch?v=…&t=723s)
+        .replace(/\[([^\]]+)\]\((https:\/\/www\.youtube\.com\/watch\?v=[\w-]{11}&t=\d+s)\)/g,
+            '<a class="timestamp-link" href="$2" target="_blank" rel="noopener">$1</a>')
         .replace(/^### (.+)$/gm, '<h4 class="profile-section-title">$1</h4>')
         .replace(/^## (.+)$/gm, '<h3 class="profile-section-title">$1</h3>')
         .replace(/^# (.+)$/gm, '<h3 class="profile-section-title">$1</h3>')
@@ -426,6 +1100,148 @@ function formatWebProfile(text) {
         .replace(/\n/g, '<br>');
 }
 
+// ── Interview Report ───────────────────────────────────
+
+const DEPTH_LABELS = { deep: '🟢 Deep', partial: '🟡 Partial', brief: '🔴 Brief' };
+const DEPTHS = Object.keys(DEPTH_LABELS);
+
+function formatTimestamp(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// "▶ 12:03" links to the moment a quote or question comes from
+function timestampLinks(refs) {
+    return (refs || []).map(ref => `<a class="timestamp-link" href="https://www.youtube.com/watch?v=${encodeURIComponent(ref.videoId)}&t=${Math.floor(ref.start)}s" target="_blank" rel="noopener">▶ ${formatTimestamp(Math.floor(ref.start))}</a>`).join('');
+}
+
+function reportSources(sources) {
+    if (!sources || sources.length === 0) return '';
+    return `<div class="report-sources">${sources.map(escapeHtml).join(' · ')}</div>`;
+}
+
+// Where a dated statement came from, linked to the moment (or the episode)
+function timelineSource(statement) {
+    const source = statement.link
+        ? `<a href="${escapeAttr(safeLink(statement.link))}" target="_blank" rel="noopener">${escapeHtml(statement.source)}</a>`
+        : escapeHtml(statement.source);
+    return `<span class="report-sources">${source}${statement.date ? ` · ${escapeHtml(statement.date)}` : ''}</span>${timestampLinks(statement.refs)}`;
+}
+
+// Per recurring topic: the guest's stance year by year, and where it shifted
+function renderTimeline(timeline) {
+    if (!timeline || timeline.length === 0) return '';
+    const year = value => parseInt(value, 10) || '?';
+    return timeline.map(t => `
+        <div class="timeline-topic">
+          <h4 class="profile-section-title">${escapeHtml(t.topic)}${t.shifts.length > 0 ? ' <span class="timeline-shift-badge">Shifted</span>' : ''}</h4>
+          <ol class="timeline">
+            ${t.periods.map(p => `
+              <li class="timeline-period">
+                <span class="timeline-year">${year(p.year)}</span>
+                <div>
+                  <div>${escapeHtml(p.stance)}</div>
+                  ${p.evidence.map(e => `<div class="timeline-evidence">“${escapeHtml(e.position)}” ${timelineSource(e)}</div>`).join('')}
+                </div>
+              </li>
+            `).join('')}
+          </ol>
+          ${t.shifts.map(sh => `
+            <div class="timeline-shift">
+              <div><strong>${year(sh.fromYear)} → ${year(sh.toYear)}:</strong> ${escapeHtml(sh.summary)}</div>
+              <div class="timeline-evidence">${year(sh.fromYear)}: “${escapeHtml(sh.before.position)}” ${timelineSource(sh.before)}</div>
+              <div class="timeline-evidence">${year(sh.toYear)}: “${escapeHtml(sh.after.position)}” ${timelineSource(sh.after)}</div>
+              ${sh.question ? `<div class="report-ask">Ask: ${escapeHtml(sh.question)}</div>` : ''}
+            </div>
+          `).join('')}
+        </div>
+    `).join('');
+}
+
+function reportSection(title, items) {
+    if (!items) return '';
+    return `<h3 class="profile-section-title">${title}</h3>${items}`;
+}
+
+function reportList(entries, render) {
+    if (!entries || entries.length === 0) return '';
+    return `<ul class="report-list">${entries.map(entry => `<li>${render(entry)}</li>`).join('')}</ul>`;
+}
+
+// What a refresh added since the research before it
+function renderWhatsNew(whatsNew) {
+    if (!whatsNew) return '';
+    const since = whatsNew.since ? ` Since ${new Date(whatsNew.since).toLocaleDateString()}` : '';
+    return `
+        <div class="report-whats-new">
+          <h3 class="profile-section-title">✨ What's New${escapeHtml(since)}</h3>
+          ${whatsNew.summary ? `<p class="report-overview">${escapeHtml(whatsNew.summary)}</p>` : ''}
+          ${reportList(whatsNew.highlights, h => `${escapeHtml(h.point)}${timestampLinks(h.refs)}${reportSources(h.sources)}`)}
+        </div>
+    `;
+}
+
+// The structured interview report (server/analysis.js REPORT_SHAPE) as HTML
+function renderInterviewReport(report) {
+    const asked = (report.askedQuestions || []).map(group => `
+        <h4 class="profile-section-title">${escapeHtml(group.theme)}</h4>
+        ${reportList(group.questions, q => `
+            ${escapeHtml(q.question)}
+            ${Number(q.count) > 1 ? `<span class="report-count" title="Asked in ${Number(q.count)} interviews">🔁 ×${Number(q.count)}</span>` : ''}
+            ${timestampLinks(q.refs)}
+            ${reportSources([...q.askedBy, ...q.sources.filter(source => !q.askedBy.includes(source))])}
+        `)}
+    `).join('');
+
+    const topics = (report.topics || []).length === 0 ? '' : `<div class="report-topics">${report.topics.map(t => `
+        <div class="report-topic">
+          <div class="report-topic-header">
+            <strong>${escapeHtml(t.topic)}</strong>
+            <span class="report-depth ${DEPTHS.includes(t.depth) ? t.depth : ''}">${DEPTHS.includes(t.depth) ? DEPTH_LABELS[t.depth] : ''}</span>
+          </div>
+          ${reportList(t.points, point => escapeHtml(point))}
+          ${reportSources(t.sources)}
+        </div>
+    `).join('')}</div>`;
+
+    const quotes = (report.quotes || []).map(q => `
+        <blockquote class="report-quote">
+          “${escapeHtml(q.quote)}”
+          ${timestampLinks(q.refs)}
+          <div class="report-sources">${[q.context, q.language && q.language.toLowerCase() !== 'english' ? `translated from ${q.language}` : '', ...q.sources].filter(Boolean).map(escapeHtml).join(' · ')}</div>
+        </blockquote>
+    `).join('');
+
+    const contradictions = reportList(report.contradictions, c => `
+        <strong>${escapeHtml(c.topic)}</strong>
+        ${reportList(c.statements, st => `“${escapeHtml(st.statement)}”${st.source ? ` <span class="report-sources">${escapeHtml(st.source)}</span>` : ''}`)}
+        ${c.question ? `<div class="report-ask">Ask: ${escapeHtml(c.question)}</div>` : ''}
+    `);
+
+    const fresh = (report.freshQuestions || []).length === 0 ? '' : `<ol class="report-fresh">${report.freshQuestions.map(q => `
+        <li><strong>${escapeHtml(q.question)}</strong>${q.why ? `<div class="report-why">${escapeHtml(q.why)}</div>` : ''}</li>
+    `).join('')}</ol>`;
+
+    return [
+        renderWhatsNew(report.whatsNew),
+        report.overview ? `<p class="report-overview">${escapeHtml(report.overview)}</p>` : '',
+        reportSection('🎯 Questions Already Asked', asked),
+        reportSection('📊 Topics Covered', topics),
+        reportSection('🔥 Passionate Moments', reportList(report.passionateMoments, m =>
+            `${escapeHtml(m.moment)}${m.trigger ? `<div class="report-why">Trigger: ${escapeHtml(m.trigger)}</div>` : ''}${reportSources(m.sources)}`)),
+        reportSection('🚫 Topics Avoided or Deflected', reportList(report.deflections, d =>
+            `<strong>${escapeHtml(d.question)}</strong><div class="report-why">${escapeHtml(d.response)}</div>${reportSources(d.sources)}`)),
+        reportSection('🗣️ Speaking Style', reportList(report.style, st =>
+            `<strong>${escapeHtml(st.trait)}</strong>${st.evidence ? ` — ${escapeHtml(st.evidence)}` : ''}`)),
+        reportSection('💬 Key Quotes', quotes),
+        reportSection('🧩 Contradictions & Tensions', contradictions),
+        reportSection('⏳ How Their Views Evolved', renderTimeline(report.timeline)),
+        reportSection('🆕 Fresh Question Ideas', fresh),
+    ].join('');
+}
+
 // ── Generate Questions ─────────────────────────────────
 
 async function generateQuestions() {
@@ -439,11 +1255,12 @@ async function generateQuestions() {
     try {
         const res = await apiFetch('/api/generate-questions', 'POST', {
             interviewerName: currentUser.name,
-            interviewerStyle: currentUser.interviewerStyle,
-            channelDescription: currentUser.channelDescription,
+            interviewerStyle: currentWorkspace?.interviewerStyle || '',
+            channelDescription: currentWorkspace?.channelDescription || '',
             guestName,
             guestContext,
             pastInterviewsSummary: researchData?.topicsSummary || '',
+            interviewReport: researchData?.interviewReport || null,
             questionCount,
         });
 
@@ -453,6 +1270,7 @@ async function generateQuestions() {
         }
         displayQuestions(res.data, currentUser.name, guestName);
         navigateTo('results');
+        saveQuestionSet(res.data, questionCount, guestContext);
     } catch (err) {
         showError(err.message);
     } finally {
@@ -507,21 +1325,151 @@ function displayQuestions(data, interviewerName, guestName) {
         `;
             });
 
-            block.innerHTML = html;
+            block.innerHTML = html;
+
+            // Attach event listeners
+            const cards = block.querySelectorAll('.question-card');
+            category.questions.forEach((q, i) => {
+                const btn = cards[i].querySelector('.btn-copy');
+                btn.addEventListener('click', () => copyQuestion(btn, q.question));
+            });
+
+            container.appendChild(block);
+        });
+    }
+
+    // Initialize new icons
+    if (window.lucide) lucide.createIcons();
+}
+
+// ── Research History ───────────────────────────────────
+
+async function saveQuestionSet(data, questionCount, guestContext) {
+    if (!currentSessionId) return;
+    try {
+        await apiFetch(`/api/sessions/${currentSessionId}/questions`, 'POST', { data, questionCount, guestContext });
+    } catch (err) {
+        console.error('Failed to save question set:', err);
+    }
+}
+
+async function loadHistoryPage() {
+    const list = document.getElementById('historyList');
+    list.innerHTML = '<p class="text-muted">Loading...</p>';
+
+    try {
+        const res = await apiFetch('/api/sessions', 'GET');
+        if (res.sessions.length === 0) {
+            list.innerHTML = '<p class="text-muted">No saved research yet. Research a guest and it will show up here.</p>';
+            return;
+        }
+
+        list.innerHTML = '';
+        res.sessions.forEach(session => {
+            const card = document.createElement('div');
+            card.className = 'history-card';
+            const date = new Date(session.updatedAt).toLocaleDateString();
+            const questionNote = session.questionSetCount > 0
+                ? ` · ${session.questionSetCount} question set${session.questionSetCount === 1 ? '' : 's'}`
+                : '';
+            card.innerHTML = `
+              <div class="history-info">
+                <div class="history-title">${escapeHtml(session.title)}</div>
+                <div class="history-meta">${escapeHtml(session.guestName)} · ${session.totalInterviewsFound} videos${questionNote} · ${date}</div>
+              </div>
+              <div class="history-actions">
+                <button class="btn-ghost btn-sm" data-action="open"><i data-lucide="folder-open" class="icon-sm"></i> Open</button>
+                <button class="btn-ghost btn-sm editor-only" data-action="rename" title="Rename"><i data-lucide="pencil" class="icon-sm"></i></button>
+                <button class="btn-ghost btn-sm btn-danger editor-only" data-action="delete" title="Delete"><i data-lucide="trash-2" class="icon-sm"></i></button>
+              </div>
+            `;
+            card.querySelector('[data-action="open"]').addEventListener('click', () => openSession(session.id));
+            card.querySelector('[data-action="rename"]').addEventListener('click', () => renameSession(session.id, session.title));
+            card.querySelector('[data-action="delete"]').addEventListener('click', () => deleteSession(session.id, session.title));
+            list.appendChild(card);
+        });
+
+        if (window.lucide) lucide.createIcons();
+    } catch (err) {
+        list.innerHTML = '';
+        showError(err.message);
+    }
+}
 
-            // Attach event listeners
-            const cards = block.querySelectorAll('.question-card');
-            category.questions.forEach((q, i) => {
-                const btn = cards[i].querySelector('.btn-copy');
-                btn.addEventListener('click', () => copyQuestion(btn, q.question));
-            });
+async function openSession(sessionId) {
+    try {
+        const res = await apiFetch(`/api/sessions/${sessionId}`, 'GET');
+        const session = res.session;
+        currentSessionId = session.id;
+        researchData = session.research;
 
-            container.appendChild(block);
-        });
+        document.getElementById('guestName').value = session.guestName;
+        document.getElementById('guestContext').value = session.context || '';
+        document.getElementById('researchProgress').style.display = 'none';
+
+        navigateTo('dashboard');
+        if (researchData) {
+            displayResearch({ ...researchData, questionSets: session.questionSets });
+        } else {
+            document.getElementById('researchResults').style.display = 'none';
+        }
+    } catch (err) {
+        showError(err.message);
     }
+}
 
-    // Initialize new icons
-    if (window.lucide) lucide.createIcons();
+async function renameSession(sessionId, currentTitle) {
+    const title = prompt('Rename research session:', currentTitle);
+    if (title === null || !title.trim() || title.trim() === currentTitle) return;
+    try {
+        await apiFetch(`/api/sessions/${sessionId}`, 'PATCH', { title: title.trim() });
+        showSuccess('Session renamed');
+        await loadHistoryPage();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+async function deleteSession(sessionId, title) {
+    if (!confirm(`Delete "${title}" and its saved questions?`)) return;
+    try {
+        await apiFetch(`/api/sessions/${sessionId}`, 'DELETE');
+        if (currentSessionId === sessionId) currentSessionId = null;
+        showSuccess('Session deleted');
+        await loadHistoryPage();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+function renderSavedQuestionSets(questionSets) {
+    const el = document.getElementById('savedQuestionSets');
+    if (!el) return;
+    if (questionSets.length === 0) {
+        el.style.display = 'none';
+        return;
+    }
+
+    el.innerHTML = `
+      <div class="web-profile-header">
+        <i data-lucide="list-checks" class="icon-sm"></i>
+        <span>Saved Question Sets</span>
+        <span class="badge-source">${questionSets.length}</span>
+      </div>
+      <div class="sources-list"></div>
+    `;
+    const listEl = el.querySelector('.sources-list');
+    questionSets.forEach(set => {
+        const btn = document.createElement('button');
+        btn.className = 'source-pill';
+        btn.textContent = `${set.questionCount} questions · ${new Date(set.createdAt).toLocaleString()}`;
+        btn.addEventListener('click', () => {
+            displayQuestions(set.data, currentUser.name, researchData?.guestName || '');
+            navigateTo('results');
+        });
+        listEl.appendChild(btn);
+    });
+    el.style.display = 'block';
 }
 
 // ── Copy ───────────────────────────────────────────────
@@ -552,9 +1500,16 @@ async function loadSettingsPage() {
     // Prefill profile
     if (currentUser) {
         document.getElementById('settingsName').value = currentUser.name || '';
-        document.getElementById('settingsChannel').value = currentUser.channelDescription || '';
-        document.getElementById('settingsStyle').value = currentUser.interviewerStyle || '';
+        renderEmailVerifyStatus();
     }
+    if (currentWorkspace) {
+        const readOnly = currentWorkspace.role === 'viewer';
+        ['settingsChannel', 'settingsStyle'].forEach(id => { document.getElementById(id).disabled = readOnly; });
+        document.getElementById('settingsChannel').value = currentWorkspace.channelDescription || '';
+        document.getElementById('settingsStyle').value = currentWorkspace.interviewerStyle || '';
+    }
+
+    await loadWorkspaceSettings();
 
     // Load API keys (masked from server)
     try {
@@ -576,6 +1531,485 @@ async function loadSettingsPage() {
     } catch (err) {
         console.error('Failed to load API keys:', err);
     }
+
+    await loadPodcastFeeds();
+    await loadDevices();
+    await loadAccessTokens();
+}
+
+// ── Workspace Settings ─────────────────────────────────
+
+async function loadWorkspaceSettings() {
+    if (!currentWorkspace) return;
+    document.getElementById('workspaceName').value = currentWorkspace.name;
+    document.getElementById('workspaceName').disabled = !isOwner();
+    document.getElementById('workspaceRole').textContent = currentWorkspace.role;
+    document.getElementById('deleteWorkspaceBtn').style.display = isOwner() && !currentWorkspace.personal ? '' : 'none';
+    document.getElementById('leaveWorkspaceBtn').style.display = currentWorkspace.personal ? 'none' : '';
+
+    await loadMembers();
+    if (isOwner()) await loadInvitations();
+}
+
+async function loadMembers() {
+    const list = document.getElementById('membersList');
+    try {
+        const res = await apiFetch(`/api/workspaces/${currentWorkspace.id}/members`, 'GET');
+        list.innerHTML = '';
+        res.members.forEach(member => {
+            const row = document.createElement('div');
+            row.className = 'history-card';
+            row.innerHTML = `
+              <div class="history-info">
+                <div class="history-title">${escapeHtml(member.name || member.email)}${member.userId === currentUser.id ? ' <span class="badge-source">You</span>' : ''}</div>
+                <div class="history-meta">${escapeHtml(member.email)} · Joined ${new Date(member.joinedAt).toLocaleDateString()}</div>
+              </div>
+            `;
+            if (isOwner() && member.userId !== currentUser.id) {
+                const actions = document.createElement('div');
+                actions.className = 'history-actions';
+                actions.innerHTML = `
+                  <select class="role-select">
+                    ${['viewer', 'editor', 'owner'].map(r => `<option value="${r}"${r === member.role ? ' selected' : ''}>${r}</option>`).join('')}
+                  </select>
+                  <button class="btn-ghost btn-sm btn-danger" title="Remove"><i data-lucide="user-minus" class="icon-sm"></i></button>
+                `;
+                actions.querySelector('select').addEventListener('change', (e) => changeMemberRole(member.userId, e.target.value));
+                actions.querySelector('button').addEventListener('click', () => removeMember(member));
+                row.appendChild(actions);
+            } else {
+                row.insertAdjacentHTML('beforeend', `<span class="badge-source">${member.role}</span>`);
+            }
+            list.appendChild(row);
+        });
+        if (window.lucide) lucide.createIcons();
+    } catch (err) {
+        console.error('Failed to load members:', err);
+    }
+}
+
+async function loadInvitations() {
+    const list = document.getElementById('invitationsList');
+    try {
+        const res = await apiFetch(`/api/workspaces/${currentWorkspace.id}/invitations`, 'GET');
+        list.innerHTML = '';
+        res.invitations.forEach(invite => {
+            const row = document.createElement('div');
+            row.className = 'history-card';
+            row.innerHTML = `
+              <div class="history-info">
+                <div class="history-title">${escapeHtml(invite.email)} <span class="badge-source">Invited · ${invite.role}</span></div>
+                <div class="history-meta">Expires ${new Date(invite.expiresAt).toLocaleDateString()}</div>
+              </div>
+            `;
+            const btn = document.createElement('button');
+            btn.className = 'btn-ghost btn-sm btn-danger';
+            btn.innerHTML = '<i data-lucide="x" class="icon-sm"></i> Revoke';
+            btn.addEventListener('click', () => revokeInvitation(invite.id));
+            row.appendChild(btn);
+            list.appendChild(row);
+        });
+        if (window.lucide) lucide.createIcons();
+    } catch (err) {
+        console.error('Failed to load invitations:', err);
+    }
+}
+
+async function inviteMember(e) {
+    e.preventDefault();
+    const email = document.getElementById('inviteEmail').value.trim();
+    const role = document.getElementById('inviteRole').value;
+    const btn = document.getElementById('inviteBtn');
+
+    setLoading(btn, true);
+    try {
+        await apiFetch(`/api/workspaces/${currentWorkspace.id}/invitations`, 'POST', { email, role });
+        document.getElementById('inviteEmail').value = '';
+        showSuccess(`Invitation sent to ${email}`);
+        await loadInvitations();
+    } catch (err) {
+        showError(err.message);
+    } finally {
+        setLoading(btn, false);
+    }
+}
+
+async function revokeInvitation(invitationId) {
+    try {
+        await apiFetch(`/api/workspaces/${currentWorkspace.id}/invitations/${invitationId}`, 'DELETE');
+        await loadInvitations();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+async function changeMemberRole(userId, role) {
+    try {
+        await apiFetch(`/api/workspaces/${currentWorkspace.id}/members/${userId}`, 'PATCH', { role });
+        showSuccess('Role updated');
+    } catch (err) {
+        showError(err.message);
+    }
+    await loadMembers();
+}
+
+async function removeMember(member) {
+    if (!confirm(`Remove ${member.name || member.email} from ${currentWorkspace.name}?`)) return;
+    try {
+        await apiFetch(`/api/workspaces/${currentWorkspace.id}/members/${member.userId}`, 'DELETE');
+        await loadMembers();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+async function renameWorkspace() {
+    const name = document.getElementById('workspaceName').value.trim();
+    if (!name || name === currentWorkspace.name) return;
+    try {
+        await saveWorkspace(currentWorkspace, { name });
+        showSuccess('Workspace renamed');
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+async function createWorkspace() {
+    const name = prompt('Name the new workspace (e.g. your show):');
+    if (!name || !name.trim()) return;
+    try {
+        const res = await apiFetch('/api/workspaces', 'POST', { name: name.trim() });
+        workspaceList.push(res.workspace);
+        switchWorkspace(res.workspace.id);
+        showSuccess(`Created ${res.workspace.name}`);
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+// After leaving or deleting, fall back to the personal workspace
+async function dropCurrentWorkspace() {
+    localStorage.removeItem('iq_workspace');
+    await loadWorkspaces();
+    switchWorkspace(currentWorkspace.id);
+}
+
+async function leaveWorkspace() {
+    if (!confirm(`Leave ${currentWorkspace.name}? You'll lose access to its research.`)) return;
+    try {
+        await apiFetch(`/api/workspaces/${currentWorkspace.id}/members/${currentUser.id}`, 'DELETE');
+        showSuccess(`You left ${currentWorkspace.name}`);
+        await dropCurrentWorkspace();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+async function deleteWorkspace() {
+    if (!confirm(`Delete ${currentWorkspace.name} and all of its saved research for every member? This can't be undone.`)) return;
+    try {
+        await apiFetch(`/api/workspaces/${currentWorkspace.id}`, 'DELETE');
+        showSuccess('Workspace deleted');
+        await dropCurrentWorkspace();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+// ── Podcast Feeds ──────────────────────────────────────
+
+async function loadPodcastFeeds() {
+    const list = document.getElementById('podcastFeedsList');
+    if (!list || !currentWorkspace) return;
+
+    try {
+        const res = await apiFetch('/api/settings/podcast-feeds', 'GET');
+        list.innerHTML = res.feeds.length === 0 ? '<p class="text-muted">No podcast feeds yet.</p>' : '';
+        res.feeds.forEach(feed => {
+            const row = document.createElement('div');
+            row.className = 'history-card';
+            row.innerHTML = `
+              <div class="history-info">
+                <div class="history-title">${escapeHtml(feed.title)}</div>
+                <div class="history-meta">${escapeHtml(feed.url)} · Added ${new Date(feed.addedAt).toLocaleDateString()}</div>
+              </div>
+            `;
+            const btn = document.createElement('button');
+            btn.className = 'btn-ghost btn-sm btn-danger editor-only';
+            btn.innerHTML = '<i data-lucide="trash-2" class="icon-sm"></i> Remove';
+            btn.addEventListener('click', () => removePodcastFeed(feed));
+            row.appendChild(btn);
+            list.appendChild(row);
+        });
+        if (window.lucide) lucide.createIcons();
+    } catch (err) {
+        console.error('Failed to load podcast feeds:', err);
+    }
+}
+
+async function addPodcastFeed(e) {
+    e.preventDefault();
+    const input = document.getElementById('podcastFeedUrl');
+    const btn = document.getElementById('addPodcastFeedBtn');
+
+    setLoading(btn, true);
+    try {
+        const res = await apiFetch('/api/settings/podcast-feeds', 'POST', { url: input.value.trim() });
+        input.value = '';
+        showSuccess(`Added "${res.feed.title}" (${res.episodeCount} episodes)`);
+        await loadPodcastFeeds();
+    } catch (err) {
+        showError(err.message);
+    } finally {
+        setLoading(btn, false);
+    }
+}
+
+async function importPodcastFeeds(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+        const res = await apiFetch('/api/settings/podcast-feeds/import', 'POST', { opml: await file.text() });
+        showSuccess(`Imported ${res.added.length} feed${res.added.length === 1 ? '' : 's'}` +
+            (res.skipped ? ` (${res.skipped} skipped: already added or invalid)` : ''));
+        await loadPodcastFeeds();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+async function removePodcastFeed(feed) {
+    if (!confirm(`Stop researching "${feed.title}"?`)) return;
+    try {
+        await apiFetch(`/api/settings/podcast-feeds/${feed.id}`, 'DELETE');
+        await loadPodcastFeeds();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+// ── Personal Access Tokens ─────────────────────────────
+
+async function loadAccessTokens() {
+    const list = document.getElementById('tokensList');
+    if (!list) return;
+
+    try {
+        const res = await apiFetch('/api/tokens', 'GET');
+        renderTokenScopes(res.scopes);
+        list.innerHTML = res.tokens.length === 0 ? '<p class="text-muted">No tokens yet.</p>' : '';
+        res.tokens.forEach(t => {
+            const expired = t.expiresAt && new Date(t.expiresAt) <= new Date();
+            const row = document.createElement('div');
+            row.className = 'history-card';
+            row.innerHTML = `
+              <div class="history-info">
+                <div class="history-title">${escapeHtml(t.name)} ${t.scopes.map(s => `<span class="badge-source">${escapeHtml(s)}</span>`).join(' ')}</div>
+                <div class="history-meta">${escapeHtml(t.prefix)}… · ${t.lastUsedAt ? `Last used ${new Date(t.lastUsedAt).toLocaleString()}` : 'Never used'}
+                  · ${t.expiresAt ? `${expired ? 'Expired' : 'Expires'} ${new Date(t.expiresAt).toLocaleDateString()}` : 'No expiry'}</div>
+              </div>
+            `;
+            const btn = document.createElement('button');
+            btn.className = 'btn-ghost btn-sm btn-danger';
+            btn.innerHTML = '<i data-lucide="trash-2" class="icon-sm"></i> Revoke';
+            btn.addEventListener('click', () => revokeAccessToken(t));
+            row.appendChild(btn);
+            list.appendChild(row);
+        });
+        if (window.lucide) lucide.createIcons();
+    } catch (err) {
+        console.error('Failed to load access tokens:', err);
+    }
+}
+
+// Scope checkboxes come from the server so new scopes show up automatically
+function renderTokenScopes(scopes) {
+    const container = document.getElementById('tokenScopes');
+    if (container.childElementCount > 0) return;
+    container.innerHTML = Object.entries(scopes).map(([scope, description]) => `
+      <label class="checkbox-label">
+        <input type="checkbox" value="${escapeHtml(scope)}"${scope === 'read' ? ' checked' : ''}>
+        <span><strong>${escapeHtml(scope)}</strong> — ${escapeHtml(description)}</span>
+      </label>
+    `).join('');
+}
+
+async function createAccessToken(e) {
+    e.preventDefault();
+    const btn = document.getElementById('createTokenBtn');
+    const scopes = [...document.querySelectorAll('#tokenScopes input:checked')].map(el => el.value);
+
+    setLoading(btn, true);
+    try {
+        const res = await apiFetch('/api/tokens', 'POST', {
+            name: document.getElementById('tokenName').value.trim(),
+            scopes,
+            expiresInDays: parseInt(document.getElementById('tokenExpiry').value),
+        });
+        document.getElementById('tokenName').value = '';
+        document.getElementById('newTokenValue').value = res.token;
+        document.getElementById('tokenCreated').style.display = 'block';
+        await loadAccessTokens();
+    } catch (err) {
+        showError(err.message);
+    } finally {
+        setLoading(btn, false);
+    }
+}
+
+async function copyNewToken() {
+    const input = document.getElementById('newTokenValue');
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showSuccess('Token copied');
+    } catch {
+        input.select();
+    }
+}
+
+async function revokeAccessToken(t) {
+    if (!confirm(`Revoke "${t.name}"? Scripts using it will stop working.`)) return;
+    try {
+        await apiFetch(`/api/tokens/${t.id}`, 'DELETE');
+        showSuccess('Token revoked');
+        await loadAccessTokens();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+// ── Data Export & Account Deletion ─────────────────────
+
+async function downloadAccountData() {
+    const btn = document.getElementById('exportBtn');
+    setLoading(btn, true);
+    try {
+        const res = await authFetch('/api/account/export');
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            throw new Error(requestErrorMessage(res, data));
+        }
+        const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : 'interviewiq-export.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        showError(err.message);
+    } finally {
+        setLoading(btn, false);
+    }
+}
+
+function showDeleteAccount() {
+    document.getElementById('deleteAccountForm').style.display = 'block';
+    // Google-only accounts have no password to re-enter
+    const needsPassword = !!currentUser?.hasPassword;
+    document.getElementById('deletePasswordGroup').style.display = needsPassword ? '' : 'none';
+    document.getElementById('deletePassword').required = needsPassword;
+    document.getElementById('deleteConfirmEmail').focus();
+}
+
+function hideDeleteAccount() {
+    document.getElementById('deleteAccountForm').style.display = 'none';
+    document.getElementById('deleteConfirmEmail').value = '';
+    document.getElementById('deletePassword').value = '';
+}
+
+async function handleDeleteAccount(e) {
+    e.preventDefault();
+    const btn = document.getElementById('deleteAccountBtn');
+    setLoading(btn, true);
+    try {
+        await apiFetch('/api/account', 'DELETE', {
+            confirmEmail: document.getElementById('deleteConfirmEmail').value.trim(),
+            password: document.getElementById('deletePassword').value,
+        });
+        hideDeleteAccount();
+        localStorage.removeItem('iq_workspace');
+        localStorage.removeItem('iq_remembered_email');
+        logout();
+        showSuccess('Your account has been deleted');
+    } catch (err) {
+        showError(err.message);
+    } finally {
+        setLoading(btn, false);
+    }
+}
+
+// ── Signed-in Devices ──────────────────────────────────
+
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+            : /Firefox\//.test(userAgent) ? 'Firefox'
+                : /Safari\//.test(userAgent) ? 'Safari'
+                    : userAgent.split(/[\s/]/)[0];
+    const os = /Windows/.test(userAgent) ? 'Windows'
+        : /Android/.test(userAgent) ? 'Android'
+            : /iPhone|iPad/.test(userAgent) ? 'iOS'
+                : /Mac OS X/.test(userAgent) ? 'macOS'
+                    : /Linux/.test(userAgent) ? 'Linux' : '';
+    return os ? `${browser} on ${os}` : browser;
+}
+
+async function loadDevices() {
+    const list = document.getElementById('devicesList');
+    if (!list) return;
+
+    try {
+        const res = await apiFetch('/api/auth/devices', 'GET');
+        list.innerHTML = '';
+        res.devices.forEach(device => {
+            const row = document.createElement('div');
+            row.className = 'history-card';
+            row.innerHTML = `
+              <div class="history-info">
+                <div class="history-title">${escapeHtml(describeDevice(device.userAgent))}${device.current ? ' <span class="badge-source">This device</span>' : ''}</div>
+                <div class="history-meta">${escapeHtml(device.ip || 'Unknown IP')} · Last active ${new Date(device.lastUsedAt).toLocaleString()}</div>
+              </div>
+            `;
+            if (!device.current) {
+                const btn = document.createElement('button');
+                btn.className = 'btn-ghost btn-sm btn-danger';
+                btn.innerHTML = '<i data-lucide="log-out" class="icon-sm"></i> Sign out';
+                btn.addEventListener('click', () => revokeDevice(device.id));
+                row.appendChild(btn);
+            }
+            list.appendChild(row);
+        });
+        if (window.lucide) lucide.createIcons();
+    } catch (err) {
+        console.error('Failed to load devices:', err);
+    }
+}
+
+async function revokeDevice(sessionId) {
+    try {
+        await apiFetch(`/api/auth/devices/${sessionId}`, 'DELETE');
+        showSuccess('Device signed out');
+        await loadDevices();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+async function revokeOtherDevices() {
+    if (!confirm('Sign out of all other devices?')) return;
+    try {
+        const res = await apiFetch('/api/auth/devices', 'DELETE');
+        showSuccess(`Signed out ${res.revoked} other device${res.revoked === 1 ? '' : 's'}`);
+        await loadDevices();
+    } catch (err) {
+        showError(err.message);
+    }
 }
 
 function updateKeyStatus(elementId, hasKey) {
@@ -656,14 +2090,14 @@ async function handleProfileUpdate(e) {
     setLoading(btn, true);
 
     try {
-        const updates = {
+        const res = await apiFetch('/api/profile', 'PUT', {
             name: document.getElementById('settingsName').value.trim(),
+        });
+        currentUser = res.user;
+        await saveWorkspace(currentWorkspace, {
             channelDescription: document.getElementById('settingsChannel').value.trim(),
             interviewerStyle: document.getElementById('settingsStyle').value.trim(),
-        };
-
-        const res = await apiFetch('/api/profile', 'PUT', updates);
-        currentUser = res.user;
+        });
         showSuccess('Profile updated!');
     } catch (err) {
         showError(err.message);
@@ -674,23 +2108,49 @@ async function handleProfileUpdate(e) {
 
 // ── API Helper ─────────────────────────────────────────
 
+// fetch() with the access token; on 401 refreshes once and retries
+async function authFetch(url, opts = {}) {
+    const withAuth = () => {
+        const headers = { ...(opts.headers || {}) };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        if (currentWorkspace) headers['X-Workspace-Id'] = currentWorkspace.id;
+        return fetch(API + url, { ...opts, headers });
+    };
+
+    let res = await withAuth();
+    if (res.status === 401 && token && await refreshAccessToken()) {
+        res = await withAuth();
+    }
+    return res;
+}
+
 async function apiFetch(url, method = 'GET', body = null) {
     const opts = {
         method,
         headers: { 'Content-Type': 'application/json' },
     };
-    if (token) opts.headers['Authorization'] = `Bearer ${token}`;
     if (body) opts.body = JSON.stringify(body);
 
-    const res = await fetch(API + url, opts);
+    const res = await authFetch(url, opts);
     const data = await res.json();
 
     if (!res.ok) {
-        throw new Error(data.error || `Request failed (${res.status})`);
+        throw new Error(requestErrorMessage(res, data));
     }
     return data;
 }
 
+// Rate-limited (429) responses say how long to wait — tell the user instead of a bare failure
+function requestErrorMessage(res, data) {
+    const message = data.error || `Request failed (${res.status})`;
+    if (res.status !== 429 || /try again in/i.test(message)) return message;
+
+    const seconds = data.retryAfter || parseInt(res.headers.get('Retry-After')) || 0;
+    if (!seconds) return message;
+    const wait = seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minute${seconds > 60 ? 's' : ''}`;
+    return `Too many requests — try again in ${wait}.`;
+}
+
 // ── Utilities ──────────────────────────────────────────
 
 function setLoading(btn, loading) {
@@ -722,6 +2182,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 researchGuest();
             }
         });
+        // Candidates belong to the name they were found for
+        nameInput.addEventListener('input', hideIdentityPicker);
     }
 
     // Context Input: Auto-expand + Enter Logic
@@ -772,3 +2234,8 @@ function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
+
+// escapeHtml leaves quotes alone: attribute values need them escaped too
+function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const accessTokens = storage.repository('accessTokens');
+
+/**
+ * Personal access tokens let scripts call the API as their owner:
+ *
+ *   Authorization: Bearer iiq_pat_...
+ *
+ * Each token carries scopes, and a route accepts tokens only if it was opted
+ * in with auth.scopedAuth(scope) — everything else (account, devices, keys,
+ * members, token management) stays browser-session only.
+ */
+const TOKEN_PREFIX = 'iiq_pat_';
+const SCOPES = {
+    read: 'Read profile, workspaces and saved research',
+    research: 'Run guest research and generate questions',
+    write: 'Create, edit and delete saved research and questions',
+};
+const MAX_TOKENS_PER_USER = 20;
+
+// Skip rewriting lastUsedAt on every request from a busy script
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+function describe({ tokenHash, ...token }) {
+    return token;
+}
+
+// ── Create / List / Revoke ──
+async function createAccessToken(userId, { name, scopes, expiresInDays }) {
+    if (!name || !name.trim()) return { success: false, error: 'Token name is required' };
+    const requested = Array.isArray(scopes) ? [...new Set(scopes)] : [];
+    if (requested.length === 0) return { success: false, error: 'Pick at least one scope' };
+    const unknown = requested.filter(s => !SCOPES[s]);
+    if (unknown.length > 0) return { success: false, error: `Unknown scope: ${unknown.join(', ')}` };
+
+    if ((await accessTokens.count({ userId })) >= MAX_TOKENS_PER_USER) {
+        return { success: false, error: `You can have at most ${MAX_TOKENS_PER_USER} tokens — revoke one first` };
+    }
+
+    const days = parseInt(expiresInDays) || 0;
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = await accessTokens.create({
+        userId,
+        name: name.trim().substring(0, 100),
+        scopes: requested,
+        tokenHash: hashToken(token),
+        prefix: token.substring(0, TOKEN_PREFIX.length + 6),
+        lastUsedAt: null,
+        expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+        createdAt: new Date().toISOString(),
+    });
+    // The plaintext token is returned this once and never stored
+    return { success: true, token, accessToken: describe(record) };
+}
+
+async function listAccessTokens(userId) {
+    const list = await accessTokens.find({ userId }, { sort: { createdAt: -1 } });
+    return list.map(describe);
+}
+
+async function revokeAccessToken(userId, tokenId) {
+    const record = await accessTokens.findById(tokenId);
+    if (!record || record.userId !== userId) return false;
+    await accessTokens.remove(tokenId);
+    return true;
+}
+
+async function revokeAllAccessTokens(userId) {
+    return accessTokens.removeWhere({ userId });
+}
+
+// ── Verify (used by authMiddleware) ──
+// Returns the token record, or null if unknown or expired
+async function verifyAccessToken(token) {
+    const record = await accessTokens.findOne({ tokenHash: hashToken(token) });
+    if (!record) return null;
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) return null;
+
+    const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsed > LAST_USED_RESOLUTION) {
+        await accessTokens.update(record.id, { lastUsedAt: new Date().toISOString() });
+    }
+    return record;
+}
+
+module.exports = {
+    SCOPES,
+    isAccessToken,
+    createAccessToken,
+    listAccessTokens,
+    revokeAccessToken,
+    revokeAllAccessTokens,
+    verifyAccessToken,
+};
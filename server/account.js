@@ -0,0 +1,103 @@
+const bcrypt = require('bcryptjs');
+const storage = require('./storage');
+const cache = require('./cache');
+const workspaces = require('./workspaces');
+const accessTokens = require('./accessTokens');
+const { purgeJobs } = require('./jobs');
+
+const users = storage.repository('users');
+const authSessions = storage.repository('authSessions');
+const userTokens = storage.repository('userTokens');
+const memberships = storage.repository('memberships');
+const sessions = storage.repository('sessions');
+const questionSets = storage.repository('questionSets');
+const documents = storage.repository('documents');
+
+// ── Export ──
+// Everything stored about the user, as one JSON document. API keys are
+// reported as set/unset only — secrets never leave the server.
+async function exportAccount(userId) {
+    const user = await users.findById(userId);
+    if (!user) return null;
+
+    const { passwordHash, youtubeApiKey, geminiApiKey, failedLoginCount, lockedUntil, ...profile } = user;
+
+    const devices = (await authSessions.find({ userId }, { sort: { createdAt: 1 } })).map(s => ({
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        signedOutAt: s.revokedAt,
+    }));
+
+    const tokens = await accessTokens.listAccessTokens(userId);
+    const workspaceList = await workspaces.listWorkspaces(userId);
+
+    // Research the user created anywhere, plus everything in their personal workspace
+    const personal = workspaceList.find(w => w.personal && w.ownerId === userId);
+    const own = await sessions.find({ userId }, { sort: { createdAt: 1 } });
+    const inPersonal = personal ? await sessions.find({ workspaceId: personal.id }, { sort: { createdAt: 1 } }) : [];
+    const byId = new Map([...own, ...inPersonal].map(s => [s.id, s]));
+
+    const research = [];
+    for (const session of byId.values()) {
+        const sets = await questionSets.find({ sessionId: session.id }, { sort: { createdAt: 1 } });
+        const docs = await documents.find({ sessionId: session.id }, { sort: { createdAt: 1 } });
+        research.push({ ...session, questionSets: sets, documents: docs });
+    }
+
+    return {
+        exportedAt: new Date().toISOString(),
+        account: { ...profile, hasPassword: !!passwordHash },
+        apiKeysOnAccount: { youtube: !!youtubeApiKey, gemini: !!geminiApiKey },
+        devices,
+        accessTokens: tokens,
+        workspaces: workspaceList,
+        research,
+    };
+}
+
+// ── Delete ──
+// Requires the account email typed back, plus the password if the account has one.
+async function deleteAccount(userId, { confirmEmail, password } = {}) {
+    const user = await users.findById(userId);
+    if (!user) return { success: false, status: 404, error: 'Account not found' };
+
+    if ((confirmEmail || '').toLowerCase().trim() !== user.email) {
+        return { success: false, error: 'Type your account email to confirm' };
+    }
+    if (user.passwordHash && !(await bcrypt.compare(password || '', user.passwordHash))) {
+        return { success: false, status: 401, error: 'Incorrect password' };
+    }
+
+    const blocking = await workspaces.workspacesBlockingDeletion(userId);
+    if (blocking.length > 0) {
+        return {
+            success: false,
+            status: 409,
+            error: `Make someone else an owner of ${blocking.map(w => `"${w.name}"`).join(', ')} (or delete it) first`,
+        };
+    }
+
+    // Research jobs they started, stopped first so nothing is saved after they leave,
+    // and uploads no research has used yet
+    await purgeJobs({ userId });
+    await documents.removeWhere({ userId, sessionId: null });
+    await workspaces.removeUserFromAllWorkspaces(user);
+
+    // Research saved before workspaces existed and never adopted by one
+    await questionSets.removeWhere({ userId, workspaceId: { $exists: false } });
+    await sessions.removeWhere({ userId, workspaceId: { $exists: false } });
+
+    await memberships.removeWhere({ userId });
+    await authSessions.removeWhere({ userId });
+    await accessTokens.revokeAllAccessTokens(userId);
+    await userTokens.removeWhere({ userId });
+    await cache.purgeUser(userId);
+    await users.remove(userId);
+
+    console.log(`🗑️  Deleted account ${userId}`);
+    return { success: true };
+}
+
+module.exports = { exportAccount, deleteAccount };
@@ -0,0 +1,792 @@
+const crypto = require('crypto');
+const { setTimeout: wait } = require('timers/promises');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const cache = require('./cache');
+const { describeIdentity } = require('./identity');
+
+/**
+ * Map-reduce analysis of the interview content research gathered.
+ *
+ * Map: every item (transcript, AI-watched video, podcast episode, document) is
+ * cut into chunks of at most CHUNK_CHARS, and Gemini turns each chunk into a
+ * structured note (see NOTE_SHAPE). Notes are cached per chunk, so re-running
+ * research on a guest only reads what's new.
+ * Reduce: the notes, never the raw text, are merged into the final report.
+ * When there are too many notes for one prompt they are first merged in groups
+ * into combined notes, level by level, until they fit.
+ * Timeline: positions from dated sources are traced by topic and year, to
+ * show where the guest's views shifted (buildTimeline).
+ * Refresh: for a returning guest only content published since the saved
+ * research is read, and merged into the saved report (refreshReport).
+ *
+ * Nothing is truncated: a three-hour podcast just becomes more chunks.
+ *
+ * YouTube transcripts are read with their times ("[12:03] GUEST: ..."), so
+ * quotes and already-asked questions come back tied to a video and a start
+ * time (`refs`: [{ videoId, start }]), which the research page links to.
+ */
+const CHUNK_CHARS = 80000;          // per map call (~20k tokens)
+const REDUCE_CHARS = 300000;        // notes per reduce prompt
+const MAP_CONCURRENCY = 3;
+const MAX_ATTEMPTS = 3;
+const MARK_SECONDS = 60;            // a new timed line at least this often
+const MATCH_WORDS = 8;              // words of a quote looked up in the captions...
+const MIN_MATCH_WORDS = 4;          // ...and the fewest worth looking up
+const TIMELINE_CHARS = 200000;      // dated positions per timeline prompt
+const NOTE_VERSION = 1;             // part of every note's cache key: bump when the map prompt or NOTE_SHAPE changes
+
+// How each kind of analyzed content is labelled in notes, described to the map
+// prompt and counted in progress messages
+const CONTENT_KINDS = {
+    transcript: { label: '📝 TRANSCRIPT', what: 'the transcript of a YouTube video', noun: 'transcripts' },
+    'gemini-video': { label: '🎬 AI-WATCHED', what: 'an AI-written summary of a YouTube video', noun: 'AI-watched' },
+    'podcast-transcript': { label: '🎧 PODCAST TRANSCRIPT', what: 'the transcript of a podcast episode', noun: 'podcast episodes' },
+    'podcast-notes': { label: '🎧 PODCAST SHOW NOTES', what: 'the show notes of a podcast episode', noun: 'podcast episodes' },
+    document: { label: '📄 UPLOADED DOCUMENT', what: 'a document the interviewer uploaded', noun: 'uploaded documents' },
+};
+
+// What a note holds; every listed item keeps the sources it came from
+const NOTE_SHAPE = `{
+  "summary": "2-3 sentences on what this part covers",
+  "questionsAsked": [{ "question": "asked to the guest, word-for-word or closely paraphrased", "askedBy": "host or channel, if known", "at": "m:ss time of the line it was asked on, if lines have times" }],
+  "topics": [{ "topic": "short name", "points": ["specific points the guest made"], "depth": "deep | partial | brief" }],
+  "passionateMoments": [{ "moment": "what got the guest animated or emotional, and what triggered it" }],
+  "deflections": [{ "question": "what was asked", "response": "how the guest dodged or redirected it" }],
+  "quotes": [{ "quote": "the guest's exact words, translated to English", "language": "original language", "at": "m:ss time of the line it was said on, if lines have times" }],
+  "style": ["observations about answer length, storytelling, humor, catchphrases"],
+  "positions": [{ "topic": "subject", "position": "opinion or claim the guest stated", "at": "m:ss time of the line it was stated on, if lines have times" }]
+}`;
+
+// What the final report holds: the research page renders it section by
+// section and question generation reads it (gemini.js)
+const REPORT_SHAPE = `{
+  "overview": "2-3 sentences on who the guest is in these interviews and what's missing from them",
+  "askedQuestions": [{ "theme": "short theme", "questions": [{ "question": "as asked", "count": 1, "askedBy": ["interviewer or channel"], "sources": [], "refs": [] }] }],
+  "topics": [{ "topic": "short name", "depth": "deep | partial | brief", "points": ["specific points the guest made"], "sources": [] }],
+  "passionateMoments": [{ "moment": "what got the guest animated or emotional", "trigger": "what set it off", "sources": [] }],
+  "deflections": [{ "question": "what was asked", "response": "how the guest dodged or redirected it", "sources": [] }],
+  "quotes": [{ "quote": "the guest's exact words, in English", "language": "original language", "context": "what they were talking about", "sources": [], "refs": [] }],
+  "contradictions": [{ "topic": "subject", "statements": [{ "statement": "what was said", "source": "where" }], "question": "how to ask about the tension" }],
+  "style": [{ "trait": "e.g. long answers, storyteller, dry humor, a catchphrase", "evidence": "what shows it" }],
+  "freshQuestions": [{ "question": "never asked before", "why": "why it works and what gap it fills" }]
+}`;
+
+const LIST_FIELDS = ['questionsAsked', 'topics', 'passionateMoments', 'deflections', 'quotes', 'positions'];
+const TIMED_FIELDS = { questionsAsked: 'question', quotes: 'quote', positions: 'position' }; // list -> text field
+
+function getGenAI(customKey) {
+    return new GoogleGenerativeAI(customKey || process.env.GEMINI_API_KEY);
+}
+
+function kindOf(item) {
+    return CONTENT_KINDS[item.source] || CONTENT_KINDS.transcript;
+}
+
+const SPEAKER_TAGS = { host: 'HOST', guest: 'GUEST', other: 'OTHER', unknown: 'SPEAKER?' };
+const SPEAKER_MARKER = /^(>>|-\s)\s*/;
+
+// Transcripts with timed segments are read as timed lines, labelled with the
+// speaker when there are turns (speakers.js): "[12:03] GUEST: ..."
+function textOf(item) {
+    if (!item.segments?.length) return item.transcript || '';
+    const turns = item.turns || [];
+    const lines = [];
+    let line = null;
+    let t = 0;
+    for (const segment of item.segments) {
+        while (t < turns.length - 1 && segment.start >= turns[t + 1].start) t++;
+        const speaker = turns[t]?.speaker || null;
+        const text = segment.text.replace(SPEAKER_MARKER, '');
+        if (!text) continue;
+        if (!line || line.speaker !== speaker || segment.start - line.start >= MARK_SECONDS) {
+            line = { speaker, start: segment.start, words: [] };
+            lines.push(line);
+        }
+        line.words.push(text);
+    }
+    return lines.map(l => `[${formatTime(l.start)}] ${l.speaker ? `${SPEAKER_TAGS[l.speaker] || SPEAKER_TAGS.unknown}: ` : ''}${l.words.join(' ')}`).join('\n');
+}
+
+// ── Timestamps ──
+
+function formatTime(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// "12:03" or "1:02:03" -> seconds; null when it isn't a time
+function parseTime(value) {
+    const m = /^\[?(?:(\d+):)?(\d{1,2}):(\d{2})\]?$/.exec(String(value || '').trim());
+    if (!m) return null;
+    return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+}
+
+function normalizeWords(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Captions as one normalized string, with where each segment starts in it
+const captionIndexes = new WeakMap();
+
+function captionIndex(item) {
+    if (!captionIndexes.has(item)) {
+        let text = '';
+        const offsets = [];
+        for (const segment of item.segments) {
+            offsets.push(text.length);
+            text += `${normalizeWords(segment.text)} `;
+        }
+        captionIndexes.set(item, { text, offsets });
+    }
+    return captionIndexes.get(item);
+}
+
+// Start time of the caption a quote begins in (the match closest to `near`
+// when it occurs more than once), or null when the words aren't found:
+// paraphrased questions and translated quotes keep the time Gemini read
+function findInCaptions(item, text, near) {
+    const words = normalizeWords(text).split(' ').filter(Boolean);
+    if (words.length < MIN_MATCH_WORDS) return null;
+    const needle = words.slice(0, MATCH_WORDS).join(' ');
+    const { text: captions, offsets } = captionIndex(item);
+
+    let best = null;
+    for (let at = captions.indexOf(needle); at !== -1; at = captions.indexOf(needle, at + 1)) {
+        let i = offsets.length - 1;
+        while (offsets[i] > at) i--;
+        const start = item.segments[i].start;
+        if (best === null || (near !== null && Math.abs(start - near) < Math.abs(best - near))) best = start;
+        if (near === null) break;
+    }
+    return best;
+}
+
+// Tie timed entries of a fresh note to the video and moment they came from
+function addRefs(note, item) {
+    for (const [field, textField] of Object.entries(TIMED_FIELDS)) {
+        for (const entry of note[field]) {
+            const near = parseTime(entry.at);
+            delete entry.at;
+            if (!item.videoId || !item.segments?.length || typeof entry[textField] !== 'string') continue;
+            const start = findInCaptions(item, entry[textField], near) ?? near;
+            if (start !== null) entry.refs = [{ videoId: item.videoId, start }];
+        }
+    }
+    return note;
+}
+
+function isRef(ref) {
+    return ref && typeof ref.videoId === 'string' && /^[\w-]{11}$/.test(ref.videoId) && Number.isFinite(ref.start) && ref.start >= 0;
+}
+
+// ── Chunking ──
+
+// Split text into pieces of at most `size` characters, at a paragraph,
+// sentence or word break when there is one near the limit
+function chunkText(text, size = CHUNK_CHARS) {
+    const chunks = [];
+    let rest = text;
+    while (rest.length > size) {
+        const window = rest.substring(0, size);
+        const floor = Math.floor(size * 0.8);
+        let cut = -1;
+        for (const sep of ['\n\n', '\n', '. ', '? ', '! ', ' ']) {
+            const at = window.lastIndexOf(sep);
+            if (at >= floor) {
+                cut = at + sep.length;
+                break;
+            }
+        }
+        if (cut === -1) cut = size;
+        chunks.push(rest.substring(0, cut));
+        rest = rest.substring(cut);
+    }
+    if (rest.trim()) chunks.push(rest);
+    return chunks;
+}
+
+// ── Gemini Calls ──
+
+// Retries rate-limited calls with a growing delay; other errors fail at once
+async function withRetry(fn, { signal, onRetry }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            signal?.throwIfAborted();
+            // Not a bare "rate": every SDK error message contains the ...:generateContent URL
+            const rateLimited = err.status === 429 || /\[429 |RESOURCE_EXHAUSTED|quota/i.test(err.message || '');
+            if (!rateLimited || attempt >= MAX_ATTEMPTS) throw err;
+            const delay = attempt * 5000;
+            if (onRetry) onRetry(delay, attempt + 1);
+            await wait(delay, undefined, { signal });
+        }
+    }
+}
+
+function parseJson(text) {
+    let cleaned = text.trim();
+    if (cleaned.startsWith('```json')) cleaned = cleaned.slice(7);
+    else if (cleaned.startsWith('```')) cleaned = cleaned.slice(3);
+    if (cleaned.endsWith('```')) cleaned = cleaned.slice(0, -3);
+    return JSON.parse(cleaned.trim());
+}
+
+// Keep only the fields a note may have, so one odd response can't break the reduce
+function cleanNote(raw, sources) {
+    const note = { summary: typeof raw.summary === 'string' ? raw.summary : '', style: [] };
+    for (const field of LIST_FIELDS) {
+        note[field] = (Array.isArray(raw[field]) ? raw[field] : [])
+            .filter(entry => entry && typeof entry === 'object')
+            .map(entry => {
+                const cleaned = { ...entry, sources: Array.isArray(entry.sources) && entry.sources.length > 0 ? entry.sources : sources };
+                if (field in TIMED_FIELDS) {
+                    const refs = Array.isArray(entry.refs) ? entry.refs.filter(isRef) : [];
+                    if (refs.length > 0) cleaned.refs = refs;
+                    else delete cleaned.refs;
+                }
+                return cleaned;
+            });
+    }
+    note.style = (Array.isArray(raw.style) ? raw.style : []).filter(s => typeof s === 'string');
+    return note;
+}
+
+// ── Map ──
+
+async function summarizeChunk(item, chunk, part, parts, options) {
+    const { guestName, identity, geminiKey, signal } = options;
+    const source = `${item.title} (${item.channelTitle})`;
+    // Notes depend on who the guest is (namesakes) and on the prompt that wrote them
+    const who = identity ? identity.wikidataId || identity.wikipediaTitle || identity.name : '';
+    const cacheKey = cache.keys.chunkNote(crypto.createHash('sha256')
+        .update(`v${NOTE_VERSION}\n${guestName}\n${who}\n${item.source}\n${item.title}\n${part}/${parts}\n${chunk}`).digest('hex'));
+
+    if (!options.forceRefresh) {
+        const cached = await cache.get(cacheKey);
+        if (cached) return { note: cached, cached: true };
+    }
+
+    const model = getGenAI(geminiKey).getGenerativeModel({
+        model: 'gemini-2.0-flash',
+        generationConfig: { temperature: 0.2, maxOutputTokens: 8192, responseMimeType: 'application/json' },
+    });
+    const identityNote = identity ? describeIdentity(identity) : '';
+    const partNote = parts > 1 ? ` This is part ${part} of ${parts}; the other parts are read separately.` : '';
+    const timeNote = item.segments?.length ? '\nEach line starts with its time in the video, [m:ss]: give it as "at" for every question, quote and position.' : '';
+    const speakerNote = item.turns?.length
+        ? `\nAfter the time comes the speaker: HOST is the interviewer, GUEST is ${guestName}, OTHER is someone else and SPEAKER? wasn't clear. Take questionsAsked and the questions of deflections from HOST lines. Topics, moments, quotes, style and positions come only from what the GUEST said: never credit the host's words to ${guestName}.`
+        : '';
+
+    const prompt = `You are taking research notes for an interviewer preparing to interview "${guestName}".${identityNote ? ` ${identityNote}` : ''}
+
+Below is ${kindOf(item).what}, "${item.title}" from ${item.channelTitle} (language: ${item.lang}).${partNote}
+Read every word, in whatever language it is in, and write down what it reveals about ${guestName}.${timeNote}${speakerNote}
+
+Reply with JSON of exactly this shape:
+${NOTE_SHAPE}
+
+Only include what is actually in this text; use empty lists when something doesn't appear. Translate non-English quotes to English and note the original language.
+
+${'═'.repeat(60)}
+${chunk}
+${'═'.repeat(60)}`;
+
+    const result = await withRetry(() => model.generateContent(prompt, { signal }), { signal });
+    const note = {
+        ...addRefs(cleanNote(parseJson(result.response.text()), [source]), item),
+        title: item.title,
+        channelTitle: item.channelTitle,
+        kind: kindOf(item).label,
+        part: parts > 1 ? `${part}/${parts}` : null,
+    };
+    await cache.set(cacheKey, note, cache.TTL.videoAnalysis, options.userId);
+    return { note, cached: false };
+}
+
+// Notes for every chunk of every item, MAP_CONCURRENCY calls at a time. Chunks
+// that fail are skipped; it only throws if nothing could be read at all.
+async function mapContent(allContent, options) {
+    const { signal, onProgress } = options;
+    const tasks = allContent.flatMap(item => {
+        const chunks = chunkText(textOf(item));
+        return chunks.map((chunk, i) => ({ item, chunk, part: i + 1, parts: chunks.length }));
+    });
+
+    const notes = new Array(tasks.length);
+    let next = 0;
+    let finished = 0;
+    let cachedCount = 0;
+    let failed = 0;
+    let lastError = null;
+
+    async function worker() {
+        while (next < tasks.length) {
+            const index = next++;
+            const { item, chunk, part, parts } = tasks[index];
+            try {
+                const { note, cached } = await summarizeChunk(item, chunk, part, parts, options);
+                notes[index] = { ...note, videoId: item.videoId || null, publishedAt: item.publishedAt || null, link: item.link || null };
+                if (cached) cachedCount++;
+            } catch (err) {
+                signal?.throwIfAborted();
+                failed++;
+                lastError = err;
+                console.error(`  ❌ Notes failed for "${item.title}" part ${part}/${parts}:`, err.message?.substring(0, 150));
+            }
+            finished++;
+            onProgress({
+                step: 'analyze_videos', status: 'active',
+                message: `Read ${finished}/${tasks.length} parts: "${item.title}"${parts > 1 ? ` (part ${part}/${parts})` : ''}${cachedCount ? ` · ${cachedCount} from cache` : ''}`,
+            });
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(MAP_CONCURRENCY, tasks.length) }, worker));
+    console.log(`  🧠 Notes: ${tasks.length - failed}/${tasks.length} parts (${cachedCount} cached) from ${allContent.length} items`);
+
+    const done = notes.filter(Boolean);
+    if (done.length === 0 && lastError) throw lastError;
+    return { notes: done, parts: tasks.length, failed };
+}
+
+// ── Reduce ──
+
+function formatNotes(notes) {
+    return notes.map((note, i) => {
+        const heading = note.title
+            ? `NOTE ${i + 1} — ${note.kind} "${note.title}" (${note.channelTitle})${note.part ? `, part ${note.part}` : ''}${note.publishedAt ? `, published ${note.publishedAt.substring(0, 10)}` : ''}`
+            : `NOTE ${i + 1} — combined notes`;
+        const { title, channelTitle, kind, part, videoId, publishedAt, link, ...body } = note;
+        return `${heading}\n${JSON.stringify(body)}`;
+    }).join('\n\n');
+}
+
+// Merge a group of notes into one combined note (same shape, sources kept)
+async function mergeNotes(notes, options) {
+    const { guestName, geminiKey, signal } = options;
+    const model = getGenAI(geminiKey).getGenerativeModel({
+        model: 'gemini-2.0-flash',
+        generationConfig: { temperature: 0.2, maxOutputTokens: 16000, responseMimeType: 'application/json' },
+    });
+
+    const prompt = `Below are ${notes.length} research notes about "${guestName}", each taken from one interview, episode or document (or part of one).
+Merge them into ONE note of exactly this shape:
+${NOTE_SHAPE}
+
+Rules:
+- Combine items that say the same thing into one, and put the "sources" of all of them in its "sources" list, so it's clear how often something came up and where.
+- Keep every distinct question, point, moment, deflection, quote and position. Do not drop details to save space.
+- Topic depth is the deepest any source went.
+- Questions and quotes may have "refs" (the video and second they come from): keep every ref of the items you combine in the combined item's "refs", unchanged.
+
+${formatNotes(notes)}`;
+
+    const result = await withRetry(() => model.generateContent(prompt, { signal }), { signal });
+    return cleanNote(parseJson(result.response.text()), []);
+}
+
+// Merge notes group by group until they fit in one reduce prompt
+async function condenseNotes(notes, options) {
+    let level = notes;
+    while (formatNotes(level).length > REDUCE_CHARS && level.length > 1) {
+        const groups = [];
+        let group = [];
+        let size = 0;
+        for (const note of level) {
+            const length = JSON.stringify(note).length;
+            if (group.length > 1 && size + length > REDUCE_CHARS / 2) {
+                groups.push(group);
+                group = [];
+                size = 0;
+            }
+            group.push(note);
+            size += length;
+        }
+        if (group.length > 0) groups.push(group);
+        if (groups.length === level.length) break; // Every note is too big to pair up; send as is
+
+        const merged = [];
+        for (let i = 0; i < groups.length; i++) {
+            options.onProgress({
+                step: 'analyze_videos', status: 'active',
+                message: `Merging notes: group ${i + 1}/${groups.length} (${level.length} notes)...`,
+            });
+            merged.push(groups[i].length === 1 ? groups[i][0] : await mergeNotes(groups[i], options));
+        }
+        level = merged;
+    }
+    return level;
+}
+
+// The run's focus and the guest's identity, as prompt sections
+function promptSections({ context, identity }) {
+    const identityNote = identity ? describeIdentity(identity) : '';
+    return {
+        contextSection: context
+            ? `\n\nUSER'S SPECIFIC FOCUS: the interviewer has specified this context/angle: "${context}". Tailor the analysis and the fresh questions toward it.`
+            : '',
+        identitySection: identityNote ? `\n\nWHO THIS IS: ${identityNote} Skip any content that is about someone else.` : '',
+    };
+}
+
+function reportModel(geminiKey) {
+    return getGenAI(geminiKey).getGenerativeModel({
+        model: 'gemini-2.5-flash',
+        generationConfig: { temperature: 0.3, maxOutputTokens: 32000, responseMimeType: 'application/json' },
+    });
+}
+
+async function generateReport(prompt, options) {
+    const { signal } = options;
+    const model = reportModel(options.geminiKey);
+    const result = await withRetry(() => model.generateContent(prompt, { signal }), {
+        signal,
+        onRetry: (delay, attempt) => options.onProgress({
+            step: 'analyze_videos', status: 'active',
+            message: `Rate limit hit, retrying in ${delay / 1000}s... (attempt ${attempt}/${MAX_ATTEMPTS})`,
+        }),
+    });
+    return parseJson(result.response.text());
+}
+
+// The final report, written from the notes
+async function writeReport(notes, itemCount, options) {
+    const { guestName } = options;
+    const { contextSection, identitySection } = promptSections(options);
+
+    const prompt = `You are the world's #1 interview preparation researcher.
+
+I am giving you detailed research notes taken from every part of ${itemCount} real videos, podcast episodes and documents featuring "${guestName}". Each note was written from the full text of its source (transcripts, AI-analyzed video summaries, podcast show notes) and lists the questions asked, topics with the points made, passionate moments, deflections, quotes, style observations and stated positions, each with the sources it came from. Notes from UPLOADED DOCUMENT sources were supplied by the interviewer (book chapters, press kits, transcripts of talks): use them as background and as the guest's own words, but don't count them as interviews.${identitySection}
+
+YOUR MISSION: Understand the FULL CONTEXT of what ${guestName} said across all of these — their exact words, the emotions behind them, the stories they told, the topics they engaged with passionately vs. the ones they deflected. This is not surface-level analysis.${contextSection}
+
+${formatNotes(notes)}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Now, based on these notes, reply with JSON of exactly this shape:
+${REPORT_SHAPE}
+
+How to fill it:
+- askedQuestions: every question actually asked to ${guestName}, word-for-word or closely paraphrased, grouped by theme. "count" is the number of different interviews it was asked in (2 or more means it is overasked and dead), "askedBy" the interviewers or channels.
+- topics: what ${guestName} talked about, with the specific points they made. Depth: "deep" (thoroughly covered), "partial" or "brief" (barely touched).
+- passionateMoments: when they got truly animated, emotional or passionate, and what triggered it: the topics that make them light up, the stories they love telling.
+- deflections: questions or topics they dodged, gave vague answers to or redirected. Be specific about what was asked and how they responded.
+- quotes: 5-10 ACTUAL quotes that reveal their personality, values or strong opinions.
+- contradictions: things said in one source that contradict or pull against another. These make BRILLIANT interview questions.
+- style: answer length, storytelling vs. data-driven vs. philosophical, humor, how they handle difficult questions, catchphrases — each with the evidence.
+- freshQuestions: 10 genuinely UNIQUE questions that were never asked in any of these interviews, would catch ${guestName} off guard (in a good way), reveal something new, reference things they said and make them THINK rather than recite. Say why each works and what gap it fills.
+- "sources" and "refs": copy them from the notes the item is based on. Refs point to the moment in a video; copy them unchanged and never make one up.
+
+CRITICAL: Everything must be backed by ACTUAL content from the notes. Do NOT make up information. Use empty lists for anything the notes don't show.`;
+
+    return generateReport(prompt, options);
+}
+
+// What a refresh adds to REPORT_SHAPE
+const WHATS_NEW_SHAPE = `{ "summary": "2-3 sentences on what is new since the last research", "highlights": [{ "point": "a new topic, story, announcement or change of view", "sources": [], "refs": [] }] }`;
+
+// The saved report brought up to date with notes from content published since
+// it was written. `previous` is a report object, or the markdown analysis of
+// research saved before reports were JSON.
+async function updateReport(previous, notes, itemCount, options) {
+    const { guestName, since } = options;
+    const { contextSection, identitySection } = promptSections(options);
+    const saved = typeof previous === 'string'
+        ? previous
+        : JSON.stringify({ ...previous, timeline: undefined, positions: undefined, whatsNew: undefined, basis: undefined }, null, 1);
+    const shape = REPORT_SHAPE.replace(/\n}$/, `,\n  "whatsNew": ${WHATS_NEW_SHAPE}\n}`);
+
+    const prompt = `You are the world's #1 interview preparation researcher, updating the dossier on "${guestName}" for a returning guest.${identitySection}
+
+SAVED REPORT, from research done on ${since.substring(0, 10)}:
+${saved}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+NEW MATERIAL: research notes from ${itemCount} videos, podcast episodes and documents published since then. Each note lists the questions asked, topics with the points made, passionate moments, deflections, quotes, style observations and stated positions, each with the sources it came from. Notes from UPLOADED DOCUMENT sources were supplied by the interviewer: use them as background, but don't count them as interviews.${contextSection}
+
+${formatNotes(notes)}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+Reply with the updated report as JSON of exactly this shape:
+${shape}
+
+How to update it:
+- Keep everything in the saved report, with its sources and refs, and add what the new material shows.
+- askedQuestions: a question asked again in a new interview gets its "count" raised and the new interviewer, sources and refs added. New questions go under their theme.
+- topics, passionateMoments, deflections, style: add new entries and update depth and points where the new material goes further.
+- quotes: keep the best of the saved ones and add new quotes that reveal something; 5-12 in total.
+- contradictions: include new statements that pull against anything ${guestName} said before, old or new.
+- freshQuestions: 10 questions never asked in any interview, old or new, favoring what the new material opens up. Say why each works.
+- whatsNew: what is new since ${since.substring(0, 10)}: new topics, stories, projects, announcements, changed views, questions everyone is now asking. Only from the new material.
+- "sources" and "refs": copy them from the saved report or the notes. Refs point to the moment in a video; copy them unchanged and never make one up.
+
+CRITICAL: Everything must be backed by ACTUAL content from the saved report or the notes. Do NOT make up information.`;
+
+    return generateReport(prompt, options);
+}
+
+// ── Timeline ──
+
+// Every position stated in a dated source. The report keeps them (`positions`)
+// so a refresh can trace the timeline again without re-reading old sources.
+function collectPositions(notes) {
+    const positions = [];
+    for (const note of notes) {
+        if (!/^\d{4}-\d{2}-\d{2}/.test(note.publishedAt || '')) continue;
+        for (const entry of note.positions) {
+            if (typeof entry.topic !== 'string' || typeof entry.position !== 'string') continue;
+            const refs = entry.refs?.length ? entry.refs : note.videoId ? [{ videoId: note.videoId, start: 0 }] : [];
+            positions.push({
+                topic: entry.topic,
+                position: entry.position,
+                date: note.publishedAt.substring(0, 10),
+                source: `${note.title} (${note.channelTitle})`,
+                refs,
+                link: note.link || null,
+            });
+        }
+    }
+    return positions;
+}
+
+function formatPositions(positions) {
+    return positions.map(p => `${p.id} [${p.date}] ${p.source} — ${p.topic}: ${p.position}`).join('\n');
+}
+
+// Fewer positions per source until the list fits in one prompt, so every
+// source and year stays represented
+function fitPositions(positions) {
+    let fitted = positions;
+    for (let perSource = 20; formatPositions(fitted).length > TIMELINE_CHARS && perSource > 1; perSource--) {
+        const counts = {};
+        fitted = positions.filter(p => (counts[p.source] = (counts[p.source] || 0) + 1) <= perSource);
+    }
+    return fitted;
+}
+
+/**
+ * How the guest's views on recurring topics changed over the years: positions
+ * (collectPositions) are grouped by topic and year, with the shifts between
+ * them. Gemini only answers with position ids; the statements, dates, sources
+ * and links are filled in here. Returns [] when the sources span one year.
+ */
+async function buildTimeline(allPositions, options) {
+    const { guestName, geminiKey, signal } = options;
+    const sorted = [...allPositions].sort((a, b) => a.date.localeCompare(b.date))
+        .map((p, i) => ({ ...p, id: `P${i + 1}`, year: parseInt(p.date.substring(0, 4), 10) }));
+    const positions = fitPositions(sorted);
+    const years = new Set(positions.map(p => p.year));
+    if (years.size < 2) return [];
+
+    options.onProgress({
+        step: 'analyze_videos', status: 'active',
+        message: `Tracing how ${guestName}'s views changed from ${Math.min(...years)} to ${Math.max(...years)}...`,
+    });
+    const model = getGenAI(geminiKey).getGenerativeModel({
+        model: 'gemini-2.5-flash',
+        generationConfig: { temperature: 0.2, maxOutputTokens: 16000, responseMimeType: 'application/json' },
+    });
+
+    const prompt = `Below are opinions and claims ${guestName} stated in interviews, podcast episodes and documents, oldest first. Each line has an id, the date its source was published and the source.
+
+Find the topics ${guestName} came back to in at least two different years, and trace their view on each:
+- periods: for each year the topic came up, their stance then in one or two sentences, with the ids it's based on.
+- shifts: where the view really changed (not just new details): from which year to which, what changed, the id of one statement from before and one from after, and a question the interviewer could ask about it, like "In 2019 you said X, now you say Y. What changed?"
+Topics where the view held steady belong too, with no shifts: they show what ${guestName} holds firm on. Put topics with shifts first.
+
+Reply with JSON of exactly this shape:
+{"topics": [{"topic": "short name", "periods": [{"year": 2019, "stance": "their view that year", "evidence": ["P1"]}], "shifts": [{"fromYear": 2019, "toYear": 2023, "summary": "how the view changed", "before": "P1", "after": "P9", "question": "the question to ask"}]}]}
+
+Only use ids from the list.
+
+${formatPositions(positions)}`;
+
+    const result = await withRetry(() => model.generateContent(prompt, { signal }), { signal });
+    const raw = parseJson(result.response.text());
+
+    const byId = new Map(positions.map(p => [p.id, p]));
+    const statement = id => {
+        const p = byId.get(id);
+        return p ? { position: p.position, date: p.date, source: p.source, refs: p.refs, link: p.link } : null;
+    };
+    return (Array.isArray(raw.topics) ? raw.topics : []).map(topic => ({
+        topic: topic.topic,
+        periods: (Array.isArray(topic.periods) ? topic.periods : [])
+            .map(period => ({ ...period, evidence: (Array.isArray(period.evidence) ? period.evidence : []).map(statement).filter(Boolean) }))
+            .filter(period => period.evidence.length > 0)
+            .sort((a, b) => a.year - b.year),
+        shifts: (Array.isArray(topic.shifts) ? topic.shifts : [])
+            .map(shift => ({ ...shift, before: statement(shift.before), after: statement(shift.after) })),
+    }));
+}
+
+// ── Report ──
+
+const DEPTHS = ['deep', 'partial', 'brief'];
+
+/**
+ * Validate a report (REPORT_SHAPE plus the `timeline` from buildTimeline, the
+ * `positions` it was traced from and a refresh's `whatsNew`) from
+ * Gemini or a client: every field is present with the right type, and refs
+ * only point to videos that were read (knownVideoIds), so a made-up link never
+ * reaches the page.
+ */
+function cleanReport(raw, knownVideoIds = []) {
+    const known = new Set(knownVideoIds);
+    const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const strings = value => (Array.isArray(value) ? value.map(text).filter(Boolean) : []);
+    const list = (value, map, required) => (Array.isArray(value) ? value : [])
+        .filter(entry => entry && typeof entry === 'object')
+        .map(map)
+        .filter(entry => entry[required]);
+    const refs = value => (Array.isArray(value) ? value : [])
+        .filter(ref => isRef(ref) && known.has(ref.videoId))
+        .map(ref => ({ videoId: ref.videoId, start: Math.floor(ref.start) }));
+    const year = value => {
+        const n = parseInt(value, 10);
+        return n >= 1900 && n <= 2100 ? n : null;
+    };
+    // A dated statement on the timeline
+    const statement = value => (value && typeof value === 'object' && text(value.position) ? {
+        position: text(value.position),
+        date: /^\d{4}-\d{2}-\d{2}$/.test(value.date) ? value.date : '',
+        source: text(value.source),
+        refs: refs(value.refs),
+        link: /^https?:\/\//.test(value.link) ? value.link : null,
+    } : null);
+    const timestamp = value => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : null);
+
+    return {
+        overview: text(source.overview),
+        askedQuestions: list(source.askedQuestions, group => ({
+            theme: text(group.theme) || 'Other',
+            questions: list(group.questions, q => ({
+                question: text(q.question),
+                count: Math.max(1, parseInt(q.count, 10) || 1),
+                askedBy: strings(q.askedBy),
+                sources: strings(q.sources),
+                refs: refs(q.refs),
+            }), 'question'),
+        }), 'theme').filter(group => group.questions.length > 0),
+        topics: list(source.topics, t => ({
+            topic: text(t.topic),
+            depth: DEPTHS.includes(t.depth) ? t.depth : 'brief',
+            points: strings(t.points),
+            sources: strings(t.sources),
+        }), 'topic'),
+        passionateMoments: list(source.passionateMoments, m => ({
+            moment: text(m.moment), trigger: text(m.trigger), sources: strings(m.sources),
+        }), 'moment'),
+        deflections: list(source.deflections, d => ({
+            question: text(d.question), response: text(d.response), sources: strings(d.sources),
+        }), 'question'),
+        quotes: list(source.quotes, q => ({
+            quote: text(q.quote), language: text(q.language), context: text(q.context), sources: strings(q.sources), refs: refs(q.refs),
+        }), 'quote'),
+        contradictions: list(source.contradictions, c => ({
+            topic: text(c.topic),
+            statements: list(c.statements, st => ({ statement: text(st.statement), source: text(st.source) }), 'statement'),
+            question: text(c.question),
+        }), 'topic'),
+        style: list(source.style, st => ({ trait: text(st.trait), evidence: text(st.evidence) }), 'trait'),
+        freshQuestions: list(source.freshQuestions, q => ({ question: text(q.question), why: text(q.why) }), 'question'),
+        timeline: list(source.timeline, t => ({
+            topic: text(t.topic),
+            periods: list(t.periods, p => ({
+                year: year(p.year),
+                stance: text(p.stance),
+                evidence: (Array.isArray(p.evidence) ? p.evidence : []).map(statement).filter(Boolean),
+            }), 'year').filter(p => p.stance),
+            shifts: list(t.shifts, sh => ({
+                fromYear: year(sh.fromYear),
+                toYear: year(sh.toYear),
+                summary: text(sh.summary),
+                before: statement(sh.before),
+                after: statement(sh.after),
+                question: text(sh.question),
+            }), 'summary').filter(sh => sh.before && sh.after),
+        }), 'topic').filter(t => new Set(t.periods.map(p => p.year)).size >= 2),
+        positions: list(source.positions, p => ({ topic: text(p.topic), ...statement(p) }), 'position')
+            .filter(p => p.topic && p.date),
+        whatsNew: source.whatsNew && typeof source.whatsNew === 'object' ? {
+            since: timestamp(source.whatsNew.since),
+            refreshedAt: timestamp(source.whatsNew.refreshedAt),
+            itemCount: Math.max(0, parseInt(source.whatsNew.itemCount, 10) || 0),
+            summary: text(source.whatsNew.summary),
+            highlights: list(source.whatsNew.highlights, h => ({
+                point: text(h.point), sources: strings(h.sources), refs: refs(h.refs),
+            }), 'point'),
+        } : null,
+    };
+}
+
+/**
+ * Analyze every content item: map each chunk to a note, then reduce the notes
+ * into the interview report (REPORT_SHAPE) and trace the timeline of views. Progress is reported per chunk under
+ * the 'analyze_videos' step.
+ * options: { guestName, context, identity, geminiKey, signal, onProgress, forceRefresh, userId }
+ * Returns { report, parts, failed } — parts read and parts that couldn't be.
+ */
+async function analyzeContent(allContent, options) {
+    const { notes, parts, failed } = await mapContent(allContent, options);
+
+    const condensed = await condenseNotes(notes, options);
+    options.onProgress({
+        step: 'analyze_videos', status: 'active',
+        message: `Writing the interview analysis from ${notes.length} notes...`,
+    });
+    console.log(`  🧠 Reducing ${notes.length} notes${condensed.length !== notes.length ? ` (merged into ${condensed.length})` : ''}...`);
+
+    const raw = await writeReport(condensed, allContent.length, options);
+    const report = await finishReport(raw, collectPositions(notes), allContent.map(item => item.videoId).filter(Boolean), options);
+    return { report, parts, failed };
+}
+
+// Trace the timeline from the positions and validate the report
+async function finishReport(raw, positions, knownVideoIds, options) {
+    let timeline = [];
+    try {
+        timeline = await buildTimeline(positions, options);
+    } catch (err) {
+        options.signal?.throwIfAborted();
+        console.error('  ❌ Timeline failed:', err.message?.substring(0, 150));
+    }
+    return cleanReport({ ...raw, timeline, positions }, knownVideoIds);
+}
+
+/**
+ * Bring a saved report up to date for a returning guest: only the new content
+ * is mapped to notes, which Gemini merges into the previous report along with
+ * a `whatsNew` section, and the timeline is traced again from the saved and
+ * the new positions.
+ * previous: the saved report, or the legacy markdown analysis.
+ * options: those of analyzeContent, plus { since, knownVideoIds } — when the
+ * previous research ran and the videos it read.
+ * Returns { report, parts, failed }.
+ */
+async function refreshReport(previous, allContent, options) {
+    const { notes, parts, failed } = await mapContent(allContent, options);
+
+    const condensed = await condenseNotes(notes, options);
+    options.onProgress({
+        step: 'analyze_videos', status: 'active',
+        message: `Updating the interview analysis with ${notes.length} new notes...`,
+    });
+    console.log(`  🧠 Merging ${notes.length} new notes into the saved report...`);
+
+    const raw = await updateReport(previous, condensed, allContent.length, options);
+    const positions = [...(previous?.positions || []), ...collectPositions(notes)];
+    const known = [...(options.knownVideoIds || []), ...allContent.map(item => item.videoId).filter(Boolean)];
+    const report = await finishReport(raw, positions, known, options);
+    return { report, parts, failed };
+}
+
+module.exports = { CONTENT_KINDS, REPORT_SHAPE, chunkText, withRetry, parseJson, cleanReport, analyzeContent, refreshReport };
@@ -0,0 +1,88 @@
+const storage = require('./storage');
+
+const entries = storage.repository('cache');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Default lifetimes per cache namespace, overridable via .env.
+ * Search results and podcast feeds go stale quickly (new uploads); transcripts and
+ * per-video analyses of a published video practically never change.
+ */
+const TTL = {
+    search: (parseFloat(process.env.CACHE_TTL_SEARCH_HOURS) || 24) * HOUR,
+    transcript: (parseFloat(process.env.CACHE_TTL_TRANSCRIPT_DAYS) || 30) * DAY,
+    missingTranscript: (parseFloat(process.env.CACHE_TTL_MISSING_TRANSCRIPT_HOURS) || 24) * HOUR,
+    videoAnalysis: (parseFloat(process.env.CACHE_TTL_VIDEO_ANALYSIS_DAYS) || 30) * DAY,
+    podcastFeed: (parseFloat(process.env.CACHE_TTL_PODCAST_FEED_HOURS) || 6) * HOUR,
+    identity: (parseFloat(process.env.CACHE_TTL_IDENTITY_DAYS) || 7) * DAY,
+    videoStats: (parseFloat(process.env.CACHE_TTL_VIDEO_STATS_HOURS) || 24) * HOUR,
+};
+
+// Expired entries are swept at most this often (Mongo also expires them via a TTL index)
+const SWEEP_INTERVAL = HOUR;
+let lastSweep = 0;
+
+async function sweepExpired() {
+    if (Date.now() - lastSweep < SWEEP_INTERVAL) return;
+    lastSweep = Date.now();
+    await entries.removeWhere({ expiresAt: { $lte: new Date().toISOString() } });
+}
+
+/**
+ * Read a cached value. Returns undefined on a miss or an expired entry.
+ * Cache failures never break research — they are logged and treated as misses.
+ */
+async function get(key) {
+    try {
+        const entry = await entries.findOne({ key });
+        if (!entry || new Date(entry.expiresAt).getTime() <= Date.now()) return undefined;
+        return entry.value;
+    } catch (err) {
+        console.error(`Cache read failed for ${key}:`, err.message);
+        return undefined;
+    }
+}
+
+/**
+ * Store a value for ttlMs milliseconds, replacing any previous entry.
+ * userId records whose research wrote it (see purgeUser).
+ */
+async function set(key, value, ttlMs, userId = null) {
+    try {
+        await entries.upsert({ key }, {
+            key,
+            value,
+            userId: userId || null,
+            expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+            createdAt: new Date().toISOString(),
+        });
+        await sweepExpired();
+    } catch (err) {
+        console.error(`Cache write failed for ${key}:`, err.message);
+    }
+}
+
+// Cache keys are shared across all users: the same guest/video yields the same data
+const keys = {
+    search: (query, maxResults, publishedAfter) => `yt-search:${maxResults}:${publishedAfter ? `after-${publishedAfter}:` : ''}${query.toLowerCase()}`,
+    transcript: (videoId) => `transcript-full:${videoId}`,
+    turns: (videoId, guestName) => `turns:${videoId}:${guestName.toLowerCase()}`,
+    videoAnalysis: (videoId) => `gemini-video:${videoId}`,
+    chunkNote: (hash) => `chunk-note:${hash}`,
+    podcastFeed: (url) => `podcast-feed:${url}`,
+    podcastTranscript: (url) => `podcast-transcript-full:${url}`,
+    identity: (name) => `identity:${name.toLowerCase()}`,
+    videoStats: (videoId) => `yt-video-stats:${videoId}`,
+    channelStats: (channelId) => `yt-channel-stats:${channelId}`,
+};
+
+/**
+ * Drop every entry last written by a user's research (account deletion).
+ */
+async function purgeUser(userId) {
+    return entries.removeWhere({ userId });
+}
+
+module.exports = { get, set, purgeUser, keys, TTL };
@@ -0,0 +1,180 @@
+const path = require('path');
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+const storage = require('./storage');
+const { transcriptToText } = require('./podcasts');
+
+/**
+ * Uploaded documents: book chapters, press kits and transcripts of talks that
+ * aren't on YouTube, used as research input alongside what the providers find.
+ *
+ * Text is extracted once, at upload, and only the text is kept. A document is
+ * uploaded before the research that reads it; when that run's session is saved
+ * the document is attached to it and lives (and is deleted) with the session.
+ * Uploads no research run picked up are removed after a day.
+ */
+const documents = storage.repository('documents');
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_TEXT_CHARS = 500000;
+const MAX_PER_RUN = 20;
+const UNATTACHED_TTL_HOURS = 24;
+
+// File extension -> document type
+const EXTENSIONS = {
+    '.txt': 'txt',
+    '.text': 'txt',
+    '.md': 'md',
+    '.markdown': 'md',
+    '.pdf': 'pdf',
+    '.srt': 'srt',
+    '.vtt': 'vtt',
+    '.docx': 'docx',
+};
+
+function describe(doc) {
+    return {
+        id: doc.id,
+        name: doc.name,
+        type: doc.type,
+        size: doc.size,
+        chars: (doc.text || '').length,
+        sessionId: doc.sessionId,
+        uploadedBy: doc.userId,
+        createdAt: doc.createdAt,
+    };
+}
+
+// ── Upload ──
+async function uploadDocument(workspaceId, userId, { name, data }) {
+    name = path.basename(String(name || '')).trim().substring(0, 200);
+    if (!name) return { success: false, error: 'File name is required' };
+
+    const type = EXTENSIONS[path.extname(name).toLowerCase()];
+    if (!type) return { success: false, error: 'Upload a TXT, Markdown, PDF, SRT, VTT or DOCX file' };
+    if (!Buffer.isBuffer(data) || data.length === 0) return { success: false, error: 'The file is empty' };
+    if (data.length > MAX_UPLOAD_BYTES) return { success: false, status: 413, error: 'Files can be at most 10 MB' };
+
+    let text;
+    try {
+        text = await extractText(type, data);
+    } catch (err) {
+        console.error(`Text extraction failed for ${name}:`, err.message);
+        return { success: false, error: `Couldn't read ${name}: ${err.message}` };
+    }
+    if (!text) {
+        return {
+            success: false,
+            error: type === 'pdf' ? `No text found in ${name} (scanned PDFs need OCR first)` : `No text found in ${name}`,
+        };
+    }
+
+    await pruneUnattached();
+
+    const doc = await documents.create({
+        workspaceId,
+        userId,
+        sessionId: null,
+        name,
+        type,
+        size: data.length,
+        text: text.substring(0, MAX_TEXT_CHARS),
+        createdAt: new Date().toISOString(),
+    });
+    return { success: true, document: describe(doc), truncated: text.length > MAX_TEXT_CHARS };
+}
+
+async function extractText(type, data) {
+    switch (type) {
+        case 'pdf': {
+            if (data.subarray(0, 5).toString('latin1') !== '%PDF-') throw new Error('not a PDF file');
+            const parser = new PDFParse({ data });
+            try {
+                return tidy((await parser.getText({ pageJoiner: '' })).text);
+            } finally {
+                await parser.destroy();
+            }
+        }
+        case 'docx': {
+            const { value } = await mammoth.extractRawText({ buffer: data });
+            return tidy(value);
+        }
+        case 'srt':
+        case 'vtt':
+            return transcriptToText(decodeText(data), type === 'vtt' ? 'text/vtt' : 'application/x-subrip');
+        default:
+            return tidy(decodeText(data));
+    }
+}
+
+function decodeText(data) {
+    const text = data.toString('utf8').replace(/^\uFEFF/, '');
+    if (text.includes('\u0000')) throw new Error('it doesn\'t look like a text file');
+    return text;
+}
+
+// Collapse the runs of blank lines and spaces extraction leaves behind
+function tidy(text) {
+    return text.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*\n\s*/g, '\n\n').trim();
+}
+
+// ── Read ──
+
+// Documents with their text, in the order asked for; unknown ids are left out
+async function findDocuments(workspaceId, ids = []) {
+    const found = await Promise.all(ids.map(id => documents.findById(id)));
+    return found.filter(doc => doc && doc.workspaceId === workspaceId);
+}
+
+async function listSessionDocuments(sessionId) {
+    const list = await documents.find({ sessionId }, { sort: { createdAt: 1 } });
+    return list.map(describe);
+}
+
+async function getDocument(workspaceId, documentId) {
+    const doc = await documents.findById(documentId);
+    return doc && doc.workspaceId === workspaceId ? { ...describe(doc), text: doc.text } : null;
+}
+
+// Check the documents picked for a research run
+async function validateDocumentIds(workspaceId, ids) {
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+        return 'documentIds must be a list of document ids';
+    }
+    if (ids.length > MAX_PER_RUN) return `A research run can read at most ${MAX_PER_RUN} documents`;
+    const found = await findDocuments(workspaceId, ids);
+    return found.length === ids.length ? null : 'Document not found. Upload it again.';
+}
+
+// ── Attach / Delete ──
+
+// Attach the run's uploads to the session it saved; documents already in
+// another session stay there
+async function attachDocuments(workspaceId, ids, sessionId) {
+    for (const doc of await findDocuments(workspaceId, ids)) {
+        if (!doc.sessionId) await documents.update(doc.id, { sessionId });
+    }
+}
+
+async function deleteDocument(workspaceId, documentId) {
+    const doc = await documents.findById(documentId);
+    if (!doc || doc.workspaceId !== workspaceId) return false;
+    await documents.remove(documentId);
+    return true;
+}
+
+async function pruneUnattached() {
+    const cutoff = new Date(Date.now() - UNATTACHED_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    await documents.removeWhere({ sessionId: null, createdAt: { $lt: cutoff } });
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    uploadDocument,
+    findDocuments,
+    listSessionDocuments,
+    getDocument,
+    validateDocumentIds,
+    attachDocuments,
+    deleteDocument,
+};
@@ -10,6 +10,7 @@ async function generateQuestions({
     guestName,
     guestContext,
     pastInterviewsSummary,
+    interviewReport = null,
     questionCount = 15,
     geminiApiKey = '',
 }) {
@@ -61,6 +62,8 @@ RESPOND WITH VALID JSON ONLY:
         trimmedSummary = trimmedSummary.substring(0, 50000) + '\n... (truncated)';
     }
 
+    const reportSection = interviewReport ? describeInterviewReport(guestName, interviewReport) : '';
+
     const userPrompt = `
 INTERVIEWER PROFILE:
 - Name: ${interviewerName}
@@ -69,7 +72,7 @@ INTERVIEWER PROFILE:
 
 GUEST: ${guestName}
 ${guestContext ? `Interviewer's Focus/Angle: ${guestContext}` : ''}
-
+${reportSection}
 DEEP RESEARCH ON ${guestName.toUpperCase()} (from analyzing real video transcripts, web articles, Wikipedia, social media):
 ${trimmedSummary || 'No specific research data available. Use your knowledge to generate unique questions.'}
 
@@ -134,4 +137,45 @@ REMEMBER:
     };
 }
 
+/**
+ * The interview report (analysis.js REPORT_SHAPE) as prompt sections: what was
+ * already asked is spelled out so it isn't asked again, the rest is material
+ * to build on.
+ */
+function describeInterviewReport(guestName, report) {
+    const sourcesOf = item => (item.sources.length > 0 ? ` [${item.sources.join('; ')}]` : '');
+    const sections = [];
+    const add = (title, lines) => {
+        if (lines.length > 0) sections.push(`${title}:\n${lines.map(line => `- ${line}`).join('\n')}`);
+    };
+
+    if (report.whatsNew) {
+        add(`NEW SINCE THE LAST RESEARCH${report.whatsNew.summary ? ` (${report.whatsNew.summary})` : ''}: a returning guest, so open with what's changed`,
+            report.whatsNew.highlights.map(h => `${h.point}${sourcesOf(h)}`));
+    }
+    add(`QUESTIONS ${guestName.toUpperCase()} HAS ALREADY BEEN ASKED (never repeat these or close variants)`, report.askedQuestions.flatMap(group =>
+        group.questions.map(q => `[${group.theme}] ${q.question}${q.count > 1 ? ` (asked in ${q.count} interviews: overasked)` : ''}`)));
+    add('TOPICS ALREADY COVERED (depth: deep = exhausted, brief = barely touched)', report.topics.map(t =>
+        `${t.topic} (${t.depth})${t.points.length > 0 ? `: ${t.points.join('; ')}` : ''}`));
+    add('TOPICS THEY DEFLECTED (come at these from a new angle)', report.deflections.map(d =>
+        `Asked "${d.question}" → ${d.response}${sourcesOf(d)}`));
+    add('WHAT MAKES THEM LIGHT UP', report.passionateMoments.map(m =>
+        `${m.moment}${m.trigger ? ` (trigger: ${m.trigger})` : ''}`));
+    add('CONTRADICTIONS AND TENSIONS', report.contradictions.map(c =>
+        `${c.topic}: ${c.statements.map(st => `"${st.statement}"${st.source ? ` (${st.source})` : ''}`).join(' vs. ')}${c.question ? ` → ${c.question}` : ''}`));
+    add('HOW THEIR VIEWS CHANGED (ask "you said X in 2019, now you say Y" questions about these)', report.timeline.flatMap(t =>
+        t.shifts.map(sh => `${t.topic}: in ${sh.fromYear} "${sh.before.position}" (${sh.before.source}) → in ${sh.toYear} "${sh.after.position}" (${sh.after.source})`)));
+    add('THEIR OWN WORDS', report.quotes.map(q => `"${q.quote}"${sourcesOf(q)}`));
+    add('HOW THEY TALK', report.style.map(st => `${st.trait}${st.evidence ? `: ${st.evidence}` : ''}`));
+    add("QUESTION IDEAS FROM THE RESEARCH (improve on these, don't copy them)", report.freshQuestions.map(q => q.question));
+
+    if (sections.length === 0 && !report.overview) return '';
+    return `
+INTERVIEW ANALYSIS OF ${guestName.toUpperCase()}${report.basis === 'metadata' ? ' (from video titles and descriptions only)' : ' (from reading their past interviews)'}:
+${report.overview}
+
+${sections.join('\n\n')}
+`;
+}
+
 module.exports = { generateQuestions };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Verify Google Sign-In ID tokens (the `credential` returned by Google Identity Services).
+ *
+ * Checks the RS256 signature against Google's published key set, the audience
+ * (GOOGLE_CLIENT_ID, comma-separated if several clients), issuer and expiry,
+ * and that Google verified the email.
+ *
+ * Key set source:
+ *   GOOGLE_JWKS_FILE — path to a local JWKS JSON file (offline tests / air-gapped)
+ *   GOOGLE_JWKS_URI  — defaults to Google's endpoint; cached per its Cache-Control max-age
+ */
+const DEFAULT_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs';
+const ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_MAX_AGE = 60 * 60 * 1000;
+
+let jwksCache = { keys: [], expiresAt: 0 };
+
+function getAudience() {
+    return (process.env.GOOGLE_CLIENT_ID || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function isConfigured() {
+    return getAudience().length > 0;
+}
+
+async function fetchKeySet() {
+    if (process.env.GOOGLE_JWKS_FILE) {
+        const data = JSON.parse(fs.readFileSync(process.env.GOOGLE_JWKS_FILE, 'utf-8'));
+        return { keys: data.keys || [], expiresAt: Date.now() + DEFAULT_MAX_AGE };
+    }
+
+    const res = await fetch(process.env.GOOGLE_JWKS_URI || DEFAULT_JWKS_URI);
+    if (!res.ok) throw new Error(`Could not fetch Google signing keys (${res.status})`);
+    const data = await res.json();
+    const maxAge = /max-age=(\d+)/.exec(res.headers.get('cache-control') || '');
+    return {
+        keys: data.keys || [],
+        expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1]) * 1000 : DEFAULT_MAX_AGE),
+    };
+}
+
+// Find the signing key by `kid`, refetching once if it's unknown (Google rotates keys)
+async function getSigningKey(kid) {
+    if (Date.now() >= jwksCache.expiresAt) jwksCache = await fetchKeySet();
+    let jwk = jwksCache.keys.find(k => k.kid === kid);
+    if (!jwk) {
+        jwksCache = await fetchKeySet();
+        jwk = jwksCache.keys.find(k => k.kid === kid);
+    }
+    if (!jwk) throw new Error('ID token was signed with an unknown key');
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify an ID token and return the Google profile it asserts.
+ * Throws with a user-presentable message if the token is not acceptable.
+ */
+async function verifyGoogleIdToken(idToken) {
+    if (!idToken || typeof idToken !== 'string') throw new Error('Missing Google ID token');
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header?.kid) throw new Error('Malformed Google ID token');
+
+    const key = await getSigningKey(decoded.header.kid);
+    let payload;
+    try {
+        payload = jwt.verify(idToken, key, {
+            algorithms: ['RS256'],
+            audience: getAudience(),
+            issuer: ISSUERS,
+        });
+    } catch (err) {
+        throw new Error(`Invalid Google ID token: ${err.message}`);
+    }
+
+    if (!payload.sub || !payload.email) throw new Error('Google ID token has no account or email');
+    if (payload.email_verified !== true && payload.email_verified !== 'true') {
+        throw new Error('Google account email is not verified');
+    }
+
+    return {
+        googleId: payload.sub,
+        email: payload.email,
+        name: payload.name || '',
+        picture: payload.picture || '',
+    };
+}
+
+module.exports = { verifyGoogleIdToken, isConfigured };
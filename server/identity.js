@@ -0,0 +1,200 @@
+const cache = require('./cache');
+const { fetchChannelTitles } = require('./youtube');
+
+/**
+ * Guest identities: who exactly a research run is about.
+ *
+ * findCandidates() looks a name up on Wikipedia and Wikidata and returns the
+ * people it could mean (title, description, thumbnail, aliases, official YouTube
+ * channel), so the user can pick one before researching. The picked identity is
+ * passed to deepResearch(), which uses it instead of guessing the name with
+ * Gemini, and every source uses it to tell the guest apart from namesakes.
+ */
+const WIKIPEDIA_API = 'https://en.wikipedia.org/w/api.php';
+const WIKIDATA_API = 'https://www.wikidata.org/w/api.php';
+const MAX_CANDIDATES = 6;
+const MAX_ALIASES = 10;
+const MIN_MATCH_LENGTH = 4; // shorter aliases ("RS") match inside unrelated words
+const FETCH_TIMEOUT = 10000;
+
+// Wikidata properties and items we read
+const INSTANCE_OF = 'P31';
+const HUMAN = 'Q5';
+const YOUTUBE_CHANNEL_ID = 'P2397';
+
+async function getJson(url, signal) {
+    const timeout = AbortSignal.timeout(FETCH_TIMEOUT);
+    const res = await fetch(url, {
+        headers: { 'User-Agent': 'InterviewIQ/1.0 (guest research)' },
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+}
+
+// ── Candidates ──
+
+/**
+ * People a typed name could refer to, most likely first. Returns [] when
+ * nothing matches; lookups are cached per name. options: { youtubeApiKey, signal }
+ */
+async function findCandidates(name, options = {}) {
+    name = (name || '').trim();
+    if (!name) return [];
+
+    const cacheKey = cache.keys.identity(name);
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    const pages = await searchWikipedia(name, options.signal);
+    const entities = await fetchEntities(pages.map(p => p.wikidataId).filter(Boolean), options.signal);
+
+    let candidates = pages.map(page => {
+        const entity = entities[page.wikidataId] || {};
+        return {
+            name: entity.label || page.title.replace(/\s*\(.*\)$/, ''),
+            wikipediaTitle: page.title,
+            wikidataId: page.wikidataId || null,
+            description: page.description || entity.description || '',
+            thumbnail: page.thumbnail || null,
+            aliases: entity.aliases || [],
+            youtubeChannelId: entity.youtubeChannelId || null,
+            youtubeChannelTitle: null,
+            isHuman: !!entity.isHuman,
+        };
+    });
+
+    // Guests are people: drop films, companies and the like when any person matched
+    if (candidates.some(c => c.isHuman)) candidates = candidates.filter(c => c.isHuman);
+    candidates = candidates.slice(0, MAX_CANDIDATES).map(({ isHuman, ...c }) => c);
+
+    const channelIds = candidates.map(c => c.youtubeChannelId).filter(Boolean);
+    if (channelIds.length > 0) {
+        try {
+            const titles = await fetchChannelTitles(channelIds, options.youtubeApiKey, options);
+            for (const c of candidates) c.youtubeChannelTitle = titles[c.youtubeChannelId] || null;
+        } catch (err) {
+            options.signal?.throwIfAborted();
+            console.log(`  ℹ️ Channel lookup failed: ${err.message}`);
+        }
+    }
+
+    await cache.set(cacheKey, candidates, cache.TTL.identity);
+    return candidates;
+}
+
+// Article search hits with their description, thumbnail and Wikidata item
+async function searchWikipedia(name, signal) {
+    const params = new URLSearchParams({
+        action: 'query',
+        generator: 'search',
+        gsrsearch: name,
+        gsrlimit: String(MAX_CANDIDATES * 2),
+        prop: 'pageimages|pageprops|description',
+        piprop: 'thumbnail',
+        pithumbsize: '160',
+        ppprop: 'wikibase_item|disambiguation',
+        format: 'json',
+        formatversion: '2',
+    });
+    const data = await getJson(`${WIKIPEDIA_API}?${params}`, signal);
+
+    return (data.query?.pages || [])
+        .filter(page => !(page.pageprops && 'disambiguation' in page.pageprops))
+        .sort((a, b) => a.index - b.index)
+        .map(page => ({
+            title: page.title,
+            description: page.description || '',
+            thumbnail: page.thumbnail?.source || null,
+            wikidataId: page.pageprops?.wikibase_item || null,
+        }));
+}
+
+// Wikidata label, description, aliases, "is a human" and YouTube channel per item
+async function fetchEntities(ids, signal) {
+    if (ids.length === 0) return {};
+    const params = new URLSearchParams({
+        action: 'wbgetentities',
+        ids: ids.join('|'),
+        props: 'labels|descriptions|aliases|claims',
+        languages: 'en',
+        format: 'json',
+    });
+    const data = await getJson(`${WIKIDATA_API}?${params}`, signal);
+
+    const claimValues = (entity, property) => (entity.claims?.[property] || [])
+        .map(claim => claim.mainsnak?.datavalue?.value)
+        .filter(Boolean);
+
+    const entities = {};
+    for (const [id, entity] of Object.entries(data.entities || {})) {
+        entities[id] = {
+            label: entity.labels?.en?.value || '',
+            description: entity.descriptions?.en?.value || '',
+            aliases: (entity.aliases?.en || []).map(a => a.value).slice(0, MAX_ALIASES),
+            isHuman: claimValues(entity, INSTANCE_OF).some(v => v.id === HUMAN),
+            youtubeChannelId: claimValues(entity, YOUTUBE_CHANNEL_ID)[0] || null,
+        };
+    }
+    return entities;
+}
+
+// ── Picked Identity ──
+
+/**
+ * Validate an identity sent with a research request (normally a candidate
+ * returned by findCandidates). Returns { success, identity } or { success, error }.
+ */
+function normalizeIdentity(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { success: false, error: 'identity must be an object' };
+    }
+    const text = (value, max) => (typeof value === 'string' ? value.trim().substring(0, max) : '');
+
+    const name = text(raw.name, 100);
+    if (!name) return { success: false, error: 'identity.name is required' };
+
+    const channelId = text(raw.youtubeChannelId, 40);
+    if (channelId && !/^UC[\w-]{22}$/.test(channelId)) {
+        return { success: false, error: 'identity.youtubeChannelId is not a YouTube channel ID' };
+    }
+
+    return {
+        success: true,
+        identity: {
+            name,
+            wikipediaTitle: text(raw.wikipediaTitle, 200) || null,
+            wikidataId: /^Q\d+$/.test(raw.wikidataId || '') ? raw.wikidataId : null,
+            description: text(raw.description, 300),
+            aliases: (Array.isArray(raw.aliases) ? raw.aliases : [])
+                .map(a => text(a, 100))
+                .filter(a => a && a.toLowerCase() !== name.toLowerCase())
+                .slice(0, MAX_ALIASES),
+            youtubeChannelId: channelId || null,
+            youtubeChannelTitle: text(raw.youtubeChannelTitle, 200) || null,
+        },
+    };
+}
+
+// Every name the guest goes by that is safe to match in text, the main one first
+function namesOf(guestName, identity) {
+    const aliases = identity ? identity.aliases.filter(a => a.length >= MIN_MATCH_LENGTH) : [];
+    const names = [guestName, ...aliases];
+    return names.filter((n, i) => names.findIndex(m => m.toLowerCase() === n.toLowerCase()) === i);
+}
+
+// A line for prompts that keeps Gemini from mixing the guest up with namesakes
+function describeIdentity(identity) {
+    if (!identity) return '';
+    const parts = [];
+    if (identity.description) parts.push(`the ${identity.description}`);
+    if (identity.wikipediaTitle) parts.push(`Wikipedia article "${identity.wikipediaTitle}"`);
+    if (identity.aliases.length > 0) parts.push(`also known as ${identity.aliases.join(', ')}`);
+    if (identity.youtubeChannelTitle || identity.youtubeChannelId) {
+        parts.push(`official YouTube channel ${identity.youtubeChannelTitle || identity.youtubeChannelId}`);
+    }
+    if (parts.length === 0) return '';
+    return `The guest is ${identity.name}: ${parts.join('; ')}. Ignore anyone else with a similar name.`;
+}
+
+module.exports = { findCandidates, normalizeIdentity, namesOf, describeIdentity };
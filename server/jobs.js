@@ -0,0 +1,389 @@
+const storage = require('./storage');
+const sessions = require('./sessions');
+const { deepResearch } = require('./research');
+const providers = require('./providers');
+const documents = require('./documents');
+const { normalizeIdentity } = require('./identity');
+
+/**
+ * Background research jobs.
+ *
+ * startResearchJob() runs deepResearch() detached from the HTTP request, so a
+ * closed tab or a dropped connection no longer throws the work away. Each
+ * progress update is stored as a numbered JobEvent; followJob() replays the
+ * events after a sequence number and then delivers new ones live, which lets
+ * clients reconnect with Last-Event-ID and carry on where they left off.
+ * The finished dossier is saved as a research session in the job's workspace,
+ * and the documents uploaded for the run are attached to it.
+ *
+ * A job started with reviewVideos pauses after the YouTube search: a 'review'
+ * event carries the candidate videos, and submitReview() (or a timeout) lets
+ * the run continue with the user's picks.
+ *
+ * A job started with an identity (a candidate from the disambiguation step)
+ * researches that person specifically instead of whoever the name matches.
+ *
+ * A job started with refreshSessionId brings that session's dossier up to date
+ * for a returning guest: only content published since its last run is
+ * searched and analyzed, and the merged research replaces the session's.
+ *
+ * Running jobs are tracked in process memory (one web service, like the rate
+ * limiter). Jobs still marked running at startup were cut off by a restart;
+ * recoverInterruptedJobs() marks them failed.
+ */
+const jobs = storage.repository('researchJobs');
+const jobEvents = storage.repository('jobEvents');
+
+const MAX_RUNNING_PER_USER = 2;
+const RETENTION_DAYS = 7;
+const REVIEW_TIMEOUT_MINUTES = 30;
+const FINAL_EVENTS = ['result', 'error', 'cancelled'];
+
+// jobId -> { controller, seq, listeners, writes, review } for jobs running in this process;
+// review holds the pending review's resolve() while a job waits for one
+const active = new Map();
+
+function describe(job) {
+    const run = active.get(job.id);
+    return {
+        id: job.id,
+        guestName: job.guestName,
+        context: job.context,
+        sources: job.sources || [],
+        documentIds: job.documentIds || [],
+        reviewVideos: !!job.reviewVideos,
+        identity: job.identity || null,
+        refreshSessionId: job.refreshSessionId || null,
+        awaitingReview: !!(run && run.review),
+        status: job.status,
+        sessionId: job.sessionId,
+        error: job.error,
+        createdBy: job.userId,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+    };
+}
+
+// ── Events ──
+// Stored in order (writes are chained) and pushed to live listeners right away
+function emit(jobId, type, data = {}) {
+    const run = active.get(jobId);
+    if (!run) return; // Finished or cancelled: a late progress update from a provider has nowhere to go
+    const event = { jobId, seq: ++run.seq, type, data, createdAt: new Date().toISOString() };
+    run.writes = run.writes
+        .then(() => jobEvents.create(event))
+        .catch(err => console.error(`Could not store event ${event.seq} of job ${jobId}:`, err.message));
+    for (const listener of run.listeners) listener(event);
+}
+
+/**
+ * Send the job's events after `afterSeq` to send(event), then live ones as they
+ * happen. `done` resolves once the final event (result, error or cancelled) has
+ * been sent; stop() detaches early, e.g. when the client disconnects.
+ */
+function followJob(jobId, afterSeq, send) {
+    const run = active.get(jobId);
+    let lastSeq = afterSeq;
+    let queued = []; // live events that arrive while stored ones are replayed
+    let stopped = false;
+    let finished = false; // the final event was sent (or is being sent)
+    let resolveDone;
+    const done = new Promise(resolve => { resolveDone = resolve; });
+
+    const listener = event => (queued ? queued.push(event) : deliver(event));
+
+    function stop() {
+        if (stopped) return;
+        stopped = true;
+        if (run) run.listeners.delete(listener);
+        resolveDone();
+    }
+
+    function deliver(event) {
+        if (stopped || event.seq <= lastSeq) return;
+        lastSeq = event.seq;
+        const sent = send(event);
+        if (FINAL_EVENTS.includes(event.type)) {
+            finished = true;
+            Promise.resolve(sent).catch(() => { }).then(stop);
+        }
+    }
+
+    if (run) run.listeners.add(listener);
+    (async () => {
+        if (run) await run.writes;
+        const stored = await jobEvents.find({ jobId, seq: { $gt: afterSeq } }, { sort: { seq: 1 } });
+        stored.forEach(deliver);
+        const live = queued;
+        queued = null;
+        live.forEach(deliver);
+        // Not running here: the stored events are all there is (a stored final
+        // event stops the follower itself once it has been sent)
+        if (!run && !finished) stop();
+    })().catch(err => {
+        console.error(`Could not replay job ${jobId}:`, err.message);
+        stop();
+    });
+
+    return { done, stop };
+}
+
+// ── Start / Run ──
+async function startResearchJob({ workspaceId, userId, guestName, context, forceRefresh, sources, documentIds, reviewVideos, identity, refreshSessionId, userKeys }) {
+    // A refresh researches the session's guest again unless told otherwise
+    if (refreshSessionId) {
+        const session = await sessions.getSession(workspaceId, refreshSessionId);
+        if (!session) return { success: false, status: 404, error: 'Session not found' };
+        if (!session.research) return { success: false, error: 'This session has no research to refresh' };
+        guestName = guestName || session.guestName;
+        context = context ?? session.context;
+        if (identity === undefined) identity = session.research.identity || null;
+    }
+    guestName = (guestName || '').trim();
+    if (!guestName) return { success: false, error: 'Guest name is required' };
+
+    if (sources !== undefined) {
+        if (!Array.isArray(sources) || sources.length === 0) {
+            return { success: false, error: 'Pick at least one research source' };
+        }
+        const unknown = providers.unknownSources(sources);
+        if (unknown.length > 0) return { success: false, error: `Unknown research source: ${unknown.join(', ')}` };
+    }
+    if (documentIds !== undefined) {
+        const invalid = await documents.validateDocumentIds(workspaceId, documentIds);
+        if (invalid) return { success: false, error: invalid };
+        // Uploading files is picking them: read them whatever other sources were chosen
+        if (documentIds.length > 0 && sources && !sources.includes('documents')) sources = [...sources, 'documents'];
+    }
+    if (identity !== undefined && identity !== null) {
+        const parsed = normalizeIdentity(identity);
+        if (!parsed.success) return { success: false, error: parsed.error };
+        identity = parsed.identity;
+    }
+
+    const running = await jobs.count({ userId, status: 'running' });
+    if (running >= MAX_RUNNING_PER_USER) {
+        return {
+            success: false,
+            status: 409,
+            error: `You already have ${running} research jobs running. Wait for one to finish or cancel it.`,
+        };
+    }
+
+    await pruneFinishedJobs();
+
+    const job = await jobs.create({
+        workspaceId,
+        userId,
+        guestName,
+        context: context || '',
+        forceRefresh: !!forceRefresh,
+        sources: sources || [],
+        documentIds: documentIds || [],
+        reviewVideos: !!reviewVideos,
+        identity: identity || null,
+        refreshSessionId: refreshSessionId || null,
+        status: 'running',
+        sessionId: null,
+        error: null,
+        finishedAt: null,
+    });
+    active.set(job.id, { controller: new AbortController(), seq: 0, listeners: new Set(), writes: Promise.resolve(), review: null });
+
+    run(job, userKeys); // Not awaited: the job outlives the request that started it
+    return { success: true, job: describe(job) };
+}
+
+async function run(job, userKeys) {
+    const state = active.get(job.id);
+    const { signal } = state.controller;
+    let outcome;
+
+    try {
+        console.log(`🔎 Job ${job.id}: ${job.guestName}${job.context ? ` (context: ${job.context})` : ''} [${userKeys.hasCustomKey ? 'PRO' : 'FREE'}]${job.refreshSessionId ? ` refreshing ${job.refreshSessionId}` : ''}`);
+        const refreshing = job.refreshSessionId ? await sessions.getSession(job.workspaceId, job.refreshSessionId) : null;
+        const research = await deepResearch(
+            job.guestName,
+            data => emit(job.id, 'progress', data),
+            job.context,
+            userKeys,
+            {
+                forceRefresh: job.forceRefresh,
+                sources: job.sources,
+                documentIds: job.documentIds,
+                workspaceId: job.workspaceId,
+                userId: job.userId,
+                identity: job.identity || undefined,
+                reviewVideos: job.reviewVideos ? videos => awaitReview(job.id, videos, signal) : undefined,
+                refresh: refreshing?.research ? {
+                    research: refreshing.research,
+                    since: refreshing.research.researchedAt || refreshing.createdAt,
+                } : undefined,
+                signal,
+            }
+        );
+        signal.throwIfAborted();
+
+        // Saved here rather than by the client, so the result is kept even if nobody is watching.
+        // A refresh updates its session, or starts a new one if it was deleted meanwhile.
+        const session = (refreshing && await sessions.updateSession(job.workspaceId, refreshing.id, { research }))
+            || await sessions.createSession(job.workspaceId, job.userId, {
+                guestName: job.guestName,
+                context: job.context,
+                research,
+            });
+        await documents.attachDocuments(job.workspaceId, job.documentIds || [], session.id);
+        outcome = { status: 'completed', sessionId: session.id };
+    } catch (err) {
+        if (signal.aborted) {
+            console.log(`⏹️  Job ${job.id} cancelled`);
+            outcome = { status: 'cancelled' };
+        } else {
+            console.error(`Job ${job.id} failed:`, err);
+            outcome = { status: 'failed', error: err.message };
+        }
+    }
+
+    try {
+        const updated = await jobs.update(job.id, { ...outcome, finishedAt: new Date().toISOString() });
+        if (outcome.status === 'completed') emit(job.id, 'result', { sessionId: outcome.sessionId });
+        else if (outcome.status === 'cancelled') emit(job.id, 'cancelled', { message: 'Research cancelled' });
+        else emit(job.id, 'error', { message: outcome.error });
+        await state.writes;
+
+        // Deleted along with its workspace or account while it ran
+        if (!updated) await jobEvents.removeWhere({ jobId: job.id });
+    } catch (err) {
+        console.error(`Could not finish job ${job.id}:`, err);
+    } finally {
+        active.delete(job.id);
+    }
+}
+
+// ── Video Review ──
+
+// Pause the run until the user reviews the candidate videos (submitReview);
+// after REVIEW_TIMEOUT_MINUTES it carries on with all of them
+function awaitReview(jobId, videos, signal) {
+    const state = active.get(jobId);
+    emit(jobId, 'review', {
+        videos: videos.map(v => ({
+            videoId: v.videoId,
+            title: v.title,
+            channelTitle: v.channelTitle,
+            publishedAt: v.publishedAt,
+            thumbnail: v.thumbnail,
+            description: (v.description || '').substring(0, 200),
+            relevance: v.relevance || null,
+        })),
+        timeoutMinutes: REVIEW_TIMEOUT_MINUTES,
+    });
+
+    return new Promise((resolve, reject) => {
+        const settle = () => {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+            state.review = null;
+        };
+        const onAbort = () => {
+            settle();
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            settle();
+            emit(jobId, 'progress', { step: 'review', status: 'active', message: `No review after ${REVIEW_TIMEOUT_MINUTES} minutes, continuing with every video` });
+            resolve({});
+        }, REVIEW_TIMEOUT_MINUTES * 60 * 1000);
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        state.review = review => {
+            settle();
+            resolve(review);
+        };
+    });
+}
+
+// Continue a job paused for review; `review` comes from youtube.normalizeReview()
+async function submitReview(workspaceId, jobId, review) {
+    const job = await getJob(workspaceId, jobId);
+    if (!job) return { success: false, status: 404, error: 'Job not found' };
+
+    const run = active.get(jobId);
+    if (!run || !run.review) return { success: false, status: 409, error: 'This research isn\'t waiting for a review' };
+
+    run.review(review);
+    return { success: true };
+}
+
+// ── Read / Cancel ──
+async function getJob(workspaceId, jobId) {
+    const job = await jobs.findById(jobId);
+    return job && job.workspaceId === workspaceId ? describe(job) : null;
+}
+
+// The caller's most recent jobs in the workspace, newest first
+async function listJobs(workspaceId, userId, { status } = {}) {
+    const filter = { workspaceId, userId };
+    if (status) filter.status = status;
+    const list = await jobs.find(filter, { sort: { createdAt: -1 }, limit: 20 });
+    return list.map(describe);
+}
+
+// Aborts the run, including in-flight YouTube and Gemini requests; the
+// 'cancelled' event follows once the pipeline has unwound
+async function cancelJob(workspaceId, jobId) {
+    const job = await getJob(workspaceId, jobId);
+    if (!job) return { success: false, status: 404, error: 'Job not found' };
+
+    const run = active.get(jobId);
+    if (!run) return { success: false, status: 409, error: 'This research has already finished' };
+
+    run.controller.abort();
+    return { success: true };
+}
+
+// ── Cleanup ──
+
+// Stop and delete jobs (with their events), e.g. when a workspace or account goes away
+async function purgeJobs(filter) {
+    for (const job of await jobs.find(filter, { fields: ['id'] })) {
+        const run = active.get(job.id);
+        if (run) run.controller.abort();
+        await jobEvents.removeWhere({ jobId: job.id });
+        await jobs.remove(job.id);
+    }
+}
+
+async function pruneFinishedJobs() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await purgeJobs({ status: { $ne: 'running' }, finishedAt: { $lt: cutoff } });
+}
+
+// Jobs left "running" by a previous process can't be resumed; fail them so
+// clients following them get a final event
+async function recoverInterruptedJobs() {
+    try {
+        const orphaned = await jobs.find({ status: 'running' });
+        for (const job of orphaned) {
+            if (active.has(job.id)) continue;
+            const [last] = await jobEvents.find({ jobId: job.id }, { sort: { seq: -1 }, limit: 1 });
+            const message = 'Research was interrupted by a server restart. Please start it again.';
+            await jobEvents.create({ jobId: job.id, seq: (last ? last.seq : 0) + 1, type: 'error', data: { message }, createdAt: new Date().toISOString() });
+            await jobs.update(job.id, { status: 'failed', error: message, finishedAt: new Date().toISOString() });
+        }
+        if (orphaned.length > 0) console.log(`⚠️  Marked ${orphaned.length} interrupted research job(s) as failed`);
+    } catch (err) {
+        console.error('Could not recover interrupted research jobs:', err);
+    }
+}
+
+module.exports = {
+    startResearchJob,
+    followJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    submitReview,
+    purgeJobs,
+    recoverInterruptedJobs,
+};
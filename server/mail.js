@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Outgoing mail. The transport is chosen with MAIL_TRANSPORT:
+ *   console (default) — print the message to the server log
+ *   file              — write each message as JSON into MAIL_DIR (default data/mail/)
+ * Other transports (SMTP, an email API, ...) plug in with registerTransport(name, send),
+ * where send({ from, to, subject, text, html }) returns a promise.
+ */
+const MAIL_FROM = process.env.MAIL_FROM || 'InterviewIQ <no-reply@interviewiq.local>';
+
+// Public base URL that links in emails point to
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'data', 'mail');
+
+const transports = {
+    async console(message) {
+        console.log(`\n📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`);
+    },
+
+    async file(message) {
+        if (!fs.existsSync(MAIL_DIR)) fs.mkdirSync(MAIL_DIR, { recursive: true });
+        const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+        const file = path.join(MAIL_DIR, `${Date.now()}-${safeTo}.json`);
+        fs.writeFileSync(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2), 'utf-8');
+        console.log(`📧 Mail to ${message.to} written to ${file}`);
+    },
+};
+
+function registerTransport(name, send) {
+    transports[name] = send;
+}
+
+async function sendMail({ to, subject, text, html }) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    await transport({ from: MAIL_FROM, to, subject, text, html: html || '' });
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+module.exports = { sendMail, registerTransport, escapeHtml, APP_URL };
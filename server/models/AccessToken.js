@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Personal access token for scripts; only its hash is stored
+const accessTokenSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    scopes: {
+        type: [String],
+        default: []
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // First characters of the token, shown so users can tell tokens apart
+    prefix: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    // null = never expires
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One signed-in device: holds the hash of its current rotating refresh token
+const authSessionSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Hash of the token this one replaced — seeing it again means the token was stolen
+    previousTokenHash: {
+        type: String,
+        default: '',
+        index: true
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const cacheEntrySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // User whose research last wrote the entry (purged with their account)
+    userId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    // MongoDB's TTL monitor removes the entry once this date passes
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A file uploaded as research input (book chapter, press kit, talk transcript),
+// stored as its extracted text; attached to the session its research produced
+const documentSchema = new mongoose.Schema({
+    workspaceId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Member who uploaded it
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Research session it belongs to; null until a research run has used it
+    sessionId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['txt', 'md', 'pdf', 'srt', 'vtt', 'docx']
+    },
+    size: {
+        type: Number,
+        default: 0
+    },
+    text: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Document', documentSchema);
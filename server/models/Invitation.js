@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Emailed invitation to join a workspace; only the hash of the link token is stored
+const invitationSchema = new mongoose.Schema({
+    workspaceId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    role: {
+        type: String,
+        required: true,
+        enum: ['owner', 'editor', 'viewer']
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    invitedBy: {
+        type: String,
+        required: true
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One progress/result event of a research job, replayed to reconnecting clients
+const jobEventSchema = new mongoose.Schema({
+    jobId: {
+        type: String,
+        required: true
+    },
+    // 1, 2, 3... within the job; sent to clients as the SSE event id
+    seq: {
+        type: Number,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['progress', 'review', 'result', 'error', 'cancelled']
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+jobEventSchema.index({ jobId: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobEvent', jobEventSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A user's role in a workspace
+const membershipSchema = new mongoose.Schema({
+    workspaceId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    role: {
+        type: String,
+        required: true,
+        enum: ['owner', 'editor', 'viewer']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+membershipSchema.index({ workspaceId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Membership', membershipSchema);
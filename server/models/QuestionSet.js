@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const questionSetSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    workspaceId: {
+        type: String,
+        index: true
+    },
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    guestContext: {
+        type: String,
+        default: ''
+    },
+    questionCount: {
+        type: Number,
+        default: 0
+    },
+    // generateQuestions() output: { guestAnalysis, categories: [...] }
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('QuestionSet', questionSetSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A deep-research run executing in the background; its progress lives in JobEvent
+const researchJobSchema = new mongoose.Schema({
+    workspaceId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Member who started it
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    guestName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    context: {
+        type: String,
+        default: ''
+    },
+    forceRefresh: {
+        type: Boolean,
+        default: false
+    },
+    // Research providers picked for this run (empty = the defaults)
+    sources: {
+        type: [String],
+        default: []
+    },
+    // Uploaded documents (Document ids) the run reads
+    documentIds: {
+        type: [String],
+        default: []
+    },
+    // Pause after the YouTube search so the user can pick the videos
+    reviewVideos: {
+        type: Boolean,
+        default: false
+    },
+    // Guest picked in the disambiguation step (see identity.js); null = the name as typed
+    identity: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Research session whose dossier this run brings up to date; null = a new dossier
+    refreshSessionId: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: ['running', 'completed', 'failed', 'cancelled'],
+        index: true
+    },
+    // Research session the result was saved to (completed jobs)
+    sessionId: {
+        type: String,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('ResearchJob', researchJobSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const researchSessionSchema = new mongoose.Schema({
+    workspaceId: {
+        type: String,
+        index: true
+    },
+    // Member who created it
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    title: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    guestName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    context: {
+        type: String,
+        default: ''
+    },
+    // Full deepResearch() result (interviews, analysis, web profile)
+    research: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('ResearchSession', researchSessionSchema);
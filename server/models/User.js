@@ -24,6 +24,12 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // UUID the account had in data/users.json before moving to MongoDB
+    legacyId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
     googleId: {
         type: String,
         unique: true,
@@ -41,6 +47,19 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Consecutive failed password logins and the lockout they triggered
+    failedLoginCount: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
     profileComplete: {
         type: Boolean,
         default: false
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Single-use, expiring token sent by email (password reset, email verification)
+const userTokenSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['password_reset', 'email_verification']
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
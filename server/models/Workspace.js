@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A show's shared space: channel profile, API keys, saved research and question sets
+const workspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    ownerId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Created automatically for every account; can't be deleted
+    personal: {
+        type: Boolean,
+        default: false
+    },
+    channelDescription: {
+        type: String,
+        default: ''
+    },
+    interviewerStyle: {
+        type: String,
+        default: ''
+    },
+    youtubeApiKey: {
+        type: String,
+        default: ''
+    },
+    geminiApiKey: {
+        type: String,
+        default: ''
+    },
+    // Podcast RSS/Atom feeds researched for guests: { id, url, title, addedAt }
+    podcastFeeds: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const storage = require('./storage');
+const cache = require('./cache');
+
+/**
+ * Podcast feeds: the RSS/Atom feeds a workspace follows (added by URL or from an
+ * OPML export of a podcast app), plus fetching and parsing them for research.
+ *
+ * Feeds are parsed with a few regular expressions rather than a full XML parser:
+ * podcast feeds are flat lists of <item>/<entry> elements, and anything we can't
+ * read is skipped. Parsed episodes and transcripts go through the shared cache.
+ */
+const workspaces = storage.repository('workspaces');
+
+const MAX_FEEDS = 100;
+const MAX_EPISODES = 500;          // newest episodes kept per feed
+const MAX_NOTES_CHARS = 5000;      // show notes per episode
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+const FETCH_TIMEOUT = 20000;
+const MAX_REDIRECTS = 5;
+
+// ── Feed List ──
+
+async function listFeeds(workspaceId) {
+    const workspace = await workspaces.findById(workspaceId);
+    return workspace ? workspace.podcastFeeds || [] : null;
+}
+
+// Add feeds given as { url, title }; duplicates and invalid URLs are skipped
+async function addFeeds(workspaceId, entries) {
+    const workspace = await workspaces.findById(workspaceId);
+    if (!workspace) return { success: false, status: 404, error: 'Workspace not found' };
+
+    const feeds = workspace.podcastFeeds || [];
+    const known = new Set(feeds.map(f => f.url));
+    const added = [];
+    let skipped = 0;
+
+    for (const entry of entries) {
+        const url = normalizeUrl(entry.url);
+        if (!url || known.has(url) || feeds.length + added.length >= MAX_FEEDS) {
+            skipped++;
+            continue;
+        }
+        known.add(url);
+        added.push({ id: crypto.randomUUID(), url, title: (entry.title || '').trim() || url, addedAt: new Date().toISOString() });
+    }
+
+    if (added.length > 0) {
+        await workspaces.update(workspaceId, { podcastFeeds: [...feeds, ...added], updatedAt: new Date().toISOString() });
+    }
+    return { success: true, added, skipped };
+}
+
+// Add one feed by URL, checking that it really is a podcast feed first
+async function addFeed(workspaceId, rawUrl) {
+    const url = normalizeUrl(rawUrl);
+    if (!url) return { success: false, error: 'Enter the http(s) address of a podcast RSS feed' };
+
+    let feed;
+    try {
+        feed = await fetchFeed(url, { forceRefresh: true });
+    } catch (err) {
+        return { success: false, error: `Couldn't read that feed: ${err.message}` };
+    }
+
+    const result = await addFeeds(workspaceId, [{ url, title: feed.title }]);
+    if (!result.success) return result;
+    if (result.added.length === 0) {
+        return { success: false, error: `That feed is already added (or you've reached ${MAX_FEEDS} feeds)` };
+    }
+    return { success: true, feed: result.added[0], episodeCount: feed.episodes.length };
+}
+
+async function importOpml(workspaceId, opml) {
+    const outlines = parseOpml(opml || '');
+    if (outlines.length === 0) return { success: false, error: 'No podcast feeds found in that OPML file' };
+    return addFeeds(workspaceId, outlines);
+}
+
+async function removeFeed(workspaceId, feedId) {
+    const workspace = await workspaces.findById(workspaceId);
+    if (!workspace) return { success: false, status: 404, error: 'Workspace not found' };
+
+    const feeds = workspace.podcastFeeds || [];
+    if (!feeds.some(f => f.id === feedId)) return { success: false, status: 404, error: 'Feed not found' };
+
+    await workspaces.update(workspaceId, { podcastFeeds: feeds.filter(f => f.id !== feedId), updatedAt: new Date().toISOString() });
+    return { success: true };
+}
+
+// Feed and transcript URLs are fetched by the server: only public http(s) addresses are accepted
+function normalizeUrl(raw) {
+    let url;
+    try {
+        url = new URL(String(raw || '').trim());
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return null;
+    if (net.isIP(host) && isPrivateIp(host)) return null;
+
+    url.hash = '';
+    return url.toString();
+}
+
+function isPrivateIp(ip) {
+    if (net.isIPv6(ip)) {
+        return ip === '::1' || ip === '::' || /^(fc|fd|fe80)/i.test(ip) || ip.startsWith('::ffff:');
+    }
+    const [a, b] = ip.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+}
+
+// The URL, normalized, when its host only resolves to public addresses. Checked
+// on every redirect hop, so a feed can't point the server at an internal service
+async function publicUrl(raw) {
+    const url = normalizeUrl(raw);
+    if (!url) throw new Error('Only public http(s) addresses can be fetched');
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true, verbatim: true });
+    if (addresses.length === 0 || addresses.some(a => isPrivateIp(a.address))) {
+        throw new Error('Only public http(s) addresses can be fetched');
+    }
+    return url;
+}
+
+// A link shown on the research page: http(s) only, normalized, '' otherwise
+function normalizeLink(raw) {
+    try {
+        const url = new URL(String(raw || '').trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : '';
+    } catch {
+        return '';
+    }
+}
+
+// ── Fetching ──
+
+// GET a public URL as text, following up to MAX_REDIRECTS redirects to public
+// URLs, and giving up after FETCH_TIMEOUT or when `signal` aborts
+async function fetchText(url, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('Request timed out')), FETCH_TIMEOUT);
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        let res;
+        for (let hops = 0; ; hops++) {
+            url = await publicUrl(url);
+            res = await fetch(url, {
+                headers: { 'User-Agent': 'InterviewIQ/1.0 (podcast research)' },
+                signal: controller.signal,
+                redirect: 'manual',
+            });
+            const location = res.status >= 300 && res.status < 400 && res.headers.get('location');
+            if (!location) break;
+            await res.body?.cancel();
+            if (hops >= MAX_REDIRECTS) throw new Error('Too many redirects');
+            url = new URL(location, url).toString();
+        }
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        if (Number(res.headers.get('content-length')) > MAX_DOWNLOAD_BYTES) throw new Error('File is too large');
+
+        return await readLimited(res, controller);
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+}
+
+// The body as text, aborting the download once it passes MAX_DOWNLOAD_BYTES
+// (content-length is optional, so it can't be trusted to catch that up front)
+async function readLimited(res, controller) {
+    const chunks = [];
+    let bytes = 0;
+    for await (const chunk of res.body || []) {
+        bytes += chunk.length;
+        if (bytes > MAX_DOWNLOAD_BYTES) {
+            const err = new Error('File is too large');
+            controller.abort(err);
+            throw err;
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Fetch and parse a feed → { title, language, episodes }.
+ * Cached per URL; options: { forceRefresh, userId, signal }.
+ */
+async function fetchFeed(url, options = {}) {
+    const cacheKey = cache.keys.podcastFeed(url);
+    if (!options.forceRefresh) {
+        const cached = await cache.get(cacheKey);
+        if (cached) return cached;
+    }
+
+    const feed = parseFeed(await fetchText(url, options.signal));
+    if (!feed) throw new Error('Not an RSS or Atom feed');
+
+    await cache.set(cacheKey, feed, cache.TTL.podcastFeed, options.userId);
+    return feed;
+}
+
+/**
+ * Fetch an episode transcript (podcast:transcript) as plain text.
+ * Returns '' when it can't be read; cached per URL.
+ */
+async function fetchTranscript(transcript, options = {}) {
+    const cacheKey = cache.keys.podcastTranscript(transcript.url);
+    if (!options.forceRefresh) {
+        const cached = await cache.get(cacheKey);
+        if (cached !== undefined) return cached;
+    }
+
+    let text = '';
+    try {
+        text = transcriptToText(await fetchText(transcript.url, options.signal), transcript.type);
+    } catch (err) {
+        if (options.signal?.aborted) throw err;
+        console.log(`    ⚠️ Podcast transcript unavailable (${transcript.url}): ${err.message}`);
+    }
+
+    await cache.set(cacheKey, text, text ? cache.TTL.transcript : cache.TTL.missingTranscript, options.userId);
+    return text;
+}
+
+// ── Parsing ──
+
+function decodeEntities(str) {
+    return str
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+// Text content of an element, with CDATA unwrapped and entities decoded
+function textOf(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    if (!match) return '';
+    const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1].trim() : decodeEntities(match[1]).trim();
+}
+
+function attrsOf(tagSource) {
+    const attrs = {};
+    for (const m of tagSource.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attrs[m[1].toLowerCase()] = decodeEntities(m[3] !== undefined ? m[3] : m[4]);
+    }
+    return attrs;
+}
+
+// Every occurrence of a (usually self-closing) element, as attribute maps
+function tagsOf(xml, tag) {
+    return [...xml.matchAll(new RegExp(`<${tag}\\b([^>]*)>`, 'gi'))].map(m => attrsOf(m[1]));
+}
+
+function stripHtml(html) {
+    return decodeEntities(html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<br\s*\/?>|<\/p>|<\/li>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+function parseFeed(xml) {
+    const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+    const itemTag = isAtom ? 'entry' : 'item';
+    const blocks = [...xml.matchAll(new RegExp(`<${itemTag}[\\s>][\\s\\S]*?</${itemTag}>`, 'gi'))].map(m => m[0]);
+    if (blocks.length === 0 && !/<(rss|feed|channel)[\s>]/i.test(xml)) return null;
+
+    const head = xml.split(new RegExp(`<${itemTag}[\\s>]`, 'i'))[0];
+
+    const episodes = blocks.slice(0, MAX_EPISODES).map(block => {
+        const links = tagsOf(block, 'link');
+        const atomLink = links.find(l => l.href && (!l.rel || l.rel === 'alternate'));
+        const notes = textOf(block, 'content:encoded') || textOf(block, 'description') ||
+            textOf(block, 'itunes:summary') || textOf(block, 'summary') || textOf(block, 'content');
+
+        return {
+            title: stripHtml(textOf(block, 'title')),
+            notes: stripHtml(notes).substring(0, MAX_NOTES_CHARS),
+            publishedAt: toIso(textOf(block, 'pubDate') || textOf(block, 'published') || textOf(block, 'updated')),
+            link: normalizeLink((atomLink && atomLink.href) || textOf(block, 'link')),
+            audioUrl: normalizeLink((tagsOf(block, 'enclosure')[0] || {}).url || (links.find(l => l.rel === 'enclosure') || {}).href),
+            transcripts: tagsOf(block, 'podcast:transcript')
+                .map(t => ({ url: normalizeUrl(t.url), type: (t.type || '').toLowerCase() }))
+                .filter(t => t.url),
+        };
+    }).filter(e => e.title);
+
+    return {
+        title: stripHtml(textOf(head, 'title')),
+        language: textOf(head, 'language'),
+        episodes,
+    };
+}
+
+function toIso(date) {
+    const time = Date.parse(date);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// <outline type="rss" xmlUrl="..." text="..."> entries of an OPML subscription list
+function parseOpml(opml) {
+    return tagsOf(opml, 'outline')
+        .filter(o => o.xmlurl)
+        .map(o => ({ url: o.xmlurl, title: o.title || o.text || '' }));
+}
+
+// podcast:transcript files come as SRT, WebVTT, HTML, JSON or plain text
+function transcriptToText(body, type = '') {
+    if (type.includes('json') || /^\s*\{/.test(body)) {
+        try {
+            const data = JSON.parse(body);
+            return (data.segments || []).map(s => s.body).join(' ').replace(/\s+/g, ' ').trim();
+        } catch { /* fall through to plain text */ }
+    }
+    if (type.includes('html')) return stripHtml(body).replace(/\s+/g, ' ');
+
+    // SRT / VTT: drop headers, cue numbers, timestamps and voice tags
+    return body
+        .replace(/^WEBVTT.*$/m, '')
+        .split('\n')
+        .filter(line => !/^\s*\d+\s*$/.test(line) && !/-->/.test(line) && !/^(NOTE|STYLE|REGION)\b/.test(line))
+        .join(' ')
+        .replace(/<v\s+([^>]+)>/g, '$1: ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    listFeeds,
+    addFeed,
+    importOpml,
+    removeFeed,
+    fetchFeed,
+    fetchTranscript,
+    transcriptToText,
+};
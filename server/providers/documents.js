@@ -0,0 +1,37 @@
+const documents = require('../documents');
+
+/**
+ * Uploaded documents provider: the files picked for this run (book chapters,
+ * press kits, talk transcripts) go into the deep analysis as-is. Their text was
+ * extracted at upload, so this only loads it.
+ */
+async function run({ documentIds, workspaceId }, { onProgress }) {
+    if (!documentIds || documentIds.length === 0) return {};
+
+    const docs = await documents.findDocuments(workspaceId, documentIds);
+    onProgress({ step: 'documents', status: 'done', message: `Read ${docs.length} uploaded documents` });
+    console.log(`  📄 Documents: ${docs.length} uploaded`);
+
+    return {
+        content: docs.map(doc => ({
+            title: doc.name,
+            channelTitle: 'Uploaded document',
+            transcript: doc.text,
+            lang: 'unknown',
+            source: 'document',
+        })),
+        fields: {
+            documents: docs.map(doc => ({ id: doc.id, name: doc.name, type: doc.type, chars: doc.text.length })),
+        },
+    };
+}
+
+module.exports = {
+    name: 'documents',
+    label: 'Uploaded documents',
+    description: 'Files you attach to the research: book chapters, press kits, talk transcripts',
+    step: 'documents',
+    inputs: ['documentIds', 'workspaceId'],
+    fields: { documents: [] },
+    run,
+};
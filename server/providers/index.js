@@ -0,0 +1,144 @@
+/**
+ * Research source providers.
+ *
+ * Every source deepResearch() can draw on is a provider object registered here:
+ *
+ *   name            id used to pick sources for a request ('youtube', 'web', ...)
+ *   label           shown in the UI and in progress messages
+ *   description     one line for the source picker
+ *   step            progress step its updates (and failures) are reported under
+ *   inputs          request fields it reads: 'guestName', 'context', 'identity'
+ *                   (the person picked in disambiguation, or null), 'workspaceId',
+ *                   'documentIds'
+ *   keys            API keys it can't run without ('youtubeApiKey', 'geminiApiKey');
+ *                   the workspace's own key or the server's .env key both count
+ *   section         heading its text gets in the combined dossier (topicsSummary),
+ *                   for providers that return text
+ *   fields          properties it adds to the research result, with the values used
+ *                   when it doesn't run, so results always have the same shape
+ *   defaultEnabled  whether it runs when a request doesn't pick sources
+ *   run(input, ctx) → { text, content, listings, fields } (all optional)
+ *       input    the declared inputs only
+ *       ctx      { keys, isPro, cacheOptions, signal, onProgress, reviewVideos, since }
+ *                (reviewVideos is set when the user asked to review YouTube results;
+ *                since, an ISO date, when refreshing a saved dossier: sources
+ *                that can should only return material published after it)
+ *       text     what goes under `section` ('' when nothing was found)
+ *       content  interviews to deep-read together with every other source's:
+ *                [{ title, channelTitle, lang, transcript, source }]
+ *       listings interviews as { title, channelTitle, publishedAt, description },
+ *                analyzed from titles alone if the deep analysis can't run
+ *       fields   values for the declared fields
+ *
+ * Providers report their own progress through ctx.onProgress; a provider that
+ * throws is marked failed without stopping the others. To add a source, write
+ * a provider module and register it below — the orchestrator needs no changes.
+ */
+const registry = [];
+
+// .env fallbacks for workspace API keys
+const ENV_KEYS = {
+    youtubeApiKey: 'YOUTUBE_API_KEY',
+    geminiApiKey: 'GEMINI_API_KEY',
+};
+
+const KEY_LABELS = {
+    youtubeApiKey: 'YouTube API key',
+    geminiApiKey: 'Gemini API key',
+};
+
+function registerProvider(provider) {
+    if (registry.some(p => p.name === provider.name)) {
+        throw new Error(`Research provider "${provider.name}" is already registered`);
+    }
+    registry.push({ inputs: [], keys: [], fields: {}, defaultEnabled: true, ...provider });
+}
+
+function getProvider(name) {
+    return registry.find(p => p.name === name) || null;
+}
+
+// Keys the provider needs that neither the workspace nor the server has
+function missingKeys(provider, keys = {}) {
+    return provider.keys.filter(k => !keys[k] && !process.env[ENV_KEYS[k]]);
+}
+
+// Sources for the source picker, with whether they can run on these keys
+function listProviders(keys = {}) {
+    return registry.map(p => {
+        const missing = missingKeys(p, keys);
+        return {
+            name: p.name,
+            label: p.label,
+            description: p.description,
+            defaultEnabled: p.defaultEnabled,
+            available: missing.length === 0,
+            unavailableReason: missing.length > 0 ? `Needs a ${missing.map(k => KEY_LABELS[k]).join(' and ')}` : null,
+        };
+    });
+}
+
+// Providers for a request, in registry order; no selection means the defaults
+function selectProviders(names) {
+    if (!names || names.length === 0) return registry.filter(p => p.defaultEnabled);
+    return registry.filter(p => names.includes(p.name));
+}
+
+// Names that don't match a registered provider
+function unknownSources(names = []) {
+    return names.filter(name => !getProvider(name));
+}
+
+// Result fields of every provider at their "didn't run" values
+function defaultFields() {
+    return Object.assign({}, ...registry.map(p => p.fields));
+}
+
+function pick(obj, fields) {
+    const out = {};
+    for (const f of fields) out[f] = obj[f];
+    return out;
+}
+
+/**
+ * Run providers in parallel. Resolves to one entry per provider:
+ * { provider, status: 'done' | 'failed' | 'skipped', output?, error? }.
+ * Rejects only if ctx.signal is aborted.
+ */
+async function runProviders(providers, input, ctx) {
+    return Promise.all(providers.map(async provider => {
+        const missing = missingKeys(provider, ctx.keys);
+        if (missing.length > 0) {
+            const error = `${missing.map(k => KEY_LABELS[k]).join(' and ')} is missing. Please configure it in Settings.`;
+            ctx.onProgress({ step: provider.step, status: 'error', message: `${provider.label} skipped: ${error}` });
+            return { provider, status: 'skipped', error };
+        }
+
+        try {
+            const output = await provider.run(pick(input, provider.inputs), ctx);
+            return { provider, status: 'done', output };
+        } catch (err) {
+            ctx.signal?.throwIfAborted();
+            console.error(`${provider.label} research failed:`, err.message);
+            ctx.onProgress({ step: provider.step, status: 'error', message: `${provider.label} failed: ${err.message}` });
+            return { provider, status: 'failed', error: err.message };
+        }
+    }));
+}
+
+// Built-in sources; their order is the section order in the dossier
+registerProvider(require('./youtube'));
+registerProvider(require('./podcasts'));
+registerProvider(require('./documents'));
+registerProvider(require('./wikipedia'));
+registerProvider(require('./web'));
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders,
+    selectProviders,
+    unknownSources,
+    defaultFields,
+    runProviders,
+};
@@ -0,0 +1,133 @@
+const podcasts = require('../podcasts');
+const { namesOf } = require('../identity');
+
+/**
+ * Podcast source: audio-only interviews from the RSS/Atom feeds the workspace
+ * follows (Settings → Podcast Feeds). Episodes whose title or show notes mention
+ * the guest are read — their podcast:transcript when the feed links one, the show
+ * notes otherwise — and go into the combined deep analysis with the YouTube content.
+ */
+const FEED_BATCH = 4;             // feeds fetched at once
+const MAX_EPISODES_FREE = 15;     // matched episodes read per run
+const MAX_EPISODES_PRO = 50;
+
+// Transcript formats in order of preference (JSON and VTT usually name speakers)
+const TRANSCRIPT_TYPES = ['application/json', 'text/vtt', 'application/x-subrip', 'application/srt', 'text/html', 'text/plain'];
+
+// Same loose matching as the YouTube relevance filter: full name or an alias,
+// or first and last name
+function mentionsGuest(text, guestName, identity) {
+    const all = text.toLowerCase();
+    const fullName = guestName.toLowerCase();
+    const nameParts = fullName.split(/\s+/).filter(p => p.length > 2);
+    const firstName = nameParts[0] || '';
+    const lastName = nameParts[nameParts.length - 1] || '';
+
+    if (namesOf(guestName, identity).some(name => all.includes(name.toLowerCase()))) return true;
+    return !!(firstName && lastName && firstName !== lastName && all.includes(firstName) && all.includes(lastName));
+}
+
+function pickTranscript(transcripts) {
+    const rank = t => {
+        const i = TRANSCRIPT_TYPES.indexOf(t.type);
+        return i === -1 ? TRANSCRIPT_TYPES.length : i;
+    };
+    return [...transcripts].sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+async function run({ guestName, identity, workspaceId }, { isPro, cacheOptions, signal, onProgress, since }) {
+    const feeds = (await podcasts.listFeeds(workspaceId)) || [];
+    if (feeds.length === 0) {
+        onProgress({ step: 'podcasts', status: 'done', message: 'No podcast feeds added yet (Settings → Podcast Feeds)' });
+        return { fields: {} };
+    }
+
+    // ─── Scan feeds for episodes with the guest ──────────
+    onProgress({ step: 'podcasts', status: 'active', message: `Scanning ${feeds.length} podcast feeds for ${guestName}...` });
+
+    const matches = [];
+    let failedFeeds = 0;
+    for (let i = 0; i < feeds.length; i += FEED_BATCH) {
+        signal?.throwIfAborted();
+        const batch = feeds.slice(i, i + FEED_BATCH);
+        const parsed = await Promise.allSettled(batch.map(feed => podcasts.fetchFeed(feed.url, cacheOptions)));
+        signal?.throwIfAborted();
+
+        parsed.forEach((result, j) => {
+            if (result.status === 'rejected') {
+                failedFeeds++;
+                console.log(`    ⚠️ Podcast feed failed (${batch[j].url}): ${result.reason?.message}`);
+                return;
+            }
+            const show = result.value.title || batch[j].title;
+            for (const episode of result.value.episodes) {
+                if (since && !(episode.publishedAt > since)) continue; // Refresh: only episodes out since the last run
+                if (mentionsGuest(`${episode.title}\n${episode.notes}`, guestName, identity)) {
+                    matches.push({ ...episode, show, language: result.value.language });
+                }
+            }
+        });
+
+        onProgress({
+            step: 'podcasts', status: 'active',
+            message: `Scanned ${Math.min(i + FEED_BATCH, feeds.length)}/${feeds.length} feeds · ${matches.length} episodes mention ${guestName}`,
+        });
+    }
+    matches.sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+
+    // ─── Read the newest matches ──────────
+    const toRead = matches.slice(0, isPro ? MAX_EPISODES_PRO : MAX_EPISODES_FREE);
+    const content = [];
+    let transcriptsRead = 0;
+
+    for (const episode of toRead) {
+        signal?.throwIfAborted();
+        const file = pickTranscript(episode.transcripts);
+        const transcript = file ? await podcasts.fetchTranscript(file, cacheOptions) : '';
+        const hasTranscript = transcript.length > 100;
+        if (hasTranscript) transcriptsRead++;
+        if (!hasTranscript && !episode.notes) continue;
+
+        content.push({
+            title: episode.title,
+            channelTitle: episode.show,
+            transcript: hasTranscript ? transcript : episode.notes,
+            lang: episode.language || 'unknown',
+            source: hasTranscript ? 'podcast-transcript' : 'podcast-notes',
+            publishedAt: episode.publishedAt || null,
+            link: episode.link || episode.audioUrl || null,
+        });
+    }
+
+    const failedNote = failedFeeds > 0 ? ` · ${failedFeeds} feeds unreachable` : '';
+    onProgress({
+        step: 'podcasts', status: 'done',
+        message: `Found ${matches.length} podcast episodes with ${guestName} · ${transcriptsRead} transcripts, ${content.length - transcriptsRead} show notes read${failedNote}`,
+    });
+    console.log(`  🎧 Podcasts: ${matches.length} matching episodes in ${feeds.length} feeds, ${transcriptsRead} transcripts read`);
+
+    return {
+        content,
+        listings: matches.map(e => ({ title: e.title, channelTitle: e.show, publishedAt: e.publishedAt, description: e.notes })),
+        fields: {
+            podcastEpisodes: matches.map(e => ({
+                title: e.title,
+                show: e.show,
+                publishedAt: e.publishedAt,
+                link: e.link,
+                audioUrl: e.audioUrl,
+                hasTranscript: e.transcripts.length > 0,
+            })),
+        },
+    };
+}
+
+module.exports = {
+    name: 'podcasts',
+    label: 'Podcasts',
+    description: 'Episodes from your podcast feeds that mention the guest: transcripts and show notes',
+    step: 'podcasts',
+    inputs: ['guestName', 'identity', 'workspaceId'],
+    fields: { podcastEpisodes: [] },
+    run,
+};
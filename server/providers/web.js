@@ -0,0 +1,120 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { describeIdentity } = require('../identity');
+
+// Create Gemini client — uses custom key if available, otherwise .env
+function getGenAI(customKey) {
+    return new GoogleGenerativeAI(customKey || process.env.GEMINI_API_KEY);
+}
+
+async function run({ guestName, identity }, { keys, signal, onProgress }) {
+    onProgress({ step: 'web_search', status: 'active', message: 'Searching articles, blogs, news, social media...' });
+
+    const web = await webResearch(guestName, keys.geminiApiKey || '', signal, identity);
+    if (!web) throw new Error('Gemini could not research the web');
+
+    onProgress({ step: 'web_search', status: 'done', message: `Read ${web.sources.length} web sources` });
+    return { text: web.profile, fields: { webProfile: web } };
+}
+
+/**
+ * Use Gemini + Google Search grounding to research a guest across the entire web.
+ */
+async function webResearch(guestName, geminiKey = '', signal, identity) {
+    const genAI = getGenAI(geminiKey);
+    const model = genAI.getGenerativeModel({
+        model: 'gemini-2.5-flash',
+        tools: [{ googleSearch: {} }],
+    });
+
+    const identityNote = identity ? describeIdentity(identity) : '';
+    const prompt = `You are a world-class interview researcher. Research "${guestName}" thoroughly across the entire internet and compile a comprehensive dossier.${identityNote ? `\n\n${identityNote}` : ''}
+
+Search for and actually READ:
+1. **News Articles & Press** — Recent coverage, press releases, op-eds, speeches. Read actual articles.
+2. **Blog Posts & Writings** — Blogs by or about ${guestName}. Personal websites, Medium, LinkedIn articles.
+3. **Social Media** — X/Twitter, Instagram, LinkedIn activity. What do they post? Tone? Viral posts?
+4. **Reddit / Forums** — AMAs, discussions, fan opinions, controversies.
+5. **Books / Publications** — Books written, forewords, publications.
+6. **Podcast Appearances** — Podcast databases listing their appearances.
+7. **Wikipedia / Bio Sources** — Comprehensive background.
+
+Compile findings as:
+
+BACKGROUND:
+[Who they are — 2-3 detailed sentences]
+
+RECENT NEWS & EVENTS (Last 12 Months):
+[Specific dates and events]
+
+ARTICLES & WRITINGS ABOUT THEM:
+[Source and key points]
+
+SOCIAL MEDIA PRESENCE:
+[Platform-by-platform breakdown]
+
+BOOKS & PUBLICATIONS:
+[Any authored or featured works]
+
+CONTROVERSIES & SENSITIVE TOPICS:
+[Handle with care but important to know]
+
+CAREER MILESTONES & KEY LIFE EVENTS:
+[Timeline of major moments]
+
+AUDIENCE & FAN BASE:
+[Demographics, sentiment]
+
+PUBLIC PERCEPTION:
+[General public view — positive, negative, polarizing?]`;
+
+    try {
+        console.log('  🌐 Searching the web via Gemini...');
+        const result = await model.generateContent(prompt, { signal });
+        const text = result.response.text();
+
+        const sources = [];
+        try {
+            const candidate = result.response.candidates?.[0];
+            const grounding = candidate?.groundingMetadata;
+            if (grounding?.groundingChunks) {
+                for (const chunk of grounding.groundingChunks) {
+                    if (chunk.web?.uri) {
+                        sources.push({
+                            title: chunk.web.title || new URL(chunk.web.uri).hostname,
+                            url: chunk.web.uri,
+                        });
+                    }
+                }
+            }
+        } catch (metaErr) {
+            console.log('  ⚠️ Could not extract grounding metadata:', metaErr.message);
+        }
+
+        console.log(`  📌 Found ${sources.length} web sources`);
+        return { profile: text, source: 'gemini-google-search', sources };
+    } catch (err) {
+        if (signal?.aborted) return null;
+        console.error('  ❌ Web research failed:', err.message?.substring(0, 200));
+        try {
+            console.log('  🔄 Falling back to Gemini knowledge...');
+            const fallbackModel = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+            const result = await fallbackModel.generateContent(prompt, { signal });
+            return { profile: result.response.text(), source: 'gemini-knowledge', sources: [] };
+        } catch (fallbackErr) {
+            console.error('  ❌ Fallback failed:', fallbackErr.message?.substring(0, 200));
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    name: 'web',
+    label: 'Web',
+    description: 'News, articles, blogs and social media via Gemini with Google Search',
+    step: 'web_search',
+    inputs: ['guestName', 'identity'],
+    keys: ['geminiApiKey'],
+    section: 'WEB INTELLIGENCE',
+    fields: { webProfile: null },
+    run,
+};
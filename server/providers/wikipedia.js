@@ -0,0 +1,84 @@
+const https = require('https');
+
+async function run({ guestName, identity }, { signal, onProgress }) {
+    onProgress({ step: 'wikipedia', status: 'active', message: 'Reading Wikipedia...' });
+
+    const wiki = await fetchWikipedia(guestName, signal, identity?.wikipediaTitle);
+    if (!wiki) console.log('  ℹ️ No Wikipedia article found');
+
+    onProgress({ step: 'wikipedia', status: 'done', message: wiki ? 'Read the Wikipedia article' : 'No Wikipedia article found' });
+    return { text: wiki || '', fields: {} };
+}
+
+/**
+ * Fetch Wikipedia article about the guest.
+ * Uses the Wikipedia REST API for fast, structured data. With the article title
+ * of a picked identity there is no guessing: that article is read or nothing.
+ */
+async function fetchWikipedia(guestName, signal, articleTitle) {
+    function httpsGet(url) {
+        return new Promise((resolve, reject) => {
+            https.get(url, { headers: { 'User-Agent': 'InterviewIQ/1.0' }, signal }, (res) => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => resolve({ status: res.statusCode, data }));
+            }).on('error', reject);
+        });
+    }
+
+    try {
+        // Try Wikipedia Summary API first
+        const encodedName = encodeURIComponent((articleTitle || guestName).replace(/\s+/g, '_'));
+        const summaryUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodedName}`;
+
+        let resp = await httpsGet(summaryUrl);
+
+        // If not found, try Wikipedia search
+        if (resp.status === 404 && !articleTitle) {
+            const searchUrl = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(guestName)}&format=json&srlimit=1`;
+            const searchResp = await httpsGet(searchUrl);
+            const searchData = JSON.parse(searchResp.data);
+
+            if (searchData.query?.search?.[0]?.title) {
+                const title = encodeURIComponent(searchData.query.search[0].title.replace(/\s+/g, '_'));
+                resp = await httpsGet(`https://en.wikipedia.org/api/rest_v1/page/summary/${title}`);
+            }
+        }
+
+        if (resp.status !== 200) return null;
+
+        const summary = JSON.parse(resp.data);
+        if (!summary.extract || summary.type === 'disambiguation') return null;
+
+        // Also fetch full article content for deeper context
+        const fullUrl = `https://en.wikipedia.org/w/api.php?action=query&titles=${encodeURIComponent(summary.title)}&prop=extracts&explaintext=1&format=json`;
+        const fullResp = await httpsGet(fullUrl);
+        const fullData = JSON.parse(fullResp.data);
+        const pages = fullData.query?.pages || {};
+        const pageContent = Object.values(pages)[0]?.extract || '';
+
+        // Combine summary + full content (capped)
+        let wikiText = `WIKIPEDIA: ${summary.title}\n${summary.description || ''}\n\n`;
+        wikiText += `SUMMARY: ${summary.extract}\n\n`;
+        if (pageContent.length > 500) {
+            wikiText += `FULL ARTICLE:\n${pageContent.substring(0, 15000)}`;
+        }
+
+        console.log(`  📖 Wikipedia found: "${summary.title}" (${wikiText.length} chars)`);
+        return wikiText;
+
+    } catch (err) {
+        console.log(`  ℹ️ Wikipedia fetch failed: ${err.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    name: 'wikipedia',
+    label: 'Wikipedia',
+    description: 'Biography and background from the English Wikipedia',
+    step: 'wikipedia',
+    inputs: ['guestName', 'identity'],
+    section: 'WIKIPEDIA',
+    run,
+};
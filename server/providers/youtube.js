@@ -0,0 +1,139 @@
+const { researchGuest: youtubeSearch, applyReview, fetchTranscripts, analyzeVideosWithGemini } = require('../youtube');
+const { attributeSpeakers } = require('../speakers');
+
+/**
+ * YouTube source: past interviews, podcasts and talks.
+ * Results are scored for relevance (relevance.js) and read best first.
+ * Videos WITH transcripts → read the transcript text, split into host and guest turns
+ * Videos WITHOUT transcripts → Gemini "watches" the video by URL
+ * Both go into the combined deep analysis (see research.js).
+ * When the run asks for a review (ctx.reviewVideos), the user checks the search
+ * results before any transcript is fetched.
+ */
+
+const LANG_NAMES = { en: 'English', hi: 'Hindi', es: 'Spanish', fr: 'French', de: 'German', ja: 'Japanese', ko: 'Korean', pt: 'Portuguese', ar: 'Arabic', ru: 'Russian', zh: 'Chinese' };
+
+async function run({ guestName, context, identity }, { keys, isPro, cacheOptions, signal, onProgress, reviewVideos, since }) {
+    const geminiKey = keys.geminiApiKey || '';
+
+    // ─── Step 1: YouTube Search ──────────
+    const sinceNote = since ? ` published since ${since.substring(0, 10)}` : '';
+    onProgress({ step: 'youtube', status: 'active', message: `Searching YouTube for ${guestName} interviews, podcasts, talks${sinceNote}...` });
+
+    const ytResult = await youtubeSearch(guestName, keys.youtubeApiKey || '', isPro, { ...cacheOptions, identity, context, publishedAfter: since });
+    const cachedNote = ytResult.cachedQueries ? ` (${ytResult.cachedQueries} searches from cache)` : '';
+    onProgress({ step: 'youtube', status: 'done', message: `Found ${ytResult.totalInterviewsFound} relevant YouTube videos${sinceNote}${cachedNote}` });
+
+    // ─── Step 1b: Manual Review (optional) ──────────
+    let videos = ytResult.interviews;
+    if (reviewVideos) {
+        onProgress({ step: 'review', status: 'active', message: `Waiting for you to review ${videos.length} videos...` });
+        const review = await reviewVideos(videos);
+        videos = await applyReview(videos, review, keys.youtubeApiKey || '', cacheOptions);
+
+        const kept = new Set(videos.map(v => v.videoId));
+        const removed = ytResult.interviews.filter(v => !kept.has(v.videoId)).length;
+        const added = videos.length - (ytResult.interviews.length - removed);
+        const pinned = videos.filter(v => v.pinned).length;
+        onProgress({
+            step: 'review', status: 'done',
+            message: `Reviewed: ${videos.length} videos kept (${removed} removed, ${added} added, ${pinned} pinned)`
+        });
+    }
+
+    // ─── Step 2: Fetch ALL Transcripts (any language) ──
+    let transcripts = [];
+    let failedVideos = []; // Videos without transcripts → Gemini will analyze these
+
+    if (videos.length > 0) {
+        onProgress({ step: 'transcripts', status: 'active', message: `Reading transcripts from all ${videos.length} videos (any language)...` });
+
+        try {
+            const result = await fetchTranscripts(videos, onProgress, cacheOptions);
+            transcripts = result.transcripts;
+            failedVideos = result.failedVideos;
+
+            const langs = [...new Set(transcripts.map(t => t.lang).filter(l => l && l !== 'unknown' && l !== 'auto'))];
+            const langDisplay = langs.map(l => LANG_NAMES[l] || l).join(', ');
+            const langStr = langDisplay ? ` (${langDisplay})` : '';
+
+            onProgress({
+                step: 'transcripts', status: 'done',
+                message: `Read ${transcripts.length} transcripts${langStr} · ${failedVideos.length} videos need AI analysis`
+            });
+        } catch (err) {
+            signal?.throwIfAborted();
+            console.error('Transcript fetch failed:', err.message);
+            failedVideos = videos; // If fetch crashes, try all with Gemini
+            onProgress({ step: 'transcripts', status: 'error', message: 'Transcript fetching failed, AI will analyze videos directly' });
+        }
+    }
+
+    // ─── Step 2b: Speaker Attribution (host questions vs guest answers) ──
+    if (transcripts.length > 0) {
+        onProgress({ step: 'speakers', status: 'active', message: `Separating host questions from guest answers in ${transcripts.length} transcripts...` });
+
+        try {
+            const result = await attributeSpeakers(transcripts, { ...cacheOptions, guestName, identity, geminiKey, isPro, signal, onProgress });
+            transcripts = result.transcripts;
+            const heuristicNote = result.heuristic ? ` (${result.heuristic} by heuristics only)` : '';
+            onProgress({
+                step: 'speakers', status: 'done',
+                message: `Separated speakers in ${result.labelled + result.heuristic} transcripts${heuristicNote}: ${result.hostTurns} host turns, ${result.guestTurns} guest turns`
+            });
+        } catch (err) {
+            signal?.throwIfAborted();
+            console.error('Speaker attribution failed:', err.message);
+            onProgress({ step: 'speakers', status: 'error', message: 'Could not separate speakers, transcripts will be read whole' });
+        }
+    }
+
+    // ─── Step 2c: Gemini Video Analysis (for transcript-less videos) ──
+    let geminiAnalyzed = [];
+    if (failedVideos.length > 0) {
+        onProgress({
+            step: 'gemini_video', status: 'active',
+            message: `AI watching ${failedVideos.length} videos without transcripts${isPro ? '' : ` (max 15 in Free mode)`}...`
+        });
+
+        try {
+            geminiAnalyzed = await analyzeVideosWithGemini(failedVideos, onProgress, geminiKey, isPro, cacheOptions);
+            onProgress({
+                step: 'gemini_video', status: 'done',
+                message: `AI analyzed ${geminiAnalyzed.length} videos directly (no transcripts needed)`
+            });
+        } catch (err) {
+            signal?.throwIfAborted();
+            console.error('Gemini video analysis failed:', err.message);
+            onProgress({ step: 'gemini_video', status: 'error', message: 'Some videos could not be analyzed' });
+        }
+    }
+
+    const totalAnalyzed = transcripts.length + geminiAnalyzed.length;
+    console.log(`  ✅ YouTube: ${ytResult.totalInterviewsFound} videos found${reviewVideos ? `, ${videos.length} after review` : ''}`);
+    console.log(`  ✅ Transcripts: ${transcripts.length} read`);
+    console.log(`  ✅ Gemini video analysis: ${geminiAnalyzed.length} watched`);
+    console.log(`  ✅ Total analyzed: ${totalAnalyzed}/${videos.length}`);
+
+    // Publish dates place what was said on the timeline (analysis.js)
+    const published = new Map(videos.map(v => [v.videoId, v.publishedAt || null]));
+    return {
+        content: [...transcripts, ...geminiAnalyzed].map(item => ({ ...item, publishedAt: published.get(item.videoId) || null })),
+        listings: videos,
+        fields: {
+            interviews: videos,
+            totalInterviewsFound: videos.length,
+        },
+    };
+}
+
+module.exports = {
+    name: 'youtube',
+    label: 'YouTube',
+    description: 'Past interviews, podcasts and talks: transcripts read, the rest watched by AI',
+    step: 'youtube',
+    inputs: ['guestName', 'context', 'identity'],
+    keys: ['youtubeApiKey'],
+    fields: { interviews: [], totalInterviewsFound: 0 },
+    run,
+};
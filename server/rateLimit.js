@@ -0,0 +1,81 @@
+/**
+ * Fixed-window rate limiters for Express routes.
+ *
+ * Each limiter counts requests per key (client IP or signed-in user) and
+ * answers 429 with a Retry-After header once the budget for the window is
+ * spent. Limits are defined in LIMITS below and can be overridden per limiter
+ * with RATE_LIMIT_<NAME>=<max>/<window minutes>, e.g. RATE_LIMIT_RESEARCH=20/60.
+ * Setting an override to 0 disables that limiter.
+ *
+ * Counters live in process memory: they reset on restart and are not shared
+ * between instances, which is fine for a single web service.
+ */
+const MINUTE = 60 * 1000;
+
+const LIMITS = {
+    auth: { max: 20, windowMs: 15 * MINUTE, by: 'ip' },             // login, register, Google sign-in
+    accountEmail: { max: 5, windowMs: 60 * MINUTE, by: 'ip' },      // forgot-password, resend-verification
+    research: { max: 10, windowMs: 60 * MINUTE, by: 'user' },       // YouTube + Gemini deep research
+    researchIp: { max: 30, windowMs: 60 * MINUTE, by: 'ip' },       // same, across every account on one IP
+    candidates: { max: 60, windowMs: 15 * MINUTE, by: 'user' },     // guest disambiguation (Wikipedia lookups)
+    questions: { max: 40, windowMs: 60 * MINUTE, by: 'user' },      // question generation
+    uploads: { max: 60, windowMs: 60 * MINUTE, by: 'user' },        // document uploads (text extraction)
+};
+
+const SWEEP_INTERVAL = 10 * MINUTE;
+
+function readLimit(name) {
+    const def = LIMITS[name];
+    if (!def) throw new Error(`Unknown rate limit: ${name}`);
+
+    const envName = 'RATE_LIMIT_' + name.replace(/[A-Z]/g, c => '_' + c).toUpperCase();
+    const override = process.env[envName];
+    if (!override) return def;
+
+    const [max, minutes] = override.split('/').map(Number);
+    if (!Number.isFinite(max) || max < 0) {
+        throw new Error(`${envName} must look like "<max>/<window minutes>"`);
+    }
+    return { ...def, max, windowMs: Number.isFinite(minutes) && minutes > 0 ? minutes * MINUTE : def.windowMs };
+}
+
+/**
+ * Create middleware enforcing the named limit. `by: 'user'` limiters must
+ * run after authMiddleware (they key on req.userId, falling back to the IP).
+ */
+function rateLimit(name) {
+    const { max, windowMs, by } = readLimit(name);
+    const windows = new Map(); // key -> { count, resetAt }
+    let lastSweep = Date.now();
+
+    return (req, res, next) => {
+        if (max === 0) return next();
+
+        const now = Date.now();
+        if (now - lastSweep > SWEEP_INTERVAL) {
+            lastSweep = now;
+            for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+        }
+
+        const key = by === 'user' && req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+        let w = windows.get(key);
+        if (!w || w.resetAt <= now) {
+            w = { count: 0, resetAt: now + windowMs };
+            windows.set(key, w);
+        }
+        w.count++;
+
+        const retryAfter = Math.ceil((w.resetAt - now) / 1000);
+        res.setHeader('RateLimit-Limit', max);
+        res.setHeader('RateLimit-Remaining', Math.max(0, max - w.count));
+        res.setHeader('RateLimit-Reset', retryAfter);
+
+        if (w.count > max) {
+            res.setHeader('Retry-After', retryAfter);
+            return res.status(429).json({ error: 'Too many requests. Please try again later.', retryAfter });
+        }
+        next();
+    };
+}
+
+module.exports = { rateLimit };
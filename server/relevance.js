@@ -0,0 +1,212 @@
+/**
+ * Relevance scoring for YouTube search results.
+ *
+ * Every video that mentions the guest gets a 0–100 score built from weighted
+ * signals, each of which adds a human-readable reason:
+ *
+ *   name      where the guest's full name (or an alias) appears        up to 35
+ *   role      interview with the guest vs. a video about them          -15 … +20
+ *   channel   the guest's own channel, or the channel's subscribers    up to 25
+ *   duration  long-form conversations over clips                       -10 … +10
+ *   views     how widely the video was watched                         up to 10
+ *   context   words from the run's focus found in title/description    up to 15
+ *
+ * Videos with no name evidence that aren't on the guest's own channel get no
+ * score (null) and are dropped by the search. Duration, views and subscribers come from videos.list and
+ * channels.list (youtube.js fetchVideoStats); without them those signals are
+ * simply skipped.
+ */
+const WEIGHTS = {
+    nameInTitle: 35,
+    nameInDescription: 15,
+    nameParts: 10,
+    nameInChannel: 5,
+    asGuest: 20,
+    listsGuest: 10,
+    aboutGuest: -15,
+    ownChannel: 25,
+    contextWord: 5,
+    maxContext: 15,
+};
+
+// Title patterns of a conversation WITH the guest...
+const GUEST_PATTERNS = [
+    /\b(ft|feat|featuring)\b\.?/,
+    /\b(with|w\/)\s+{name}/,
+    /\b(interview|podcast|conversation|fireside chat|q&a|qna|ep\.?|episode)\b/,
+    /#\d+/,
+    /(इंटरव्यू|बातचीत|पॉडकास्ट)/,
+];
+
+// ...the name set off like a guest listing ("Name | Show", "Show: Name"), a weaker hint...
+const LISTING_PATTERNS = [
+    /{name}\s*(\||:|-|–|—)/,
+    /(\||:|-|–|—)\s*{name}/,
+];
+
+// ...and of videos ABOUT them (reactions, news, commentary)
+const ABOUT_PATTERNS = [
+    /\b(reacts?|reaction|reacting)\b/,
+    /\b(news|explained|exposed|roast(ed)?|controversy|documentary|biography|net worth|lifestyle)\b/,
+    /\b(about|against)\s+{name}/,
+    /\b(shorts?|#shorts)\b/,
+];
+
+const STOPWORDS = new Set(['about', 'their', 'there', 'with', 'from', 'that', 'this', 'what', 'which', 'would', 'into', 'over', 'they', 'them', 'have', 'been', 'more', 'less', 'than', 'your', 'focus', 'topic', 'angle']);
+
+function decodeHtml(str) {
+    if (!str) return '';
+    return str.replace(/&#39;/g, "'").replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * What scoring needs to know about the guest, built once per search.
+ * aliases should already be filtered to ones safe to match (see identity.js).
+ */
+function describeGuest(guestName, { aliases = [], channelId = null, context = '' } = {}) {
+    const names = [guestName, ...aliases].map(n => n.toLowerCase());
+    const nameParts = guestName.toLowerCase().split(/\s+/).filter(p => p.length > 2);
+    const namePattern = names.map(escapeRegExp).join('|');
+    const withName = pattern => new RegExp(pattern.source.replace('{name}', `(${namePattern})`));
+
+    return {
+        names,
+        firstName: nameParts[0] || '',
+        lastName: nameParts[nameParts.length - 1] || '',
+        channelId,
+        guestPatterns: GUEST_PATTERNS.map(withName),
+        listingPatterns: LISTING_PATTERNS.map(withName),
+        aboutPatterns: ABOUT_PATTERNS.map(withName),
+        contextWords: [...new Set((context || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+            .filter(w => w.length >= 4 && !STOPWORDS.has(w)))],
+    };
+}
+
+// ── Signals ──
+// Each returns { points, reason } or null when it has nothing to say
+
+// Only the full name (or an alias, or first and last name both) counts: a
+// surname or first name alone mostly finds namesakes
+function nameSignal(text, guest) {
+    if (guest.names.some(n => text.title.includes(n))) return { points: WEIGHTS.nameInTitle, reason: 'Guest named in the title' };
+    if (guest.names.some(n => text.description.includes(n))) return { points: WEIGHTS.nameInDescription, reason: 'Guest named in the description' };
+
+    const { firstName, lastName } = guest;
+    if (firstName && lastName && firstName !== lastName && text.all.includes(firstName) && text.all.includes(lastName)) {
+        return { points: WEIGHTS.nameParts, reason: 'First and last name both mentioned' };
+    }
+    if (guest.names.some(n => text.channel.includes(n))) return { points: WEIGHTS.nameInChannel, reason: 'Guest named in the channel name' };
+    return null;
+}
+
+function roleSignal(text, guest) {
+    const about = guest.aboutPatterns.some(p => p.test(text.title));
+    const asGuest = guest.guestPatterns.some(p => p.test(text.title));
+    if (about && asGuest) return null; // "Reacting to X's podcast": can't tell
+    if (about) return { points: WEIGHTS.aboutGuest, reason: 'Looks like a video about the guest, not with them' };
+    if (asGuest) return { points: WEIGHTS.asGuest, reason: 'Title reads like an interview with the guest' };
+    if (guest.listingPatterns.some(p => p.test(text.title))) return { points: WEIGHTS.listsGuest, reason: 'Title lists the guest like an episode guest' };
+    return null;
+}
+
+function channelSignal(video, guest, subscribers) {
+    if (guest.channelId && video.channelId === guest.channelId) return { points: WEIGHTS.ownChannel, reason: "On the guest's own channel" };
+    if (!subscribers) return null;
+    if (subscribers >= 1000000) return { points: 10, reason: `Major channel (${formatCount(subscribers)} subscribers)` };
+    if (subscribers >= 100000) return { points: 7, reason: `Established channel (${formatCount(subscribers)} subscribers)` };
+    if (subscribers >= 10000) return { points: 4, reason: `Channel with ${formatCount(subscribers)} subscribers` };
+    return null;
+}
+
+function durationSignal(seconds) {
+    if (!seconds) return null;
+    const length = formatDuration(seconds);
+    if (seconds >= 20 * 60) return { points: 10, reason: `Long-form (${length})` };
+    if (seconds >= 8 * 60) return { points: 5, reason: `Mid-length (${length})` };
+    if (seconds < 4 * 60) return { points: -10, reason: `Short clip (${length})` };
+    return null;
+}
+
+function viewSignal(views) {
+    if (!views) return null;
+    if (views >= 1000000) return { points: 10, reason: `${formatCount(views)} views` };
+    if (views >= 100000) return { points: 6, reason: `${formatCount(views)} views` };
+    if (views >= 10000) return { points: 3, reason: `${formatCount(views)} views` };
+    return null;
+}
+
+function contextSignal(text, guest) {
+    const hits = guest.contextWords.filter(w => text.title.includes(w) || text.description.includes(w));
+    if (hits.length === 0) return null;
+    return {
+        points: Math.min(hits.length * WEIGHTS.contextWord, WEIGHTS.maxContext),
+        reason: `Matches your focus: ${hits.slice(0, 4).join(', ')}`,
+    };
+}
+
+// ── Scoring ──
+
+/**
+ * Score one video: { score, reasons } or null when it doesn't mention the
+ * guest. stats: { durationSeconds, viewCount, subscriberCount } (all optional).
+ */
+function scoreVideo(video, guest, stats = {}) {
+    const title = decodeHtml(video.title).toLowerCase();
+    const description = decodeHtml(video.description).toLowerCase();
+    const channel = decodeHtml(video.channelTitle).toLowerCase();
+    const text = { title, description, channel, all: `${title} ${description} ${channel}` };
+
+    const onOwnChannel = !!guest.channelId && video.channelId === guest.channelId;
+    const name = nameSignal(text, guest);
+    if (!name && !onOwnChannel) return null;
+
+    const signals = [
+        name,
+        roleSignal(text, guest),
+        channelSignal(video, guest, stats.subscriberCount),
+        durationSignal(stats.durationSeconds),
+        viewSignal(stats.viewCount),
+        contextSignal(text, guest),
+    ].filter(Boolean);
+
+    const total = signals.reduce((sum, s) => sum + s.points, 0);
+    return {
+        score: Math.max(0, Math.min(100, total)),
+        reasons: signals.map(s => `${s.points >= 0 ? '+' : ''}${s.points} ${s.reason}`),
+    };
+}
+
+// Highest score first; newer first among equals
+function byRelevance(a, b) {
+    const diff = (b.relevance?.score ?? -1) - (a.relevance?.score ?? -1);
+    return diff || new Date(b.publishedAt) - new Date(a.publishedAt);
+}
+
+// ── Formatting ──
+
+// ISO 8601 duration from videos.list ("PT1H2M3S") -> seconds
+function parseDuration(iso) {
+    const m = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(iso || '');
+    if (!m) return 0;
+    const [, d, h, min, s] = m.map(Number);
+    return (d || 0) * 86400 + (h || 0) * 3600 + (min || 0) * 60 + (s || 0);
+}
+
+function formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    if (h > 0) return `${h}h ${m}m`;
+    return m > 0 ? `${m}m` : `${seconds}s`;
+}
+
+function formatCount(n) {
+    if (n >= 1000000) return `${(n / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+    if (n >= 1000) return `${(n / 1000).toFixed(1).replace(/\.0$/, '')}K`;
+    return String(n);
+}
+
+module.exports = { describeGuest, scoreVideo, byRelevance, parseDuration };
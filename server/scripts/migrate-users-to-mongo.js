@@ -0,0 +1,144 @@
+/**
+ * Import accounts from data/users.json (file mode) into MongoDB.
+ *
+ *   npm run migrate:users -- [--dry-run] [--link]
+ *
+ * - Password hashes, API keys and profile fields are copied as-is.
+ * - The old UUID is stored as `legacyId`, which links the moved sessions and
+ *   makes re-runs safe. Signed-in devices are not migrated: access tokens are
+ *   bound to a device session, so everyone signs in again after migrating.
+ * - Saved research sessions and question sets are moved along with their owner.
+ *   Channel profile and API keys are taken from the account's personal
+ *   workspace if it has one; in MongoDB they land in a new personal workspace
+ *   on first sign-in, which also adopts the moved sessions. Shared (team)
+ *   workspaces are not migrated.
+ * - Accounts whose email or Google ID already exist in MongoDB are reported as
+ *   conflicts and skipped. With --link, an email conflict is resolved by
+ *   attaching the legacy ID to the existing Mongo account and filling only
+ *   its empty fields (nothing is overwritten).
+ * - Re-running is safe: accounts already carrying their legacyId are skipped.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { createFileRepository } = require('../storage/file');
+const { createMongoRepository } = require('../storage/mongo');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const link = args.includes('--link');
+
+const COPIED_FIELDS = [
+    'name', 'passwordHash', 'picture', 'googleId', 'channelDescription',
+    'interviewerStyle', 'profileComplete', 'youtubeApiKey', 'geminiApiKey', 'createdAt',
+];
+
+// Copied back from a file-mode personal workspace onto the account
+const WORKSPACE_FIELDS = ['channelDescription', 'interviewerStyle', 'youtubeApiKey', 'geminiApiKey'];
+
+function pick(doc, fields) {
+    const out = {};
+    for (const field of fields) if (doc[field]) out[field] = doc[field];
+    return out;
+}
+
+async function migrate() {
+    if (!process.env.MONGO_URI) {
+        throw new Error('MONGO_URI is not set — nothing to migrate into');
+    }
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run — no writes)' : ''}\n`);
+
+    const fileUsers = createFileRepository({ file: 'users.json', keyField: 'email' });
+    const fileSessions = createFileRepository({ file: 'sessions.json' });
+    const fileQuestionSets = createFileRepository({ file: 'question-sets.json' });
+    const fileWorkspaces = createFileRepository({ file: 'workspaces.json' });
+    const mongoUsers = createMongoRepository(require('../models/User'));
+    const mongoSessions = createMongoRepository(require('../models/ResearchSession'));
+    const mongoQuestionSets = createMongoRepository(require('../models/QuestionSet'));
+
+    const report = { migrated: [], linked: [], alreadyMigrated: [], conflicts: [], sessions: 0, questionSets: 0 };
+    const idMap = {}; // legacy UUID → Mongo ID, for users migrated or linked in this run
+
+    for (const fileUser of await fileUsers.find()) {
+        const personal = await fileWorkspaces.findOne({ ownerId: fileUser.id, personal: true });
+        const user = personal ? { ...fileUser, ...pick(personal, WORKSPACE_FIELDS) } : fileUser;
+
+        if (await mongoUsers.findOne({ legacyId: user.id })) {
+            report.alreadyMigrated.push(user.email);
+            continue;
+        }
+
+        const byEmail = await mongoUsers.findOne({ email: user.email });
+        const byGoogleId = user.googleId ? await mongoUsers.findOne({ googleId: user.googleId }) : null;
+
+        if (byGoogleId && (!byEmail || byGoogleId.id !== byEmail.id)) {
+            report.conflicts.push({ email: user.email, reason: `Google ID already used by ${byGoogleId.email}` });
+            continue;
+        }
+
+        if (byEmail) {
+            if (byEmail.legacyId) {
+                report.conflicts.push({ email: user.email, reason: `Mongo account already linked to legacy ID ${byEmail.legacyId}` });
+                continue;
+            }
+            if (!link) {
+                report.conflicts.push({ email: user.email, reason: 'Email already exists in MongoDB (re-run with --link to merge)' });
+                continue;
+            }
+            // Fill only what the Mongo account is missing
+            const changes = { legacyId: user.id };
+            for (const field of COPIED_FIELDS) {
+                if (field !== 'createdAt' && !byEmail[field] && user[field]) changes[field] = user[field];
+            }
+            if (!dryRun) await mongoUsers.update(byEmail.id, changes);
+            idMap[user.id] = byEmail.id;
+            report.linked.push(user.email);
+            continue;
+        }
+
+        const fields = { email: user.email, legacyId: user.id };
+        for (const field of COPIED_FIELDS) {
+            if (user[field] !== undefined) fields[field] = user[field];
+        }
+        if (dryRun) {
+            idMap[user.id] = `(new id for ${user.email})`;
+        } else {
+            const created = await mongoUsers.create(fields);
+            idMap[user.id] = created.id;
+        }
+        report.migrated.push(user.email);
+    }
+
+    // Move saved research of the users handled above
+    for (const session of await fileSessions.find()) {
+        const userId = idMap[session.userId];
+        if (!userId) continue;
+
+        const { id: oldSessionId, workspaceId, ...fields } = session;
+        const newSessionId = dryRun ? null : (await mongoSessions.create({ ...fields, userId })).id;
+        report.sessions++;
+
+        for (const questionSet of await fileQuestionSets.find({ sessionId: oldSessionId })) {
+            const { id, workspaceId, ...qsFields } = questionSet;
+            if (!dryRun) await mongoQuestionSets.create({ ...qsFields, userId, sessionId: newSessionId });
+            report.questionSets++;
+        }
+    }
+
+    console.log(`📦 Migrated:         ${report.migrated.length}${report.migrated.length ? ` (${report.migrated.join(', ')})` : ''}`);
+    console.log(`🔗 Linked:           ${report.linked.length}${report.linked.length ? ` (${report.linked.join(', ')})` : ''}`);
+    console.log(`⏭️  Already migrated: ${report.alreadyMigrated.length}`);
+    console.log(`🗂️  Sessions moved:   ${report.sessions} (${report.questionSets} question sets)`);
+    console.log(`⚠️  Conflicts:        ${report.conflicts.length}`);
+    for (const c of report.conflicts) {
+        console.log(`   - ${c.email}: ${c.reason}`);
+    }
+    if (report.conflicts.length > 0) process.exitCode = 2;
+}
+
+migrate()
+    .catch(err => {
+        console.error('❌ Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,62 @@
+/**
+ * Re-wrap every stored API key (on workspaces, and on accounts that haven't
+ * moved theirs into a personal workspace yet) with the active master key.
+ *
+ *   npm run rotate:keys -- [--dry-run]
+ *
+ * Run after putting a new key at the front of API_KEY_MASTER_KEYS (keep the
+ * old key listed until this finishes). Plaintext keys left over from before
+ * encryption are encrypted on the way. Works with whichever storage driver
+ * is configured (MongoDB or the JSON files in data/).
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const storage = require('../storage');
+const { needsRewrap, rewrapSecret } = require('../secrets');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+const SECRET_FIELDS = ['youtubeApiKey', 'geminiApiKey'];
+
+// Collections holding keys, with how to name a document in error output
+const SOURCES = [
+    { collection: 'workspaces', label: (doc) => `workspace "${doc.name}"` },
+    { collection: 'users', label: (doc) => doc.email },
+];
+
+async function rotate() {
+    await storage.connect();
+
+    let rewrapped = 0;
+    let failed = 0;
+    for (const { collection, label } of SOURCES) {
+        const repo = storage.repository(collection);
+        for (const doc of await repo.find()) {
+            const changes = {};
+            for (const field of SECRET_FIELDS) {
+                if (!needsRewrap(doc[field])) continue;
+                try {
+                    changes[field] = rewrapSecret(doc[field]);
+                } catch (err) {
+                    failed++;
+                    console.error(`   - ${label(doc)} ${field}: ${err.message}`);
+                }
+            }
+            if (Object.keys(changes).length === 0) continue;
+            if (!dryRun) await repo.update(doc.id, changes);
+            rewrapped += Object.keys(changes).length;
+        }
+    }
+
+    console.log(`🔐 Re-wrapped ${rewrapped} key(s)${dryRun ? ' (dry run — no writes)' : ''}`);
+    if (failed > 0) {
+        console.log(`⚠️  ${failed} key(s) could not be decrypted with the configured master keys`);
+        process.exitCode = 2;
+    }
+}
+
+rotate()
+    .catch(err => {
+        console.error('❌ Rotation failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+/**
+ * Envelope encryption for secrets stored per user (YouTube / Gemini API keys).
+ *
+ * Each value gets its own random data key (DEK). The value is encrypted with
+ * the DEK, and the DEK is encrypted ("wrapped") with a server master key.
+ * Both layers use AES-256-GCM. Stored format:
+ *
+ *   enc:v1:<masterKeyId>:<wrapped DEK>:<iv>:<auth tag>:<ciphertext>   (base64url parts)
+ *
+ * Master keys come from API_KEY_MASTER_KEYS as a comma-separated list of
+ * `id:base64key` pairs (32-byte keys). The FIRST entry encrypts new values;
+ * the rest are kept only to decrypt older ones. Rotating = put a new key in
+ * front, run `npm run rotate:keys` (re-wraps DEKs only), then drop the old key.
+ *
+ * Values without the `enc:` prefix are legacy plaintext and pass through
+ * decryption unchanged until they are rewritten.
+ */
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+function loadMasterKeys() {
+    const raw = process.env.API_KEY_MASTER_KEYS;
+    if (!raw) {
+        console.warn('⚠️  API_KEY_MASTER_KEYS not set — using a development master key. Set it in production.');
+        const devKey = crypto.createHash('sha256').update('interviewiq-dev-master-key-change-in-production').digest();
+        return [{ id: 'dev', key: devKey }];
+    }
+
+    return raw.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+        const sep = entry.indexOf(':');
+        if (sep <= 0) throw new Error('API_KEY_MASTER_KEYS entries must look like "<id>:<base64 key>"');
+        const id = entry.slice(0, sep);
+        const key = Buffer.from(entry.slice(sep + 1), 'base64');
+        if (key.length !== 32) throw new Error(`Master key "${id}" must be 32 bytes (base64-encoded)`);
+        return { id, key };
+    });
+}
+
+const masterKeys = loadMasterKeys();
+const activeKey = masterKeys[0];
+
+function findMasterKey(id) {
+    const found = masterKeys.find(k => k.id === id);
+    if (!found) throw new Error(`Unknown master key "${id}" — is it still listed in API_KEY_MASTER_KEYS?`);
+    return found.key;
+}
+
+const b64 = (buf) => buf.toString('base64url');
+const unb64 = (str) => Buffer.from(str, 'base64url');
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, iv, tag, ciphertext) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Wrapped DEK = iv(12) | tag(16) | encrypted key(32)
+function wrapDek(dek, masterKey) {
+    const { iv, tag, ciphertext } = seal(masterKey, dek);
+    return Buffer.concat([iv, tag, ciphertext]);
+}
+
+function unwrapDek(wrapped, masterKey) {
+    return open(masterKey, wrapped.subarray(0, 12), wrapped.subarray(12, 28), wrapped.subarray(28));
+}
+
+function parse(stored) {
+    const [kid, wrapped, iv, tag, ciphertext] = stored.slice(PREFIX.length).split(':');
+    if (!ciphertext) throw new Error('Malformed encrypted value');
+    return { kid, wrapped: unb64(wrapped), iv: unb64(iv), tag: unb64(tag), ciphertext: unb64(ciphertext) };
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a secret for storage. Empty values stay empty (meaning "no key set").
+ */
+function encryptSecret(plaintext) {
+    if (!plaintext) return '';
+    const dek = crypto.randomBytes(32);
+    const { iv, tag, ciphertext } = seal(dek, Buffer.from(plaintext, 'utf-8'));
+    const wrapped = wrapDek(dek, activeKey.key);
+    return PREFIX + [activeKey.id, b64(wrapped), b64(iv), b64(tag), b64(ciphertext)].join(':');
+}
+
+/**
+ * Decrypt a stored secret. Legacy plaintext is returned unchanged.
+ */
+function decryptSecret(stored) {
+    if (!stored) return '';
+    if (!isEncrypted(stored)) return stored;
+    const { kid, wrapped, iv, tag, ciphertext } = parse(stored);
+    const dek = unwrapDek(wrapped, findMasterKey(kid));
+    return open(dek, iv, tag, ciphertext).toString('utf-8');
+}
+
+/**
+ * True when a stored value should be rewritten: still plaintext, or wrapped
+ * with a master key other than the active one.
+ */
+function needsRewrap(stored) {
+    if (!stored) return false;
+    if (!isEncrypted(stored)) return true;
+    return parse(stored).kid !== activeKey.id;
+}
+
+/**
+ * Re-wrap a stored secret with the active master key. Only the DEK is
+ * re-encrypted; plaintext values are encrypted for the first time.
+ */
+function rewrapSecret(stored) {
+    if (!stored) return '';
+    if (!isEncrypted(stored)) return encryptSecret(stored);
+    const { kid, wrapped, iv, tag, ciphertext } = parse(stored);
+    if (kid === activeKey.id) return stored;
+    const dek = unwrapDek(wrapped, findMasterKey(kid));
+    return PREFIX + [activeKey.id, b64(wrapDek(dek, activeKey.key)), b64(iv), b64(tag), b64(ciphertext)].join(':');
+}
+
+module.exports = { encryptSecret, decryptSecret, needsRewrap, rewrapSecret, isEncrypted };
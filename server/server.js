@@ -2,31 +2,56 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const mongoose = require('mongoose'); // Add mongoose
-const { deepResearch } = require('./research');
 const { generateQuestions } = require('./gemini');
+const { normalizeReview } = require('./youtube');
+const { cleanReport } = require('./analysis');
+const storage = require('./storage');
 const auth = require('./auth');
+const sessions = require('./sessions');
+const workspaces = require('./workspaces');
+const account = require('./account');
+const accessTokens = require('./accessTokens');
+const jobs = require('./jobs');
+const providers = require('./providers');
+const podcasts = require('./podcasts');
+const documents = require('./documents');
+const identity = require('./identity');
+const { rateLimit } = require('./rateLimit');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Connect to MongoDB
-if (process.env.MONGO_URI) {
-    mongoose.connect(process.env.MONGO_URI)
-        .then(() => console.log('✅ Connected to MongoDB'))
-        .catch(err => console.error('❌ MongoDB Connection Error:', err));
+// Behind a reverse proxy (Render, nginx...) set TRUST_PROXY to the number of proxy hops
+// so req.ip — used by rate limiting and the devices list — is the real client address
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
 }
 
+// Connect to the configured storage backend (MongoDB, JSON files or memory), then
+// fail any research jobs the previous process left unfinished
+storage.connect()
+    .then(() => jobs.recoverInterruptedJobs())
+    .catch(err => console.error('❌ MongoDB Connection Error:', err));
+
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Saved research dossiers can be large
 app.use(express.static(path.join(__dirname, '..', 'client')));
 
 // ── Auth Routes ─────────────────────────────────────────
 
-app.post('/api/auth/register', async (req, res) => {
+// Device details recorded with each sign-in (shown under "Signed-in devices")
+function requestMeta(req) {
+    return { userAgent: req.get('user-agent') || '', ip: req.ip || '' };
+}
+
+const authLimit = rateLimit('auth');
+const accountEmailLimit = rateLimit('accountEmail');
+
+app.post('/api/auth/register', authLimit, async (req, res) => {
     try {
         const { email, password, name } = req.body;
-        const result = await auth.register(email, password, name); // Await
+        const result = await auth.register(email, password, name, requestMeta(req));
         if (!result.success) {
             return res.status(400).json({ error: result.error });
         }
@@ -37,12 +62,13 @@ app.post('/api/auth/register', async (req, res) => {
     }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', authLimit, async (req, res) => {
     try {
         const { email, password } = req.body;
-        const result = await auth.login(email, password); // Await
+        const result = await auth.login(email, password, requestMeta(req));
         if (!result.success) {
-            return res.status(401).json({ error: result.error });
+            if (result.retryAfter) res.setHeader('Retry-After', result.retryAfter);
+            return res.status(result.status || 401).json({ error: result.error, retryAfter: result.retryAfter });
         }
         res.json(result);
     } catch (err) {
@@ -51,13 +77,14 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
-app.post('/api/auth/google', async (req, res) => {
+app.post('/api/auth/google', authLimit, async (req, res) => {
     try {
-        const { token } = req.body;
-        // Verify Google token (omitted for brevity, assuming verified on client or using library)
-        // For simplicity, we assume client sends user info, but real app should verify ID token.
-        // Assuming body contains { email, name, googleId, picture } for now to match auth.js
-        const result = await auth.googleLogin(req.body); // Await
+        // Google Identity Services posts the ID token as `credential`
+        const idToken = req.body.credential || req.body.idToken || req.body.token;
+        const result = await auth.googleLogin(idToken, requestMeta(req));
+        if (!result.success) {
+            return res.status(result.status || 401).json({ error: result.error });
+        }
         res.json(result);
     } catch (err) {
         console.error('Google login error:', err);
@@ -65,9 +92,98 @@ app.post('/api/auth/google', async (req, res) => {
     }
 });
 
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const result = await auth.refresh(req.body.refreshToken, requestMeta(req));
+        if (!result.success) {
+            return res.status(401).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Refresh error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Works with just the refresh token, so an expired access token can still sign out
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await auth.logout({ refreshToken: req.body.refreshToken });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/auth/devices', auth.authMiddleware, async (req, res) => {
+    const devices = await auth.listDevices(req.userId, req.sessionId);
+    res.json({ success: true, devices });
+});
+
+app.delete('/api/auth/devices/:id', auth.authMiddleware, async (req, res) => {
+    const revoked = await auth.revokeDevice(req.userId, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Device session not found' });
+    res.json({ success: true });
+});
+
+// Sign out every device except this one
+app.delete('/api/auth/devices', auth.authMiddleware, async (req, res) => {
+    const revoked = await auth.revokeOtherDevices(req.userId, req.sessionId);
+    res.json({ success: true, revoked });
+});
+
+// ── Password Reset & Email Verification ─────────────────
+
+app.post('/api/auth/forgot-password', accountEmailLimit, async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) return res.status(400).json({ error: 'Email is required' });
+        await auth.requestPasswordReset(email);
+        res.json({ success: true, message: 'If an account exists for that email, a reset link is on its way' });
+    } catch (err) {
+        console.error('Forgot password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/auth/reset-password', authLimit, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const result = await auth.resetPassword(token, password);
+        if (!result.success) return res.status(400).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const result = await auth.verifyEmail(req.body.token);
+        if (!result.success) return res.status(400).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('Verify email error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/auth/resend-verification', auth.authMiddleware, accountEmailLimit, async (req, res) => {
+    try {
+        const result = await auth.sendVerificationEmail(req.userId);
+        if (!result.success) return res.status(400).json({ error: result.error });
+        res.json({ success: true, message: 'Verification email sent' });
+    } catch (err) {
+        console.error('Resend verification error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // ── Profile Routes (protected) ──────────────────────────
 
-app.get('/api/profile', auth.authMiddleware, async (req, res) => {
+app.get('/api/profile', auth.scopedAuth('read'), async (req, res) => {
     const profile = await auth.getProfile(req.userId); // Await
     if (!profile) return res.status(404).json({ error: 'Profile not found' });
     res.json({ success: true, user: profile });
@@ -79,11 +195,165 @@ app.put('/api/profile', auth.authMiddleware, async (req, res) => {
     res.json({ success: true, user: updated });
 });
 
-// ── API Keys Settings (protected) ───────────────────────
+// ── Personal Access Tokens (protected, browser session only) ──
+// Routes that accept these tokens use auth.scopedAuth(scope) instead of auth.authMiddleware.
+
+app.get('/api/tokens', auth.authMiddleware, async (req, res) => {
+    const tokens = await accessTokens.listAccessTokens(req.userId);
+    res.json({ success: true, tokens, scopes: accessTokens.SCOPES });
+});
+
+app.post('/api/tokens', auth.authMiddleware, async (req, res) => {
+    try {
+        const result = await accessTokens.createAccessToken(req.userId, req.body);
+        if (!result.success) return res.status(400).json({ error: result.error });
+        res.status(201).json(result);
+    } catch (err) {
+        console.error('Create token error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/tokens/:id', auth.authMiddleware, async (req, res) => {
+    const revoked = await accessTokens.revokeAccessToken(req.userId, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Token not found' });
+    res.json({ success: true });
+});
+
+// ── Account Export & Deletion (protected) ───────────────
+
+app.get('/api/account/export', auth.authMiddleware, async (req, res) => {
+    try {
+        const data = await account.exportAccount(req.userId);
+        if (!data) return res.status(404).json({ error: 'Account not found' });
+        const filename = `interviewiq-export-${new Date().toISOString().substring(0, 10)}.json`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.type('application/json').send(JSON.stringify(data, null, 2));
+    } catch (err) {
+        console.error('Export error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Password-checked, so rate limited like sign-in
+app.delete('/api/account', auth.authMiddleware, authLimit, async (req, res) => {
+    try {
+        const result = await account.deleteAccount(req.userId, req.body || {});
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete account error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ── Workspaces (protected) ──────────────────────────────
+// Routes below act on the workspace named by :workspaceId or the X-Workspace-Id
+// header (default: the caller's personal workspace), gated by workspaces.requireRole.
+
+const viewer = workspaces.requireRole('viewer');
+const editor = workspaces.requireRole('editor');
+const owner = workspaces.requireRole('owner');
+
+app.get('/api/workspaces', auth.scopedAuth('read'), async (req, res) => {
+    try {
+        const list = await workspaces.listWorkspaces(req.userId);
+        res.json({ success: true, workspaces: list });
+    } catch (err) {
+        console.error('List workspaces error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/workspaces', auth.authMiddleware, async (req, res) => {
+    try {
+        const result = await workspaces.createWorkspace(req.userId, req.body);
+        if (!result.success) return res.status(400).json({ error: result.error });
+        res.status(201).json(result);
+    } catch (err) {
+        console.error('Create workspace error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/workspaces/:workspaceId', auth.scopedAuth('read'), viewer, async (req, res) => {
+    const workspace = await workspaces.getWorkspace(req.workspaceId, req.workspaceRole);
+    if (!workspace) return res.status(404).json({ error: 'Workspace not found' });
+    res.json({ success: true, workspace });
+});
+
+app.patch('/api/workspaces/:workspaceId', auth.authMiddleware, editor, async (req, res) => {
+    const result = await workspaces.updateWorkspace(req.workspaceId, req.workspaceRole, req.body);
+    if (!result.success) return res.status(400).json({ error: result.error });
+    res.json(result);
+});
+
+app.delete('/api/workspaces/:workspaceId', auth.authMiddleware, owner, async (req, res) => {
+    const result = await workspaces.deleteWorkspace(req.workspaceId);
+    if (!result.success) return res.status(400).json({ error: result.error });
+    res.json(result);
+});
+
+app.get('/api/workspaces/:workspaceId/members', auth.scopedAuth('read'), viewer, async (req, res) => {
+    const members = await workspaces.listMembers(req.workspaceId);
+    res.json({ success: true, members });
+});
+
+app.patch('/api/workspaces/:workspaceId/members/:userId', auth.authMiddleware, owner, async (req, res) => {
+    const result = await workspaces.updateMemberRole(req.workspaceId, req.params.userId, req.body.role);
+    if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+    res.json(result);
+});
+
+// Owners remove anyone; every member may remove themselves (leave)
+app.delete('/api/workspaces/:workspaceId/members/:userId', auth.authMiddleware, viewer, async (req, res) => {
+    if (req.params.userId !== req.userId && req.workspaceRole !== 'owner') {
+        return res.status(403).json({ error: 'Only owners can remove other members' });
+    }
+    const result = await workspaces.removeMember(req.workspaceId, req.params.userId);
+    if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+    res.json(result);
+});
+
+app.get('/api/workspaces/:workspaceId/invitations', auth.authMiddleware, owner, async (req, res) => {
+    const list = await workspaces.listInvitations(req.workspaceId);
+    res.json({ success: true, invitations: list });
+});
+
+app.post('/api/workspaces/:workspaceId/invitations', auth.authMiddleware, owner, accountEmailLimit, async (req, res) => {
+    try {
+        const inviter = await auth.getProfile(req.userId);
+        const result = await workspaces.createInvitation(req.workspaceId, inviter, req.body);
+        if (!result.success) return res.status(400).json({ error: result.error });
+        res.status(201).json(result);
+    } catch (err) {
+        console.error('Invite error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/workspaces/:workspaceId/invitations/:id', auth.authMiddleware, owner, async (req, res) => {
+    const revoked = await workspaces.revokeInvitation(req.workspaceId, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Invitation not found' });
+    res.json({ success: true });
+});
+
+app.post('/api/invitations/accept', auth.authMiddleware, async (req, res) => {
+    try {
+        const result = await workspaces.acceptInvitation(req.body.token, req.userId);
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('Accept invitation error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-app.get('/api/settings/keys', auth.authMiddleware, async (req, res) => {
-    const keys = await auth.getApiKeys(req.userId);
-    if (!keys) return res.status(404).json({ error: 'User not found' });
+// ── API Keys Settings (protected, per workspace) ────────
+
+app.get('/api/settings/keys', auth.authMiddleware, viewer, async (req, res) => {
+    const keys = await workspaces.getApiKeys(req.workspaceId);
+    if (!keys) return res.status(404).json({ error: 'Workspace not found' });
     // Mask keys for display (show only last 4 chars)
     const mask = (k) => k ? ('•'.repeat(Math.max(0, k.length - 4)) + k.slice(-4)) : '';
     res.json({
@@ -97,21 +367,64 @@ app.get('/api/settings/keys', auth.authMiddleware, async (req, res) => {
     });
 });
 
-app.put('/api/settings/keys', auth.authMiddleware, async (req, res) => {
+app.put('/api/settings/keys', auth.authMiddleware, owner, async (req, res) => {
     const { apiKey, youtubeApiKey, geminiApiKey } = req.body;
     // Support both single key and legacy two-key format
     const key = apiKey !== undefined ? apiKey : undefined;
     const ytKey = key !== undefined ? key : youtubeApiKey;
     const gemKey = key !== undefined ? key : geminiApiKey;
-    const result = await auth.updateApiKeys(req.userId, { youtubeApiKey: ytKey, geminiApiKey: gemKey });
-    if (!result) return res.status(404).json({ error: 'User not found' });
-    console.log(`🔑 API key updated for user ${req.userId}${key ? ' [Pro mode]' : ' [cleared]'}`);
+    const result = await workspaces.updateApiKeys(req.workspaceId, { youtubeApiKey: ytKey, geminiApiKey: gemKey });
+    if (!result) return res.status(404).json({ error: 'Workspace not found' });
+    console.log(`🔑 API key updated for workspace ${req.workspaceId}${key ? ' [Pro mode]' : ' [cleared]'}`);
     res.json({ success: true, message: 'API key saved' });
 });
 
-// Helper: get user's API keys (full, unmasked) for server-side use
-async function getUserKeys(userId) {
-    const keys = (await auth.getApiKeys(userId)) || {};
+// ── Podcast Feeds Settings (protected, per workspace) ───
+
+app.get('/api/settings/podcast-feeds', auth.scopedAuth('read'), viewer, async (req, res) => {
+    const feeds = await podcasts.listFeeds(req.workspaceId);
+    if (!feeds) return res.status(404).json({ error: 'Workspace not found' });
+    res.json({ success: true, feeds });
+});
+
+app.post('/api/settings/podcast-feeds', auth.scopedAuth('write'), editor, async (req, res) => {
+    try {
+        const result = await podcasts.addFeed(req.workspaceId, req.body.url);
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        console.log(`🎧 Podcast feed added to workspace ${req.workspaceId}: ${result.feed.url}`);
+        res.status(201).json(result);
+    } catch (err) {
+        console.error('Add podcast feed error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Import the subscriptions exported from a podcast app, sent as the OPML text
+app.post('/api/settings/podcast-feeds/import', auth.scopedAuth('write'), editor, async (req, res) => {
+    try {
+        const result = await podcasts.importOpml(req.workspaceId, req.body.opml);
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('Import podcast feeds error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/settings/podcast-feeds/:id', auth.scopedAuth('write'), editor, async (req, res) => {
+    try {
+        const result = await podcasts.removeFeed(req.workspaceId, req.params.id);
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('Remove podcast feed error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Helper: get the workspace's API keys (full, unmasked) for server-side use
+async function getWorkspaceKeys(workspaceId) {
+    const keys = (await workspaces.getApiKeys(workspaceId)) || {};
     return {
         ...keys,
         hasCustomKey: !!(keys.youtubeApiKey || keys.geminiApiKey),
@@ -120,42 +433,223 @@ async function getUserKeys(userId) {
 
 // ── Research (protected) ────────────────────────────────
 
-app.post('/api/research-guest', auth.authMiddleware, async (req, res) => {
-    const { guestName, context } = req.body;
-    if (!guestName) return res.status(400).json({ error: 'Guest name is required' });
+// Research runs as a background job (server/jobs.js): start it, then follow its
+// events. Each run spends YouTube quota and several Gemini calls: limit per account and per IP
+const researchLimits = [rateLimit('research'), rateLimit('researchIp')];
 
-    // Get user's custom API keys
-    const userKeys = await getUserKeys(req.userId); // Await
+async function startJob(req) {
+    const { guestName, context, forceRefresh, sources, documentIds, reviewVideos, identity, refreshSessionId } = req.body;
+    return jobs.startResearchJob({
+        workspaceId: req.workspaceId,
+        userId: req.userId,
+        guestName,
+        context,
+        forceRefresh,
+        sources,
+        documentIds,
+        reviewVideos,
+        identity,
+        refreshSessionId,
+        userKeys: await getWorkspaceKeys(req.workspaceId),
+    });
+}
 
-    // Set SSE headers
+// Stream a job's events as SSE. Event ids are sequence numbers, so a client that
+// reconnects with Last-Event-ID (or ?after=) only gets what it missed.
+function streamJob(req, res, jobId, afterSeq = 0) {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.flushHeaders();
 
-    const onProgress = (data) => {
-        res.write(`data: ${JSON.stringify({ type: 'progress', ...data })}\n\n`);
+    const write = (event, extra = {}) => {
+        res.write(`id: ${event.seq}\ndata: ${JSON.stringify({ type: event.type, ...event.data, ...extra })}\n\n`);
     };
 
+    const follower = jobs.followJob(jobId, afterSeq, async event => {
+        if (event.type !== 'result') return write(event);
+        // The dossier itself lives in the research session the job saved
+        const session = await sessions.getSession(req.workspaceId, event.data.sessionId);
+        write(event, { data: session ? session.research : null });
+    });
+
+    // Comment lines keep proxies from closing the stream during long Gemini calls
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 20000);
+    req.on('close', follower.stop);
+    follower.done.then(() => {
+        clearInterval(heartbeat);
+        res.end();
+    });
+}
+
+// Sources a research run can use, and whether this workspace's keys allow each one
+app.get('/api/research/sources', auth.scopedAuth('read'), viewer, async (req, res) => {
+    try {
+        const keys = await getWorkspaceKeys(req.workspaceId);
+        res.json({ success: true, sources: providers.listProviders(keys) });
+    } catch (err) {
+        console.error('List sources error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// People a guest name could refer to; send the picked one as `identity` when starting the job
+app.get('/api/research/candidates', auth.scopedAuth('research'), editor, rateLimit('candidates'), async (req, res) => {
+    try {
+        const name = (req.query.name || '').trim();
+        if (!name) return res.status(400).json({ error: 'Guest name is required' });
+        const keys = await getWorkspaceKeys(req.workspaceId);
+        const candidates = await identity.findCandidates(name.substring(0, 100), { youtubeApiKey: keys.youtubeApiKey });
+        res.json({ success: true, candidates });
+    } catch (err) {
+        console.error('Guest candidates error:', err.message);
+        res.status(502).json({ error: 'Could not look the guest up' });
+    }
+});
+
+app.post('/api/jobs', auth.scopedAuth('research'), editor, ...researchLimits, async (req, res) => {
+    try {
+        const result = await startJob(req);
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        res.status(202).json(result);
+    } catch (err) {
+        console.error('Start job error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ?status=running lists only jobs still in progress (used to resume after a reload)
+app.get('/api/jobs', auth.scopedAuth('read'), viewer, async (req, res) => {
+    try {
+        const list = await jobs.listJobs(req.workspaceId, req.userId, { status: req.query.status });
+        res.json({ success: true, jobs: list });
+    } catch (err) {
+        console.error('List jobs error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/jobs/:id', auth.scopedAuth('read'), viewer, async (req, res) => {
+    try {
+        const job = await jobs.getJob(req.workspaceId, req.params.id);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        res.json({ success: true, job });
+    } catch (err) {
+        console.error('Get job error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/jobs/:id/events', auth.scopedAuth('read'), viewer, async (req, res) => {
+    try {
+        const job = await jobs.getJob(req.workspaceId, req.params.id);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        const afterSeq = parseInt(req.get('last-event-id') || req.query.after) || 0;
+        streamJob(req, res, job.id, afterSeq);
+    } catch (err) {
+        console.error('Job events error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Continue a job paused for video review: { excludedVideoIds, pinnedVideoIds, extraUrls }
+app.post('/api/jobs/:id/review', auth.scopedAuth('research'), editor, async (req, res) => {
+    try {
+        const parsed = normalizeReview(req.body);
+        if (!parsed.success) return res.status(400).json({ error: parsed.error });
+        const result = await jobs.submitReview(req.workspaceId, req.params.id, parsed.review);
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('Review job error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/jobs/:id/cancel', auth.scopedAuth('research'), editor, async (req, res) => {
+    try {
+        const result = await jobs.cancelJob(req.workspaceId, req.params.id);
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('Cancel job error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// One-shot form kept for scripts: starts a job and streams it in the same response.
+// The job keeps running if the connection drops; follow it via /api/jobs/:id/events.
+app.post('/api/research-guest', auth.scopedAuth('research'), editor, ...researchLimits, async (req, res) => {
     try {
-        console.log(`🔎 Streaming research: ${guestName}${context ? ` (context: ${context})` : ''} [${userKeys.hasCustomKey ? 'PRO' : 'FREE'}]`);
-        const research = await deepResearch(guestName, onProgress, context || '', userKeys);
-        res.write(`data: ${JSON.stringify({ type: 'result', data: research })}\n\n`);
+        const result = await startJob(req);
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        res.setHeader('X-Job-Id', result.job.id);
+        streamJob(req, res, result.job.id);
     } catch (err) {
         console.error('Research error:', err);
-        res.write(`data: ${JSON.stringify({ type: 'error', message: err.message })}\n\n`);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ── Documents (protected) ───────────────────────────────
+
+// The file is the raw request body (any content type); its name comes in ?name=
+const rawUpload = express.raw({ type: () => true, limit: documents.MAX_UPLOAD_BYTES });
+function readUpload(req, res, next) {
+    rawUpload(req, res, err => {
+        if (!err) return next();
+        const tooLarge = err.type === 'entity.too.large';
+        res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'Files can be at most 10 MB' : 'Could not read the upload' });
+    });
+}
+
+// Upload a document for the next research run; pass its id in documentIds
+app.post('/api/documents', auth.scopedAuth('write'), editor, rateLimit('uploads'), readUpload, async (req, res) => {
+    try {
+        const result = await documents.uploadDocument(req.workspaceId, req.userId, {
+            name: req.query.name,
+            data: Buffer.isBuffer(req.body) ? req.body : null,
+        });
+        if (!result.success) return res.status(result.status || 400).json({ error: result.error });
+        console.log(`📄 Document uploaded to workspace ${req.workspaceId}: ${result.document.name} (${result.document.chars} chars)`);
+        res.status(201).json(result);
+    } catch (err) {
+        console.error('Upload document error:', err);
+        res.status(500).json({ error: 'Server error' });
     }
+});
+
+// A document with its extracted text
+app.get('/api/documents/:id', auth.scopedAuth('read'), viewer, async (req, res) => {
+    const document = await documents.getDocument(req.workspaceId, req.params.id);
+    if (!document) return res.status(404).json({ error: 'Document not found' });
+    res.json({ success: true, document });
+});
 
-    res.end();
+app.delete('/api/documents/:id', auth.scopedAuth('write'), editor, async (req, res) => {
+    const deleted = await documents.deleteDocument(req.workspaceId, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Document not found' });
+    res.json({ success: true });
 });
 
 // ── Question Generation (protected) ─────────────────────
 
-app.post('/api/generate-questions', auth.authMiddleware, async (req, res) => {
-    const { interviewerName, interviewerStyle, channelDescription, guestName, guestContext, pastInterviewsSummary, questionCount } = req.body;
+app.post('/api/generate-questions', auth.scopedAuth('research'), editor, rateLimit('questions'), async (req, res) => {
+    const { interviewerName, guestName, guestContext, pastInterviewsSummary, questionCount } = req.body;
+    let { interviewerStyle, channelDescription } = req.body;
+    // Structured interview analysis from research; older saved dossiers only have the summary text
+    const report = req.body.interviewReport;
+    const interviewReport = report && typeof report === 'object'
+        ? { ...cleanReport(report), basis: report.basis === 'metadata' ? 'metadata' : 'content' }
+        : null;
 
-    // Get user's custom API keys
-    const userKeys = await getUserKeys(req.userId);
+    // Get the workspace's custom API keys; its channel profile fills in anything not sent
+    const userKeys = await getWorkspaceKeys(req.workspaceId);
+    const workspace = await workspaces.getWorkspace(req.workspaceId, req.workspaceRole);
+    if (workspace) {
+        interviewerStyle = interviewerStyle || workspace.interviewerStyle;
+        channelDescription = channelDescription || workspace.channelDescription;
+    }
 
     try {
         const result = await generateQuestions({
@@ -165,6 +659,7 @@ app.post('/api/generate-questions', auth.authMiddleware, async (req, res) => {
             guestName,
             guestContext,
             pastInterviewsSummary,
+            interviewReport,
             questionCount,
             geminiApiKey: userKeys.geminiApiKey,
         });
@@ -175,6 +670,84 @@ app.post('/api/generate-questions', auth.authMiddleware, async (req, res) => {
     }
 });
 
+// ── Research History (protected) ────────────────────────
+
+app.get('/api/sessions', auth.scopedAuth('read'), viewer, async (req, res) => {
+    try {
+        const list = await sessions.listSessions(req.workspaceId);
+        res.json({ success: true, sessions: list });
+    } catch (err) {
+        console.error('List sessions error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Research sent by a client is shown to everyone in the workspace: its interview
+// report is validated the same way as one from a research run
+function cleanResearch(research) {
+    const report = research.interviewReport;
+    if (!report || typeof report !== 'object') return { ...research, interviewReport: null };
+    const videoIds = (Array.isArray(research.interviews) ? research.interviews : []).map(v => v && v.videoId);
+    return {
+        ...research,
+        interviewReport: { ...cleanReport(report, videoIds), basis: report.basis === 'metadata' ? 'metadata' : 'content' },
+    };
+}
+
+function isResearch(research) {
+    return research === undefined || research === null || (typeof research === 'object' && !Array.isArray(research));
+}
+
+app.post('/api/sessions', auth.scopedAuth('write'), editor, async (req, res) => {
+    const { guestName, context, title, research } = req.body;
+    if (!guestName) return res.status(400).json({ error: 'Guest name is required' });
+    if (!isResearch(research)) return res.status(400).json({ error: 'research must be an object' });
+    try {
+        const session = await sessions.createSession(req.workspaceId, req.userId, {
+            guestName, context, title, research: research && cleanResearch(research),
+        });
+        res.status(201).json({ success: true, session });
+    } catch (err) {
+        console.error('Create session error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/sessions/:id', auth.scopedAuth('read'), viewer, async (req, res) => {
+    const session = await sessions.getSession(req.workspaceId, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true, session });
+});
+
+app.patch('/api/sessions/:id', auth.scopedAuth('write'), editor, async (req, res) => {
+    const { title, context, research } = req.body;
+    if (title !== undefined && !String(title).trim()) {
+        return res.status(400).json({ error: 'Title cannot be empty' });
+    }
+    if (!isResearch(research)) return res.status(400).json({ error: 'research must be an object' });
+    const updated = await sessions.updateSession(req.workspaceId, req.params.id, {
+        title: title !== undefined ? String(title).trim() : undefined,
+        context,
+        research: research && cleanResearch(research),
+    });
+    if (!updated) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true, session: updated });
+});
+
+app.delete('/api/sessions/:id', auth.scopedAuth('write'), editor, async (req, res) => {
+    const deleted = await sessions.deleteSession(req.workspaceId, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true });
+});
+
+app.post('/api/sessions/:id/questions', auth.scopedAuth('write'), editor, async (req, res) => {
+    const { data, questionCount, guestContext } = req.body;
+    if (!data) return res.status(400).json({ error: 'Question data is required' });
+    const questionSet = await sessions.addQuestionSet(req.workspaceId, req.userId, req.params.id, { data, questionCount, guestContext });
+    if (!questionSet) return res.status(404).json({ error: 'Session not found' });
+    res.status(201).json({ success: true, questionSet });
+});
+
 // Serve frontend for any other route
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '..', 'client', 'index.html'));
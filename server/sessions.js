@@ -0,0 +1,122 @@
+const storage = require('./storage');
+const { listSessionDocuments } = require('./documents');
+
+const sessions = storage.repository('sessions');
+const questionSets = storage.repository('questionSets');
+const documents = storage.repository('documents');
+
+// Lightweight listing entry — the full research payload can be large
+function summarize(session, questionSetCount = 0) {
+    const research = session.research || {};
+    return {
+        id: session.id,
+        title: session.title,
+        guestName: session.guestName,
+        context: session.context,
+        createdBy: session.userId,
+        totalInterviewsFound: research.totalInterviewsFound || 0,
+        transcriptsAnalyzed: research.transcriptsAnalyzed || 0,
+        hasResearch: !!session.research,
+        questionSetCount,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+    };
+}
+
+function defaultTitle(guestName) {
+    return `${guestName} — ${new Date().toISOString().substring(0, 10)}`;
+}
+
+// Load a session only if it belongs to the workspace
+async function findInWorkspace(workspaceId, sessionId) {
+    const session = await sessions.findById(sessionId);
+    return session && session.workspaceId === workspaceId ? session : null;
+}
+
+// ── List Sessions ──
+async function listSessions(workspaceId) {
+    const list = await sessions.find({ workspaceId }, { sort: { updatedAt: -1 } });
+    const sets = await questionSets.find({ workspaceId }, { fields: ['sessionId'] });
+    const counts = {};
+    for (const q of sets) counts[q.sessionId] = (counts[q.sessionId] || 0) + 1;
+    return list.map(s => summarize(s, counts[s.id] || 0));
+}
+
+// Refreshes look for content published after researchedAt (jobs.js), so every
+// research written to a session carries one
+function stampResearch(research) {
+    if (!research || !Number.isNaN(Date.parse(research.researchedAt))) return research;
+    return { ...research, researchedAt: new Date().toISOString() };
+}
+
+// ── Create Session (userId records who created it) ──
+async function createSession(workspaceId, userId, { guestName, context, title, research }) {
+    const now = new Date().toISOString();
+    return sessions.create({
+        workspaceId,
+        userId,
+        title: (title || '').trim() || defaultTitle(guestName),
+        guestName: guestName.trim(),
+        context: context || '',
+        research: stampResearch(research) || null,
+        createdAt: now,
+        updatedAt: now,
+    });
+}
+
+// ── Get Session (with its question sets and attached documents) ──
+async function getSession(workspaceId, sessionId) {
+    const session = await findInWorkspace(workspaceId, sessionId);
+    if (!session) return null;
+    const sets = await questionSets.find({ sessionId }, { sort: { createdAt: -1 } });
+    return { ...session, questionSets: sets, documents: await listSessionDocuments(sessionId) };
+}
+
+// ── Update Session (rename, edit context, replace research) ──
+async function updateSession(workspaceId, sessionId, updates) {
+    if (!(await findInWorkspace(workspaceId, sessionId))) return null;
+
+    const allowed = ['title', 'context', 'research'];
+    const changes = { updatedAt: new Date().toISOString() };
+    for (const key of allowed) {
+        if (updates[key] !== undefined) changes[key] = updates[key];
+    }
+    if (changes.research) changes.research = stampResearch(changes.research);
+    const updated = await sessions.update(sessionId, changes);
+    return summarize(updated, await questionSets.count({ sessionId }));
+}
+
+// ── Delete Session (and its question sets and documents) ──
+async function deleteSession(workspaceId, sessionId) {
+    if (!(await findInWorkspace(workspaceId, sessionId))) return false;
+    await sessions.remove(sessionId);
+    await questionSets.removeWhere({ sessionId });
+    await documents.removeWhere({ sessionId });
+    return true;
+}
+
+// ── Save Generated Questions to a Session ──
+async function addQuestionSet(workspaceId, userId, sessionId, { data, questionCount, guestContext }) {
+    if (!(await findInWorkspace(workspaceId, sessionId))) return null;
+
+    const questionSet = await questionSets.create({
+        sessionId,
+        workspaceId,
+        userId,
+        guestContext: guestContext || '',
+        questionCount: parseInt(questionCount) || 0,
+        data,
+        createdAt: new Date().toISOString(),
+    });
+    await sessions.update(sessionId, { updatedAt: new Date().toISOString() });
+    return questionSet;
+}
+
+module.exports = {
+    listSessions,
+    createSession,
+    getSession,
+    updateSession,
+    deleteSession,
+    addQuestionSet,
+};
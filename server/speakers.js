@@ -0,0 +1,207 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const cache = require('./cache');
+const { withRetry, parseJson } = require('./analysis');
+const { describeIdentity } = require('./identity');
+
+/**
+ * Speaker attribution: who says what in a YouTube transcript.
+ *
+ * Captions carry no speaker names, so the host's questions and the guest's
+ * answers arrive as one block of text. attributeSpeakers() splits each
+ * transcript into turns and labels them:
+ *
+ *   1. Heuristics: timed caption lines are joined into turns, starting a new
+ *      one at a pause, a caption speaker marker (">>") or after a question.
+ *      Short questions are guessed to be the host, long stretches the guest.
+ *   2. LLM pass: Gemini reads the turns in batches, guesses included, and
+ *      relabels them as host, guest or other.
+ *
+ * Adjacent turns by the same speaker are merged. Each transcript gets
+ * `turns`: [{ speaker: 'host' | 'guest' | 'other' | 'unknown', text, start, end }]
+ * with times in seconds; the analysis map step reads these instead of the
+ * raw text. LLM-labelled turns are cached per video and guest (who "guest" is
+ * depends on the run).
+ */
+const PAUSE_SECONDS = 1.5;          // silence that usually means the other person speaks
+const QUESTION_MAX_WORDS = 60;      // host questions are short...
+const ANSWER_MIN_WORDS = 80;        // ...guest answers long
+const ANSWER_MIN_SECONDS = 30;
+const BATCH_TURNS = 120;            // turns per labelling call
+const TURN_PREVIEW_CHARS = 400;     // of each turn shown to Gemini
+const FREE_LLM_TRANSCRIPTS = 15;    // labelled by Gemini in Free mode; the rest get heuristics only
+const CONCURRENCY = 3;
+
+const LABELS = ['host', 'guest', 'other'];
+const QUESTION_END = /\?["')\]]?$/;
+const SPEAKER_MARKER = /^(>>|-\s)\s*/;
+
+// ── Heuristics ──
+
+// Join timed caption lines into turns where the speaker probably changes
+function splitTurns(segments) {
+    const turns = [];
+    let current = null;
+    let lastEnd = 0;
+    for (const segment of segments) {
+        const marked = SPEAKER_MARKER.test(segment.text);
+        const text = segment.text.replace(SPEAKER_MARKER, '').trim();
+        const end = segment.start + segment.duration;
+        if (!text) continue;
+
+        const paused = segment.start - lastEnd >= PAUSE_SECONDS;
+        if (!current || marked || paused || QUESTION_END.test(current.text)) {
+            current = { text, start: segment.start, end };
+            turns.push(current);
+        } else {
+            current.text += ` ${text}`;
+            current.end = Math.max(current.end, end);
+        }
+        lastEnd = Math.max(lastEnd, end);
+    }
+    return turns;
+}
+
+// First guess from punctuation, length and timing
+function guessSpeakers(turns) {
+    let previous = null;
+    for (const turn of turns) {
+        const words = turn.text.split(' ').length;
+        const seconds = turn.end - turn.start;
+        if (QUESTION_END.test(turn.text) && words <= QUESTION_MAX_WORDS) turn.speaker = 'host';
+        else if (words >= ANSWER_MIN_WORDS || seconds >= ANSWER_MIN_SECONDS) turn.speaker = 'guest';
+        else if (previous === 'host') turn.speaker = 'guest'; // whoever speaks after a question answers it
+        else turn.speaker = 'unknown';
+        previous = turn.speaker;
+    }
+    return turns;
+}
+
+function mergeTurns(turns) {
+    const merged = [];
+    for (const turn of turns) {
+        const last = merged[merged.length - 1];
+        if (last && last.speaker === turn.speaker) {
+            last.text += ` ${turn.text}`;
+            last.end = Math.max(last.end, turn.end);
+        } else {
+            merged.push({ speaker: turn.speaker, text: turn.text, start: turn.start, end: turn.end });
+        }
+    }
+    const round = seconds => Math.round(seconds * 100) / 100;
+    return merged.map(turn => ({ ...turn, start: round(turn.start), end: round(turn.end) }));
+}
+
+// ── LLM Pass ──
+
+async function labelBatch(transcript, batch, previousSpeaker, options) {
+    const { guestName, identity, geminiKey, signal } = options;
+    const model = new GoogleGenerativeAI(geminiKey || process.env.GEMINI_API_KEY).getGenerativeModel({
+        model: 'gemini-2.0-flash',
+        generationConfig: { temperature: 0, maxOutputTokens: 4000, responseMimeType: 'application/json' },
+    });
+    const identityNote = identity ? ` ${describeIdentity(identity)}` : '';
+    const lines = batch.map((turn, i) => {
+        const text = turn.text.length > TURN_PREVIEW_CHARS ? `${turn.text.substring(0, TURN_PREVIEW_CHARS)}…` : turn.text;
+        return `${i + 1}. [${turn.speaker}] ${text}`;
+    });
+
+    const prompt = `You are labelling who speaks in the transcript of "${transcript.title}" from ${transcript.channelTitle}, a video featuring ${guestName}.${identityNote}
+
+The captions have no speaker names. They were split into numbered turns where the speaker probably changes, and each turn shows a first guess in brackets based only on punctuation and length: often right, sometimes wrong.${previousSpeaker ? ` The turn just before these was by the ${previousSpeaker}.` : ''}
+
+Label every turn:
+- "host": the interviewer(s): questions, follow-ups, introductions, reactions
+- "guest": ${guestName}
+- "other": anyone else (another guest, a caller, an ad read, a clip being played)
+
+Reply with JSON: {"labels": ["host", "guest", ...]} with exactly ${batch.length} labels, in order.
+
+${lines.join('\n')}`;
+
+    const result = await withRetry(() => model.generateContent(prompt, { signal }), { signal });
+    const labels = parseJson(result.response.text()).labels;
+    if (!Array.isArray(labels) || labels.length !== batch.length) {
+        throw new Error(`expected ${batch.length} labels, got ${Array.isArray(labels) ? labels.length : 'none'}`);
+    }
+    return labels.map((label, i) => (LABELS.includes(label) ? label : batch[i].speaker));
+}
+
+// Turns for one transcript: cached LLM labels, else heuristics refined by Gemini
+async function attributeTranscript(transcript, useLlm, options) {
+    const cacheKey = cache.keys.turns(transcript.videoId, options.guestName);
+    if (!options.forceRefresh) {
+        const cached = await cache.get(cacheKey);
+        if (cached) return { turns: cached.turns, labelled: true, cached: true };
+    }
+
+    const turns = guessSpeakers(splitTurns(transcript.segments));
+    if (!useLlm) return { turns: mergeTurns(turns), labelled: false, cached: false };
+
+    try {
+        for (let i = 0; i < turns.length; i += BATCH_TURNS) {
+            const batch = turns.slice(i, i + BATCH_TURNS);
+            const labels = await labelBatch(transcript, batch, turns[i - 1]?.speaker, options);
+            batch.forEach((turn, j) => { turn.speaker = labels[j]; });
+        }
+    } catch (err) {
+        options.signal?.throwIfAborted();
+        console.error(`  ❌ Speaker labelling failed for "${transcript.title}":`, err.message?.substring(0, 150));
+        return { turns: mergeTurns(guessSpeakers(turns)), labelled: false, cached: false };
+    }
+
+    const merged = mergeTurns(turns);
+    await cache.set(cacheKey, { turns: merged }, cache.TTL.transcript, options.userId);
+    return { turns: merged, labelled: true, cached: false };
+}
+
+/**
+ * Add speaker `turns` to every transcript that has timed segments (others are
+ * returned unchanged). Progress is reported under the 'speakers' step.
+ * options: { guestName, identity, geminiKey, isPro, signal, onProgress, forceRefresh, userId }
+ * Returns { transcripts, labelled, heuristic, hostTurns, guestTurns }.
+ */
+async function attributeSpeakers(transcripts, options) {
+    const { signal, onProgress } = options;
+    const hasLlm = !!(options.geminiKey || process.env.GEMINI_API_KEY);
+    const timed = transcripts.filter(t => t.segments?.length > 0);
+    const results = new Map();
+    let next = 0;
+    let finished = 0;
+    let cachedCount = 0;
+
+    async function worker() {
+        while (next < timed.length) {
+            const index = next++;
+            const transcript = timed[index];
+            const useLlm = hasLlm && (options.isPro || index < FREE_LLM_TRANSCRIPTS);
+            const result = await attributeTranscript(transcript, useLlm, options);
+            results.set(transcript, result);
+            if (result.cached) cachedCount++;
+            finished++;
+            onProgress({
+                step: 'speakers', status: 'active',
+                message: `Separated speakers in ${finished}/${timed.length} transcripts: "${transcript.title}"${cachedCount ? ` · ${cachedCount} from cache` : ''}`,
+            });
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, timed.length) }, worker));
+    signal?.throwIfAborted();
+
+    let labelled = 0;
+    let hostTurns = 0;
+    let guestTurns = 0;
+    const withTurns = transcripts.map(transcript => {
+        const result = results.get(transcript);
+        if (!result) return transcript;
+        if (result.labelled) labelled++;
+        hostTurns += result.turns.filter(t => t.speaker === 'host').length;
+        guestTurns += result.turns.filter(t => t.speaker === 'guest').length;
+        return { ...transcript, turns: result.turns };
+    });
+
+    console.log(`  🗣️ Speakers: ${results.size} transcripts (${labelled} AI-labelled, ${cachedCount} cached), ${hostTurns} host turns, ${guestTurns} guest turns`);
+    return { transcripts: withTurns, labelled, heuristic: results.size - labelled, hostTurns, guestTurns };
+}
+
+module.exports = { attributeSpeakers };
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+/**
+ * Shared implementation for the JSON-file and in-memory repositories.
+ * Documents are kept in one object keyed by `keyField` (e.g. users.json is
+ * keyed by email); `read()` and `write()` load and persist that object.
+ *
+ * Every operation does its read-modify-write synchronously, so concurrent
+ * requests in the same process can't interleave and lose updates.
+ */
+function createDocumentRepository({ read, write, keyField = 'id' }) {
+    const all = () => Object.values(read());
+
+    function keyOf(entries, id) {
+        return Object.keys(entries).find(k => entries[k].id === id);
+    }
+
+    return {
+        async findById(id) {
+            const entries = read();
+            const key = keyOf(entries, id);
+            return key ? clone(entries[key]) : null;
+        },
+
+        async findOne(filter = {}) {
+            const doc = all().find(d => matches(d, filter));
+            return doc ? clone(doc) : null;
+        },
+
+        async find(filter = {}, options = {}) {
+            let docs = all().filter(d => matches(d, filter));
+            if (options.sort) docs = sortDocs(docs, options.sort);
+            if (options.limit) docs = docs.slice(0, options.limit);
+            if (options.fields) docs = docs.map(d => pick(d, ['id', ...options.fields]));
+            return docs.map(clone);
+        },
+
+        async count(filter = {}) {
+            return all().filter(d => matches(d, filter)).length;
+        },
+
+        async create(doc) {
+            const entries = read();
+            const now = new Date().toISOString();
+            const created = { id: doc.id || crypto.randomUUID(), createdAt: now, ...stripUndefined(doc) };
+            entries[created[keyField]] = created;
+            write(entries);
+            return clone(created);
+        },
+
+        async update(id, changes) {
+            const entries = read();
+            const key = keyOf(entries, id);
+            if (!key) return null;
+            Object.assign(entries[key], stripUndefined(changes));
+            write(entries);
+            return clone(entries[key]);
+        },
+
+        async upsert(filter, doc) {
+            const entries = read();
+            const key = Object.keys(entries).find(k => matches(entries[k], filter));
+            if (key) {
+                Object.assign(entries[key], stripUndefined(doc));
+                write(entries);
+                return clone(entries[key]);
+            }
+            const created = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...stripUndefined(doc) };
+            entries[created[keyField]] = created;
+            write(entries);
+            return clone(created);
+        },
+
+        async remove(id) {
+            const entries = read();
+            const key = keyOf(entries, id);
+            if (!key) return false;
+            delete entries[key];
+            write(entries);
+            return true;
+        },
+
+        async removeWhere(filter) {
+            const entries = read();
+            let removed = 0;
+            for (const [key, doc] of Object.entries(entries)) {
+                if (matches(doc, filter)) {
+                    delete entries[key];
+                    removed++;
+                }
+            }
+            if (removed > 0) write(entries);
+            return removed;
+        },
+    };
+}
+
+// ── Query helpers (a small subset of MongoDB filter syntax) ──
+
+function normalize(value) {
+    return value instanceof Date ? value.toISOString() : value;
+}
+
+function matchValue(actual, condition) {
+    if (condition && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)) {
+        return Object.entries(condition).every(([op, expected]) => {
+            const a = normalize(actual);
+            const e = Array.isArray(expected) ? expected.map(normalize) : normalize(expected);
+            switch (op) {
+                case '$in': return e.includes(a);
+                case '$ne': return a !== e;
+                case '$gt': return a !== undefined && a > e;
+                case '$gte': return a !== undefined && a >= e;
+                case '$lt': return a !== undefined && a < e;
+                case '$lte': return a !== undefined && a <= e;
+                case '$exists': return (a !== undefined && a !== null) === !!e;
+                default: throw new Error(`Unsupported filter operator: ${op}`);
+            }
+        });
+    }
+    return normalize(actual) === normalize(condition);
+}
+
+function matches(doc, filter) {
+    return Object.entries(filter).every(([field, condition]) => matchValue(doc[field], condition));
+}
+
+function sortDocs(docs, sort) {
+    const fields = Object.entries(sort);
+    return [...docs].sort((a, b) => {
+        for (const [field, dir] of fields) {
+            const x = normalize(a[field]);
+            const y = normalize(b[field]);
+            if (x < y) return -dir;
+            if (x > y) return dir;
+        }
+        return 0;
+    });
+}
+
+function pick(doc, fields) {
+    return Object.fromEntries(fields.filter(f => doc[f] !== undefined).map(f => [f, doc[f]]));
+}
+
+function stripUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+function clone(doc) {
+    return JSON.parse(JSON.stringify(doc));
+}
+
+module.exports = { createDocumentRepository };
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { createDocumentRepository } = require('./documents');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const WRITE_DELAY = 500; // ms: changes within this window are written to disk together
+
+/**
+ * JSON-file repository (local dev). One file per collection under data/.
+ *
+ * A collection is read from disk once and kept in memory; changes are written
+ * back in batches (at most one write per WRITE_DELAY, and on exit), so busy
+ * collections like job events don't rewrite their file on every change.
+ * Editing the files while the server runs has no effect.
+ *
+ * With `spillField` each document's value of that field (e.g. the cache's
+ * transcripts and notes) is kept in its own file under data/<collection>/,
+ * read only when the document is, so the collection file stays small. The
+ * spilled field can't be used in filters.
+ */
+function createFileRepository({ file, keyField, spillField }) {
+    const filePath = path.join(DATA_DIR, file);
+
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    let entries = null;
+    let timer = null;
+
+    function read() {
+        if (entries) return entries;
+        entries = {};
+        try {
+            if (fs.existsSync(filePath)) {
+                entries = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            }
+        } catch (e) {
+            console.error(`Error loading ${file}:`, e.message);
+        }
+        return entries;
+    }
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        fs.writeFileSync(filePath, JSON.stringify(entries, null, 2), 'utf-8');
+    }
+
+    function write(next) {
+        entries = next;
+        if (timer) return;
+        timer = setTimeout(flush, WRITE_DELAY);
+        timer.unref();
+        pending.add(flushIfPending);
+    }
+
+    function flushIfPending() {
+        if (timer) flush();
+    }
+
+    const repo = createDocumentRepository({ read, write, keyField });
+    return spillField ? spill(repo, path.join(DATA_DIR, file.replace(/\.json$/, '')), spillField) : repo;
+}
+
+// Writes still waiting when the process ends
+const pending = new Set();
+function flushPending() {
+    for (const flush of pending) {
+        try {
+            flush();
+        } catch (e) {
+            console.error('Error saving data:', e.message);
+        }
+    }
+}
+process.on('exit', flushPending);
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+        flushPending();
+        process.kill(process.pid, signal);
+    });
+}
+
+// Keep `field` of every document in data/<dir>/<id>.json instead of the collection file
+function spill(repo, dir, field) {
+    const fileOf = id => path.join(dir, `${id}.json`);
+    const without = doc => {
+        const { [field]: value, ...rest } = doc;
+        return rest;
+    };
+
+    function load(doc) {
+        if (!doc) return doc;
+        try {
+            doc[field] = JSON.parse(fs.readFileSync(fileOf(doc.id), 'utf-8'));
+        } catch {
+            // No value file: keep whatever was stored inline before spilling
+        }
+        return doc;
+    }
+
+    function save(doc, value) {
+        if (!doc || value === undefined) return load(doc);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(fileOf(doc.id), JSON.stringify(value), 'utf-8');
+        return { ...doc, [field]: value };
+    }
+
+    function drop(docs) {
+        for (const doc of docs) fs.rmSync(fileOf(doc.id), { force: true });
+    }
+
+    return {
+        ...repo,
+        findById: async id => load(await repo.findById(id)),
+        findOne: async filter => load(await repo.findOne(filter)),
+        async find(filter, options = {}) {
+            const docs = await repo.find(filter, options);
+            return options.fields && !options.fields.includes(field) ? docs : docs.map(load);
+        },
+        create: async doc => save(await repo.create(without(doc)), doc[field]),
+        update: async (id, changes) => save(await repo.update(id, without(changes)), changes[field]),
+        upsert: async (filter, doc) => save(await repo.upsert(filter, without(doc)), doc[field]),
+        async remove(id) {
+            const removed = await repo.remove(id);
+            if (removed) drop([{ id }]);
+            return removed;
+        },
+        async removeWhere(filter) {
+            const docs = await repo.find(filter, { fields: [] });
+            const removed = await repo.removeWhere(filter);
+            drop(docs);
+            return removed;
+        },
+    };
+}
+
+module.exports = { createFileRepository, DATA_DIR };
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { createMongoRepository } = require('./mongo');
+const { createFileRepository } = require('./file');
+const { createMemoryRepository } = require('./memory');
+
+/**
+ * Storage layer. The driver is picked once at startup:
+ *   STORAGE_DRIVER=mongo|file|memory, or by default `mongo` when MONGO_URI
+ *   is set and `file` (JSON files in data/) otherwise.
+ *
+ * Every repository exposes the same async interface — findById, findOne,
+ * find, count, create, update, upsert, remove, removeWhere — so callers never
+ * branch on the backend. To add an entity, register it in COLLECTIONS.
+ */
+const COLLECTIONS = {
+    users: { model: () => require('../models/User'), file: 'users.json', keyField: 'email' },
+    sessions: { model: () => require('../models/ResearchSession'), file: 'sessions.json' },
+    questionSets: { model: () => require('../models/QuestionSet'), file: 'question-sets.json' },
+    cache: { model: () => require('../models/CacheEntry'), file: 'cache.json', keyField: 'key', spillField: 'value' },
+    authSessions: { model: () => require('../models/AuthSession'), file: 'auth-sessions.json' },
+    userTokens: { model: () => require('../models/UserToken'), file: 'user-tokens.json' },
+    workspaces: { model: () => require('../models/Workspace'), file: 'workspaces.json' },
+    memberships: { model: () => require('../models/Membership'), file: 'memberships.json' },
+    invitations: { model: () => require('../models/Invitation'), file: 'invitations.json' },
+    accessTokens: { model: () => require('../models/AccessToken'), file: 'access-tokens.json' },
+    researchJobs: { model: () => require('../models/ResearchJob'), file: 'research-jobs.json' },
+    jobEvents: { model: () => require('../models/JobEvent'), file: 'job-events.json' },
+    documents: { model: () => require('../models/Document'), file: 'documents.json' },
+};
+
+const DRIVERS = ['mongo', 'file', 'memory'];
+const driver = process.env.STORAGE_DRIVER || (process.env.MONGO_URI ? 'mongo' : 'file');
+
+if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${DRIVERS.join(', ')})`);
+}
+if (driver === 'mongo' && !process.env.MONGO_URI) {
+    throw new Error('STORAGE_DRIVER=mongo requires MONGO_URI');
+}
+
+const repositories = {};
+
+function repository(name) {
+    const def = COLLECTIONS[name];
+    if (!def) throw new Error(`Unknown collection: ${name}`);
+
+    if (!repositories[name]) {
+        const keyField = def.keyField || 'id';
+        if (driver === 'mongo') repositories[name] = createMongoRepository(def.model());
+        else if (driver === 'file') repositories[name] = createFileRepository({ file: def.file, keyField, spillField: def.spillField });
+        else repositories[name] = createMemoryRepository({ keyField });
+    }
+    return repositories[name];
+}
+
+// Connect to MongoDB when it's the selected driver (no-op otherwise)
+async function connect() {
+    if (driver !== 'mongo') {
+        console.log(`💾 Storage: ${driver}`);
+        return;
+    }
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+}
+
+module.exports = { repository, connect, driver };
@@ -0,0 +1,16 @@
+const { createDocumentRepository } = require('./documents');
+
+/**
+ * In-memory repository — nothing touches disk or a database.
+ * Used with STORAGE_DRIVER=memory for tests and throwaway local runs.
+ */
+function createMemoryRepository({ keyField }) {
+    let entries = {};
+    return createDocumentRepository({
+        read: () => entries,
+        write: (next) => { entries = next; },
+        keyField,
+    });
+}
+
+module.exports = { createMemoryRepository };
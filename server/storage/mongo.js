@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * MongoDB repository backed by a Mongoose model.
+ * Returns plain objects shaped like the file store: `id` instead of `_id`,
+ * dates as ISO strings.
+ */
+function createMongoRepository(Model) {
+    const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+    // Translate `id` in filters to Mongo's `_id`
+    function toQuery(filter = {}) {
+        const { id, ...rest } = filter;
+        return id !== undefined ? { _id: id, ...rest } : rest;
+    }
+
+    return {
+        async findById(id) {
+            if (!isValidId(id)) return null;
+            return toPlain(await Model.findById(id).lean());
+        },
+
+        async findOne(filter = {}) {
+            if (filter.id !== undefined && !isValidId(filter.id)) return null;
+            return toPlain(await Model.findOne(toQuery(filter)).lean());
+        },
+
+        async find(filter = {}, options = {}) {
+            let query = Model.find(toQuery(filter));
+            if (options.sort) query = query.sort(options.sort);
+            if (options.limit) query = query.limit(options.limit);
+            if (options.fields) query = query.select(options.fields.join(' '));
+            const docs = await query.lean();
+            return docs.map(toPlain);
+        },
+
+        async count(filter = {}) {
+            return Model.countDocuments(toQuery(filter));
+        },
+
+        async create(doc) {
+            const { id, ...fields } = doc;
+            const created = await Model.create(fields);
+            return toPlain(created.toObject());
+        },
+
+        async update(id, changes) {
+            if (!isValidId(id)) return null;
+            const updated = await Model.findByIdAndUpdate(id, { $set: stripUndefined(changes) }, { new: true }).lean();
+            return toPlain(updated);
+        },
+
+        async upsert(filter, doc) {
+            const updated = await Model.findOneAndUpdate(
+                toQuery(filter),
+                { $set: stripUndefined(doc) },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            ).lean();
+            return toPlain(updated);
+        },
+
+        async remove(id) {
+            if (!isValidId(id)) return false;
+            const result = await Model.deleteOne({ _id: id });
+            return result.deletedCount > 0;
+        },
+
+        async removeWhere(filter) {
+            const result = await Model.deleteMany(toQuery(filter));
+            return result.deletedCount;
+        },
+    };
+}
+
+function toPlain(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...rest } = doc;
+    const plain = { id: _id.toString() };
+    for (const [key, value] of Object.entries(rest)) {
+        plain[key] = value instanceof Date ? value.toISOString() : value;
+    }
+    return plain;
+}
+
+function stripUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+module.exports = { createMongoRepository };
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+const { encryptSecret, decryptSecret } = require('./secrets');
+const { sendMail, escapeHtml, APP_URL } = require('./mail');
+const { purgeJobs } = require('./jobs');
+
+const workspaces = storage.repository('workspaces');
+const memberships = storage.repository('memberships');
+const invitations = storage.repository('invitations');
+const users = storage.repository('users');
+const sessions = storage.repository('sessions');
+const questionSets = storage.repository('questionSets');
+const documents = storage.repository('documents');
+
+/**
+ * Workspaces own the channel profile, API keys, saved research and question
+ * sets. Members have one role each:
+ *   viewer — read saved research and questions
+ *   editor — also run research, generate questions, edit sessions and the channel profile
+ *   owner  — also manage API keys, members and invitations; rename or delete the workspace
+ *
+ * Every account gets a personal workspace the first time it needs one; the
+ * profile and keys that used to live on the user are moved into it.
+ */
+const ROLES = ['viewer', 'editor', 'owner'];
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+function hasRole(role, minRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Workspace as sent to members: never includes the keys themselves
+function describe(workspace, role) {
+    const { youtubeApiKey, geminiApiKey, podcastFeeds, ...safe } = workspace;
+    return { ...safe, role, hasCustomKey: !!(youtubeApiKey || geminiApiKey) };
+}
+
+// ── Personal Workspace ──
+
+// Parallel first requests from one account share a single creation
+const creatingPersonal = new Map();
+
+function ensurePersonalWorkspace(userId) {
+    if (!creatingPersonal.has(userId)) {
+        creatingPersonal.set(userId, findOrCreatePersonal(userId).finally(() => creatingPersonal.delete(userId)));
+    }
+    return creatingPersonal.get(userId);
+}
+
+async function findOrCreatePersonal(userId) {
+    const existing = await workspaces.findOne({ ownerId: userId, personal: true });
+    if (existing) return existing;
+
+    const user = await users.findById(userId);
+    if (!user) return null;
+
+    const now = new Date().toISOString();
+    const workspace = await workspaces.create({
+        name: user.name ? `${user.name}'s workspace` : 'My workspace',
+        ownerId: userId,
+        personal: true,
+        channelDescription: user.channelDescription || '',
+        interviewerStyle: user.interviewerStyle || '',
+        youtubeApiKey: user.youtubeApiKey || '',
+        geminiApiKey: user.geminiApiKey || '',
+        createdAt: now,
+        updatedAt: now,
+    });
+    await memberships.create({ workspaceId: workspace.id, userId, role: 'owner', createdAt: now });
+
+    // The keys now live (still encrypted) on the workspace only
+    if (user.youtubeApiKey || user.geminiApiKey) {
+        await users.update(userId, { youtubeApiKey: '', geminiApiKey: '' });
+    }
+
+    // Research saved before workspaces existed belongs to the personal one
+    for (const s of await sessions.find({ userId, workspaceId: { $exists: false } }, { fields: ['id'] })) {
+        await sessions.update(s.id, { workspaceId: workspace.id });
+    }
+    for (const q of await questionSets.find({ userId, workspaceId: { $exists: false } }, { fields: ['id'] })) {
+        await questionSets.update(q.id, { workspaceId: workspace.id });
+    }
+    return workspace;
+}
+
+/**
+ * Middleware (after auth.authMiddleware) that resolves the workspace a request
+ * acts on and checks the caller's role. The workspace comes from the
+ * :workspaceId route param or the X-Workspace-Id header, defaulting to the
+ * caller's personal workspace. Sets req.workspaceId and req.workspaceRole.
+ */
+function requireRole(minRole) {
+    return async (req, res, next) => {
+        try {
+            let workspaceId = req.params.workspaceId || req.get('x-workspace-id');
+            if (!workspaceId) {
+                const personal = await ensurePersonalWorkspace(req.userId);
+                if (!personal) return res.status(404).json({ error: 'Account not found' });
+                workspaceId = personal.id;
+            }
+
+            const membership = await memberships.findOne({ workspaceId, userId: req.userId });
+            if (!membership) return res.status(404).json({ error: 'Workspace not found' });
+            if (!hasRole(membership.role, minRole)) {
+                return res.status(403).json({ error: `This needs ${minRole} access to the workspace (you are ${membership.role})` });
+            }
+            req.workspaceId = workspaceId;
+            req.workspaceRole = membership.role;
+        } catch (err) {
+            console.error('Workspace lookup error:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+        next();
+    };
+}
+
+// ── List / Create / Update / Delete ──
+async function listWorkspaces(userId) {
+    await ensurePersonalWorkspace(userId);
+    const list = [];
+    for (const m of await memberships.find({ userId })) {
+        const workspace = await workspaces.findById(m.workspaceId);
+        if (workspace) list.push(describe(workspace, m.role));
+    }
+    // Personal workspace first, then by name
+    return list.sort((a, b) => (b.personal - a.personal) || a.name.localeCompare(b.name));
+}
+
+async function getWorkspace(workspaceId, role) {
+    const workspace = await workspaces.findById(workspaceId);
+    return workspace ? describe(workspace, role) : null;
+}
+
+async function createWorkspace(userId, { name, channelDescription, interviewerStyle }) {
+    if (!name || !name.trim()) return { success: false, error: 'Workspace name is required' };
+    const now = new Date().toISOString();
+    const workspace = await workspaces.create({
+        name: name.trim(),
+        ownerId: userId,
+        personal: false,
+        channelDescription: channelDescription || '',
+        interviewerStyle: interviewerStyle || '',
+        youtubeApiKey: '',
+        geminiApiKey: '',
+        createdAt: now,
+        updatedAt: now,
+    });
+    await memberships.create({ workspaceId: workspace.id, userId, role: 'owner', createdAt: now });
+    return { success: true, workspace: describe(workspace, 'owner') };
+}
+
+// Editors may change the channel profile; renaming is for owners
+async function updateWorkspace(workspaceId, role, updates) {
+    const allowed = ['channelDescription', 'interviewerStyle'];
+    if (hasRole(role, 'owner')) allowed.push('name');
+
+    const changes = { updatedAt: new Date().toISOString() };
+    for (const key of allowed) {
+        if (updates[key] !== undefined) changes[key] = typeof updates[key] === 'string' ? updates[key].trim() : updates[key];
+    }
+    if (changes.name === '') return { success: false, error: 'Workspace name is required' };
+    const workspace = await workspaces.update(workspaceId, changes);
+    if (!workspace) return { success: false, error: 'Workspace not found' };
+    return { success: true, workspace: describe(workspace, role) };
+}
+
+async function deleteWorkspace(workspaceId) {
+    const workspace = await workspaces.findById(workspaceId);
+    if (!workspace) return { success: false, error: 'Workspace not found' };
+    if (workspace.personal) return { success: false, error: 'Your personal workspace can\'t be deleted' };
+
+    await purgeWorkspace(workspaceId);
+    return { success: true };
+}
+
+// Remove a workspace with everything saved in it
+async function purgeWorkspace(workspaceId) {
+    await purgeJobs({ workspaceId });
+    await questionSets.removeWhere({ workspaceId });
+    await documents.removeWhere({ workspaceId });
+    await sessions.removeWhere({ workspaceId });
+    await invitations.removeWhere({ workspaceId });
+    await memberships.removeWhere({ workspaceId });
+    await workspaces.remove(workspaceId);
+}
+
+// ── API Keys (encrypted at rest) ──
+
+// Decrypt a stored key; an undecryptable key (e.g. its master key was retired) counts as unset
+function readSecret(stored, label) {
+    try {
+        return decryptSecret(stored);
+    } catch (err) {
+        console.error(`Could not decrypt ${label}:`, err.message);
+        return '';
+    }
+}
+
+async function getApiKeys(workspaceId) {
+    const workspace = await workspaces.findById(workspaceId);
+    if (!workspace) return null;
+    return {
+        youtubeApiKey: readSecret(workspace.youtubeApiKey, `YouTube key of workspace ${workspaceId}`),
+        geminiApiKey: readSecret(workspace.geminiApiKey, `Gemini key of workspace ${workspaceId}`),
+    };
+}
+
+async function updateApiKeys(workspaceId, keys) {
+    const encrypt = (k) => (k === undefined ? undefined : encryptSecret(k));
+    const workspace = await workspaces.update(workspaceId, {
+        youtubeApiKey: encrypt(keys.youtubeApiKey),
+        geminiApiKey: encrypt(keys.geminiApiKey),
+        updatedAt: new Date().toISOString(),
+    });
+    return workspace ? { success: true } : null;
+}
+
+// ── Members ──
+async function listMembers(workspaceId) {
+    const list = [];
+    for (const m of await memberships.find({ workspaceId }, { sort: { createdAt: 1 } })) {
+        const user = await users.findById(m.userId);
+        list.push({
+            userId: m.userId,
+            name: user ? user.name : '',
+            email: user ? user.email : '(deleted account)',
+            role: m.role,
+            joinedAt: m.createdAt,
+        });
+    }
+    return list;
+}
+
+// A workspace always keeps at least one owner
+async function isLastOwner(workspaceId, userId) {
+    const owners = await memberships.find({ workspaceId, role: 'owner' }, { fields: ['userId'] });
+    return owners.length === 1 && owners[0].userId === userId;
+}
+
+async function updateMemberRole(workspaceId, userId, role) {
+    if (!ROLES.includes(role)) return { success: false, error: `Role must be one of: ${ROLES.join(', ')}` };
+    const membership = await memberships.findOne({ workspaceId, userId });
+    if (!membership) return { success: false, status: 404, error: 'Member not found' };
+    if (role !== 'owner' && await isLastOwner(workspaceId, userId)) {
+        return { success: false, error: 'Make someone else an owner first' };
+    }
+    await memberships.update(membership.id, { role });
+    return { success: true };
+}
+
+async function removeMember(workspaceId, userId) {
+    const membership = await memberships.findOne({ workspaceId, userId });
+    if (!membership) return { success: false, status: 404, error: 'Member not found' };
+    const workspace = await workspaces.findById(workspaceId);
+    if (workspace && workspace.personal && workspace.ownerId === userId) {
+        return { success: false, error: 'You can\'t leave your personal workspace' };
+    }
+    if (await isLastOwner(workspaceId, userId)) {
+        return { success: false, error: 'Make someone else an owner first' };
+    }
+    await memberships.remove(membership.id);
+    return { success: true };
+}
+
+// ── Invitations ──
+async function listInvitations(workspaceId) {
+    const list = await invitations.find({ workspaceId, acceptedAt: null }, { sort: { createdAt: -1 } });
+    return list
+        .filter(i => new Date(i.expiresAt).getTime() > Date.now())
+        .map(({ tokenHash, ...invite }) => invite);
+}
+
+async function createInvitation(workspaceId, inviter, { email, role }) {
+    const emailLower = (email || '').toLowerCase().trim();
+    if (!emailLower) return { success: false, error: 'Email is required' };
+    if (!ROLES.includes(role)) return { success: false, error: `Role must be one of: ${ROLES.join(', ')}` };
+
+    const existingUser = await users.findOne({ email: emailLower });
+    if (existingUser && await memberships.findOne({ workspaceId, userId: existingUser.id })) {
+        return { success: false, error: 'That person is already a member' };
+    }
+
+    // Re-inviting replaces the earlier pending invitation
+    await invitations.removeWhere({ workspaceId, email: emailLower, acceptedAt: null });
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = await invitations.create({
+        workspaceId,
+        email: emailLower,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy: inviter.id,
+        acceptedAt: null,
+        expiresAt: new Date(Date.now() + INVITE_TTL).toISOString(),
+        createdAt: new Date().toISOString(),
+    });
+
+    const workspace = await workspaces.findById(workspaceId);
+    const link = `${APP_URL}/?invite=${token}`;
+    const inviterName = inviter.name || inviter.email;
+    await sendMail({
+        to: emailLower,
+        subject: `${inviterName} invited you to ${workspace.name} on InterviewIQ`,
+        text: `${inviterName} invited you to join "${workspace.name}" on InterviewIQ as ${role === 'editor' ? 'an' : 'a'} ${role}.\n\nAccept the invitation (sign in or create an account with this email first):\n${link}\n\nThe invitation expires in 7 days.`,
+        html: `<p>${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(workspace.name)}</strong> on InterviewIQ as ${role === 'editor' ? 'an' : 'a'} ${role}.</p><p><a href="${link}">Accept the invitation</a> — sign in or create an account with this email first. The invitation expires in 7 days.</p>`,
+    });
+
+    const { tokenHash, ...safe } = invitation;
+    return { success: true, invitation: safe };
+}
+
+async function revokeInvitation(workspaceId, invitationId) {
+    const invitation = await invitations.findById(invitationId);
+    if (!invitation || invitation.workspaceId !== workspaceId || invitation.acceptedAt) return false;
+    await invitations.remove(invitationId);
+    return true;
+}
+
+// The invitation is bound to the email it was sent to
+async function acceptInvitation(token, userId) {
+    const invitation = token ? await invitations.findOne({ tokenHash: hashToken(token) }) : null;
+    if (!invitation || invitation.acceptedAt || new Date(invitation.expiresAt).getTime() <= Date.now()) {
+        return { success: false, error: 'This invitation is invalid or has expired' };
+    }
+    const user = await users.findById(userId);
+    if (!user || user.email !== invitation.email) {
+        return { success: false, status: 403, error: `This invitation was sent to ${invitation.email} — sign in with that account to accept it` };
+    }
+    const workspace = await workspaces.findById(invitation.workspaceId);
+    if (!workspace) return { success: false, error: 'This workspace no longer exists' };
+
+    if (!(await memberships.findOne({ workspaceId: workspace.id, userId }))) {
+        await memberships.create({ workspaceId: workspace.id, userId, role: invitation.role, createdAt: new Date().toISOString() });
+    }
+    await invitations.update(invitation.id, { acceptedAt: new Date().toISOString() });
+    return { success: true, workspace: describe(workspace, invitation.role) };
+}
+
+// ── Account Deletion ──
+
+// Workspaces the user is the only owner of while other people still use them
+async function workspacesBlockingDeletion(userId) {
+    const blocking = [];
+    for (const m of await memberships.find({ userId, role: 'owner' })) {
+        const others = await memberships.count({ workspaceId: m.workspaceId, userId: { $ne: userId } });
+        if (others > 0 && await isLastOwner(m.workspaceId, userId)) {
+            const workspace = await workspaces.findById(m.workspaceId);
+            if (workspace) blocking.push({ id: workspace.id, name: workspace.name });
+        }
+    }
+    return blocking;
+}
+
+/**
+ * Take a user out of every workspace: ones nobody else uses are purged,
+ * shared ones keep their research and just lose the member.
+ */
+async function removeUserFromAllWorkspaces(user) {
+    for (const m of await memberships.find({ userId: user.id })) {
+        const others = await memberships.find({ workspaceId: m.workspaceId, userId: { $ne: user.id } }, { sort: { createdAt: 1 } });
+        if (others.length === 0) {
+            await purgeWorkspace(m.workspaceId);
+            continue;
+        }
+        await memberships.remove(m.id);
+
+        // A shared personal workspace passes to the longest-standing remaining owner
+        const workspace = await workspaces.findById(m.workspaceId);
+        if (workspace && workspace.personal && workspace.ownerId === user.id) {
+            const heir = others.find(o => o.role === 'owner') || others[0];
+            await workspaces.update(workspace.id, { personal: false, ownerId: heir.userId });
+        }
+    }
+    await invitations.removeWhere({ email: user.email, acceptedAt: null });
+}
+
+module.exports = {
+    ROLES,
+    requireRole,
+    ensurePersonalWorkspace,
+    listWorkspaces,
+    getWorkspace,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    getApiKeys,
+    updateApiKeys,
+    listMembers,
+    updateMemberRole,
+    removeMember,
+    listInvitations,
+    createInvitation,
+    revokeInvitation,
+    acceptInvitation,
+    workspacesBlockingDeletion,
+    removeUserFromAllWorkspaces,
+};
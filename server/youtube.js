@@ -1,6 +1,9 @@
+const { setTimeout: wait } = require('timers/promises');
 const { google } = require('googleapis');
 const { YoutubeTranscript } = require('youtube-transcript-plus');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const cache = require('./cache');
+const relevance = require('./relevance');
 
 /**
  * Create YouTube client — uses custom key if provided, falls back to .env key.
@@ -23,13 +26,40 @@ function createGeminiClient(customKey) {
   return new GoogleGenerativeAI(key);
 }
 
+/**
+ * youtube-transcript-plus fetch hooks that tie its requests to an AbortSignal
+ * (the library's own fetch can't be cancelled).
+ */
+function abortableTranscriptFetch(signal) {
+  if (!signal) return {};
+  const fetchWithSignal = ({ url, lang, userAgent, method = 'GET', body, headers = {} }) => fetch(url, {
+    method,
+    headers: { ...(userAgent && { 'User-Agent': userAgent }), ...(lang && { 'Accept-Language': lang }), ...headers },
+    body: method === 'POST' ? body : undefined,
+    signal,
+  });
+  return { videoFetch: fetchWithSignal, playerFetch: fetchWithSignal, transcriptFetch: fetchWithSignal };
+}
+
 /**
  * Search YouTube for past interviews/podcasts of a guest.
  * Uses MANY search strategies including Hindi and regional variants.
- * Loosened relevance filter to catch more results.
+ * Every video that mentions the guest is kept and scored (relevance.js);
+ * results come back highest score first, each with { score, reasons }.
+ * Search responses are cached per query; pass { forceRefresh: true } to bypass
+ * and { signal } to make the run cancellable; options.context (the run's focus)
+ * raises videos on that topic.
+ * With options.identity (see identity.js) aliases are searched too, the official
+ * channel's uploads are included, and a bare surname match no longer counts —
+ * that rule mixes up namesakes.
+ * options.publishedAfter (RFC 3339) limits the search to newer videos, for
+ * refreshing a saved dossier.
  */
-async function researchGuest(guestName, youtubeApiKey, isPro = false) {
+async function researchGuest(guestName, youtubeApiKey, isPro = false, options = {}) {
   const yt = createYoutubeClient(youtubeApiKey);
+  const { identity, publishedAfter } = options;
+  // Short aliases ("RS") make useless queries and match inside unrelated words
+  const aliases = identity ? identity.aliases.filter(a => a.length >= 4) : [];
 
   // ── Build search queries (Pro gets more) ──────────────────────
   const baseQueries = [
@@ -49,7 +79,8 @@ async function researchGuest(guestName, youtubeApiKey, isPro = false) {
     `"${guestName}" QnA`,
     `"${guestName}" बातचीत`,
   ];
-  const queries = isPro ? [...baseQueries, ...proExtraQueries] : baseQueries;
+  const aliasQueries = aliases.slice(0, isPro ? 4 : 2).flatMap(alias => [`"${alias}" interview`, `"${alias}" podcast`]);
+  const queries = [...(isPro ? [...baseQueries, ...proExtraQueries] : baseQueries), ...aliasQueries];
   const maxResults = isPro ? 50 : 20;
   const maxVideoCap = isPro ? Infinity : 100;
   const maxQuotaErrors = isPro ? queries.length : 3;
@@ -59,8 +90,19 @@ async function researchGuest(guestName, youtubeApiKey, isPro = false) {
   const allVideos = [];
   const seenIds = new Set();
   let quotaErrors = 0;
+  let cachedQueries = 0;
+
+  const addItems = (items) => {
+    for (const item of items) {
+      if (!seenIds.has(item.videoId)) {
+        seenIds.add(item.videoId);
+        allVideos.push(item);
+      }
+    }
+  };
 
   for (const query of queries) {
+    options.signal?.throwIfAborted();
     // Stop early if we already have plenty of videos (Free mode only)
     if (allVideos.length >= maxVideoCap) {
       console.log(`  YouTube: already have ${allVideos.length} videos, skipping remaining queries`);
@@ -71,6 +113,16 @@ async function researchGuest(guestName, youtubeApiKey, isPro = false) {
       console.log(`  YouTube: ${quotaErrors} quota errors, stopping${isPro ? '' : ' early to conserve quota'}`);
       break;
     }
+    const cacheKey = cache.keys.search(query, maxResults, publishedAfter);
+    if (!options.forceRefresh) {
+      const cached = await cache.get(cacheKey);
+      if (cached) {
+        cachedQueries++;
+        addItems(cached);
+        continue;
+      }
+    }
+
     try {
       const response = await yt.search.list({
         part: 'snippet',
@@ -79,24 +131,14 @@ async function researchGuest(guestName, youtubeApiKey, isPro = false) {
         maxResults: maxResults,
         order: 'relevance',
         videoDuration: 'long',
-      });
+        ...(publishedAfter && { publishedAfter }),
+      }, { signal: options.signal });
 
-      if (response.data.items) {
-        for (const item of response.data.items) {
-          if (!seenIds.has(item.id.videoId)) {
-            seenIds.add(item.id.videoId);
-            allVideos.push({
-              videoId: item.id.videoId,
-              title: item.snippet.title,
-              description: item.snippet.description,
-              channelTitle: item.snippet.channelTitle,
-              publishedAt: item.snippet.publishedAt,
-              thumbnail: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.default?.url,
-            });
-          }
-        }
-      }
+      const items = (response.data.items || []).map(toVideo);
+      addItems(items);
+      await cache.set(cacheKey, items, cache.TTL.search, options.userId);
     } catch (err) {
+      if (options.signal?.aborted) throw err;
       const msg = err.message || '';
       if (msg.includes('quota') || msg.includes('Quota') || msg.includes('exceeded')) {
         quotaErrors++;
@@ -107,70 +149,328 @@ async function researchGuest(guestName, youtubeApiKey, isPro = false) {
     }
   }
 
+  // ── The guest's own channel ──
+  if (identity && identity.youtubeChannelId) {
+    try {
+      const { items, cached } = await searchChannel(yt, identity.youtubeChannelId, maxResults, options);
+      if (cached) cachedQueries++;
+      addItems(items);
+    } catch (err) {
+      if (options.signal?.aborted) throw err;
+      console.error(`YouTube channel search failed for ${identity.youtubeChannelId}:`, err.message);
+    }
+  }
+
   // If ALL queries failed due to quota, throw a clear error
   if (quotaErrors > 0 && allVideos.length === 0) {
     throw new Error('QUOTA_EXHAUSTED: YouTube API daily quota exhausted. Resets at midnight Pacific Time (12:30 PM IST). Try again later or add a different API key in Settings.');
   }
 
-  // Decode HTML entities from YouTube API responses
-  function decodeHtml(str) {
-    if (!str) return '';
-    return str.replace(/&#39;/g, "'").replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
-  }
-
-  // ── Loosened Relevance Filter ──────────────────────────
-  const nameParts = guestName.toLowerCase().split(/\s+/).filter(p => p.length > 2);
-  const fullName = guestName.toLowerCase();
-  const firstName = nameParts[0] || '';
-  const lastName = nameParts[nameParts.length - 1] || '';
-
-  const relevant = allVideos.filter(v => {
-    const title = decodeHtml(v.title).toLowerCase();
-    const desc = decodeHtml(v.description).toLowerCase();
-    const channel = decodeHtml(v.channelTitle).toLowerCase();
-    const all = title + ' ' + desc + ' ' + channel;
-
-    if (all.includes(fullName)) return true;
-    if (lastName && title.includes(lastName)) return true;
-    if (firstName && lastName && all.includes(firstName) && all.includes(lastName)) return true;
-    if (channel.includes(lastName) || channel.includes(firstName)) return true;
-    return false;
+  // ── Relevance Scoring (see relevance.js) ──────────────
+  // Videos that don't mention the guest are dropped; the rest are scored with
+  // their duration, views and channel size and come back best first, which is
+  // also the order their transcripts are read in.
+  const guest = relevance.describeGuest(guestName, {
+    aliases,
+    channelId: identity ? identity.youtubeChannelId : null,
+    context: options.context,
   });
+  const matching = allVideos.filter(v => relevance.scoreVideo(v, guest, {}));
+  const stats = await fetchVideoStats(matching, yt, options);
+
+  const relevant = matching.map(v => {
+    const s = stats[v.videoId] || {};
+    return {
+      ...v,
+      durationSeconds: s.durationSeconds || null,
+      viewCount: s.viewCount ?? null,
+      relevance: relevance.scoreVideo(v, guest, s),
+    };
+  });
+  relevant.sort(relevance.byRelevance);
 
-  console.log(`  YouTube: ${allVideos.length} raw → ${relevant.length} relevant (from ${queries.length} queries)`);
-
-  relevant.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+  console.log(`  YouTube: ${allVideos.length} raw → ${relevant.length} relevant (from ${queries.length} queries, ${cachedQueries} cached)`);
 
   return {
     guestName,
     totalInterviewsFound: relevant.length,
     interviews: relevant,
+    cachedQueries,
+  };
+}
+
+// ── Manual Review ──────────────────────────────────────
+// Before transcripts are fetched the user can drop videos, pin must-include
+// ones and add videos the search missed (see jobs.js).
+
+const MAX_EXTRA_VIDEOS = 50;
+
+// Video ID from a YouTube link (watch, youtu.be, shorts, embed, live) or a bare ID
+function parseVideoId(input) {
+  const value = String(input || '').trim();
+  if (/^[\w-]{11}$/.test(value)) return value;
+
+  let url;
+  try {
+    url = new URL(value.includes('://') ? value : `https://${value}`);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.replace(/^(www|m|music)\./, '');
+  let id = null;
+  if (host === 'youtu.be') id = url.pathname.split('/')[1];
+  else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    id = url.searchParams.get('v') || (url.pathname.match(/^\/(?:shorts|embed|live|v)\/([^/?#]+)/) || [])[1];
+  }
+  return id && /^[\w-]{11}$/.test(id) ? id : null;
+}
+
+/**
+ * Validate a review submitted by the user:
+ * { excludedVideoIds, pinnedVideoIds, extraUrls (list, or text with one link per line) }
+ */
+function normalizeReview({ excludedVideoIds, pinnedVideoIds, extraUrls } = {}) {
+  const idList = (list) => (Array.isArray(list) ? list.filter(id => typeof id === 'string') : []);
+  const urls = Array.isArray(extraUrls) ? extraUrls : String(extraUrls || '').split(/\s+/);
+
+  const extraVideoIds = [];
+  for (const url of urls.map(u => String(u).trim()).filter(Boolean)) {
+    const id = parseVideoId(url);
+    if (!id) return { success: false, error: `Not a YouTube video link: ${url}` };
+    if (!extraVideoIds.includes(id)) extraVideoIds.push(id);
+  }
+  if (extraVideoIds.length > MAX_EXTRA_VIDEOS) {
+    return { success: false, error: `Add at most ${MAX_EXTRA_VIDEOS} videos at a time` };
+  }
+
+  return {
+    success: true,
+    review: { excludedVideoIds: idList(excludedVideoIds), pinnedVideoIds: idList(pinnedVideoIds), extraVideoIds },
   };
 }
 
+/**
+ * Apply a review to the search results. Added videos are looked up with
+ * videos.list and count as pinned; pinned videos come first, are marked
+ * `pinned: true` and are never dropped by the Free-mode caps.
+ */
+async function applyReview(videos, review, youtubeApiKey, options = {}) {
+  const excluded = new Set(review.excludedVideoIds || []);
+  const pinned = new Set([...(review.pinnedVideoIds || []), ...(review.extraVideoIds || [])]);
+  const known = new Set(videos.map(v => v.videoId));
+
+  const missing = (review.extraVideoIds || []).filter(id => !known.has(id));
+  const extra = missing.length > 0 ? await fetchVideoDetails(missing, youtubeApiKey, options) : [];
+
+  const kept = [...videos, ...extra].filter(v => pinned.has(v.videoId) || !excluded.has(v.videoId));
+  return [
+    ...kept.filter(v => pinned.has(v.videoId)).map(v => ({ ...v, pinned: true })),
+    ...kept.filter(v => !pinned.has(v.videoId)),
+  ];
+}
+
+// Duration, views and channel subscribers per video ID for scoring: one
+// videos.list and one channels.list call per 50 IDs not in the cache (kept for
+// TTL.videoStats, so repeat runs spend no quota). Missing stats just weigh less.
+async function fetchVideoStats(videos, yt, options = {}) {
+  const stats = {};
+  const subscribers = {};
+  const videoIds = [...new Set(videos.map(v => v.videoId))];
+  const channelIds = [...new Set(videos.map(v => v.channelId).filter(Boolean))];
+
+  const cachedVideos = await readCached(videoIds, cache.keys.videoStats, stats, options);
+  const cachedChannels = await readCached(channelIds, cache.keys.channelStats, subscribers, options);
+
+  try {
+    const videoMisses = videoIds.filter(id => !(id in stats));
+    for (let i = 0; i < videoMisses.length; i += 50) {
+      const ids = videoMisses.slice(i, i + 50);
+      const response = await yt.videos.list({ part: 'contentDetails,statistics', id: ids.join(','), maxResults: 50 }, { signal: options.signal });
+      for (const item of response.data.items || []) {
+        stats[item.id] = {
+          durationSeconds: relevance.parseDuration(item.contentDetails?.duration),
+          viewCount: item.statistics?.viewCount !== undefined ? Number(item.statistics.viewCount) : undefined,
+        };
+        await cache.set(cache.keys.videoStats(item.id), stats[item.id], cache.TTL.videoStats, options.userId);
+      }
+    }
+    const channelMisses = channelIds.filter(id => !(id in subscribers));
+    for (let i = 0; i < channelMisses.length; i += 50) {
+      const ids = channelMisses.slice(i, i + 50);
+      const response = await yt.channels.list({ part: 'statistics', id: ids.join(','), maxResults: 50 }, { signal: options.signal });
+      for (const item of response.data.items || []) {
+        // Hidden counts are cached as null, so they aren't asked for again
+        subscribers[item.id] = item.statistics?.hiddenSubscriberCount ? null : Number(item.statistics?.subscriberCount) || 0;
+        await cache.set(cache.keys.channelStats(item.id), subscribers[item.id], cache.TTL.videoStats, options.userId);
+      }
+    }
+  } catch (err) {
+    if (options.signal?.aborted) throw err;
+    console.error('YouTube video stats failed:', err.message);
+  }
+
+  if (cachedVideos + cachedChannels > 0) console.log(`  YouTube stats: ${cachedVideos} videos and ${cachedChannels} channels from cache`);
+  for (const v of videos) {
+    stats[v.videoId] = { ...stats[v.videoId], subscriberCount: subscribers[v.channelId] ?? undefined };
+  }
+  return stats;
+}
+
+// Fill `into` with the cached values of `ids`; returns how many were found
+async function readCached(ids, keyOf, into, options) {
+  if (options.forceRefresh) return 0;
+  let found = 0;
+  for (const id of ids) {
+    const cached = await cache.get(keyOf(id));
+    if (cached === undefined) continue;
+    into[id] = cached;
+    found++;
+  }
+  return found;
+}
+
+// Search-result-shaped details for specific videos (one videos.list call per 50)
+async function fetchVideoDetails(videoIds, youtubeApiKey, options = {}) {
+  const yt = createYoutubeClient(youtubeApiKey);
+  const videos = [];
+
+  for (let i = 0; i < videoIds.length; i += 50) {
+    const ids = videoIds.slice(i, i + 50);
+    try {
+      const response = await yt.videos.list({ part: 'snippet', id: ids.join(','), maxResults: 50 }, { signal: options.signal });
+      videos.push(...(response.data.items || []).map(toVideo));
+    } catch (err) {
+      if (options.signal?.aborted) throw err;
+      // Quota or network trouble: keep the videos anyway, transcripts don't need the details
+      console.error('  YouTube videos.list failed:', err.message);
+      for (const id of ids) {
+        videos.push({
+          videoId: id,
+          title: `YouTube video ${id}`,
+          description: '',
+          channelTitle: '',
+          publishedAt: null,
+          thumbnail: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+        });
+      }
+    }
+  }
+  return videos;
+}
+
+// A search.list / videos.list item in the shape the pipeline uses
+function toVideo(item) {
+  return {
+    videoId: typeof item.id === 'string' ? item.id : item.id.videoId,
+    title: item.snippet.title,
+    description: item.snippet.description,
+    channelId: item.snippet.channelId,
+    channelTitle: item.snippet.channelTitle,
+    publishedAt: item.snippet.publishedAt,
+    thumbnail: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.default?.url,
+  };
+}
+
+// Latest long videos on one channel, newer than options.publishedAfter if set
+// (cached like keyword searches)
+async function searchChannel(yt, channelId, maxResults, options = {}) {
+  const cacheKey = cache.keys.search(`channel:${channelId}`, maxResults, options.publishedAfter);
+  if (!options.forceRefresh) {
+    const cached = await cache.get(cacheKey);
+    if (cached) return { items: cached, cached: true };
+  }
+
+  const response = await yt.search.list({
+    part: 'snippet',
+    channelId,
+    type: 'video',
+    maxResults,
+    order: 'date',
+    videoDuration: 'long',
+    ...(options.publishedAfter && { publishedAfter: options.publishedAfter }),
+  }, { signal: options.signal });
+  const items = (response.data.items || []).map(toVideo);
+  await cache.set(cacheKey, items, cache.TTL.search, options.userId);
+  return { items, cached: false };
+}
+
+// Channel ID -> title, for showing a guest's official channel
+async function fetchChannelTitles(channelIds, youtubeApiKey, options = {}) {
+  const yt = createYoutubeClient(youtubeApiKey);
+  const response = await yt.channels.list({ part: 'snippet', id: channelIds.join(','), maxResults: 50 }, { signal: options.signal });
+  const titles = {};
+  for (const item of response.data.items || []) titles[item.id] = item.snippet.title;
+  return titles;
+}
+
+function decodeCaption(text) {
+  return (text || '')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
 /**
  * Fetch transcripts for ALL videos (no cap).
+ * Each result keeps the timed caption `segments` next to the full text.
+ * Transcripts (and known-missing transcripts) are cached per video ID.
  */
-async function fetchTranscripts(videos, onProgress = null) {
+async function fetchTranscripts(videos, onProgress = null, options = {}) {
   const results = [];
   const failed = [];
   let succeeded = 0;
+  let cachedCount = 0;
+  const fetchHooks = abortableTranscriptFetch(options.signal);
 
   for (let i = 0; i < videos.length; i++) {
+    options.signal?.throwIfAborted();
     const video = videos[i];
+    const cacheKey = cache.keys.transcript(video.videoId);
+
+    const cached = options.forceRefresh ? undefined : await cache.get(cacheKey);
+    if (cached !== undefined) {
+      cachedCount++;
+      if (cached.transcript) {
+        results.push({
+          videoId: video.videoId,
+          title: video.title,
+          channelTitle: video.channelTitle,
+          transcript: cached.transcript,
+          lang: cached.lang,
+          segments: cached.segments || null,
+        });
+        succeeded++;
+      } else {
+        failed.push(video);
+      }
+      if (onProgress) {
+        onProgress({
+          step: 'transcripts',
+          status: 'active',
+          message: `Read ${succeeded} transcripts (${i + 1}/${videos.length} videos scanned, ${cachedCount} cached)...`,
+        });
+      }
+      continue;
+    }
+
     let segments = null;
     let lang = 'unknown';
 
     try {
-      segments = await YoutubeTranscript.fetchTranscript(video.videoId);
+      segments = await YoutubeTranscript.fetchTranscript(video.videoId, fetchHooks);
       if (segments && segments.length > 0) {
         lang = segments[0].lang || 'auto';
       }
     } catch (err) {
       const langs = ['en', 'hi', 'es', 'pt', 'fr', 'de', 'ja', 'ko', 'ar', 'ru', 'zh'];
       for (const tryLang of langs) {
+        options.signal?.throwIfAborted();
         try {
-          segments = await YoutubeTranscript.fetchTranscript(video.videoId, { lang: tryLang });
+          segments = await YoutubeTranscript.fetchTranscript(video.videoId, { ...fetchHooks, lang: tryLang });
           if (segments && segments.length > 0) {
             lang = tryLang;
             break;
@@ -180,31 +480,36 @@ async function fetchTranscripts(videos, onProgress = null) {
     }
 
     if (segments && segments.length > 0) {
-      const fullText = segments
-        .map(seg => seg.text)
-        .join(' ')
-        .replace(/&#39;/g, "'")
-        .replace(/&amp;/g, '&')
-        .replace(/&quot;/g, '"')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/\s+/g, ' ')
-        .trim();
+      // Timed caption lines (seconds), kept for speaker attribution (speakers.js)
+      const timed = segments
+        .map(seg => ({
+          text: decodeCaption(seg.text),
+          start: Math.round(seg.offset * 100) / 100,
+          duration: Math.round(seg.duration * 100) / 100,
+        }))
+        .filter(seg => seg.text);
+      const fullText = timed.map(seg => seg.text).join(' ');
 
       if (fullText.length > 100) {
+        // Kept whole: analysis.js reads long transcripts in chunks
+        const transcript = fullText;
         results.push({
           videoId: video.videoId,
           title: video.title,
           channelTitle: video.channelTitle,
-          transcript: fullText.substring(0, 15000),
+          transcript,
           lang,
+          segments: timed,
         });
         succeeded++;
+        await cache.set(cacheKey, { transcript, lang, segments: timed }, cache.TTL.transcript, options.userId);
       } else {
         failed.push(video);
+        await cache.set(cacheKey, { transcript: null }, cache.TTL.missingTranscript, options.userId);
       }
     } else {
       failed.push(video);
+      await cache.set(cacheKey, { transcript: null }, cache.TTL.missingTranscript, options.userId);
     }
 
     if (onProgress) {
@@ -216,18 +521,18 @@ async function fetchTranscripts(videos, onProgress = null) {
     }
 
     if (i < videos.length - 1) {
-      await new Promise(r => setTimeout(r, 100));
+      await wait(100, undefined, { signal: options.signal });
     }
   }
 
-  console.log(`  Transcripts: ${succeeded} fetched, ${failed.length} need Gemini analysis`);
-  return { transcripts: results, failedVideos: failed };
+  console.log(`  Transcripts: ${succeeded} fetched (${cachedCount} from cache), ${failed.length} need Gemini analysis`);
+  return { transcripts: results, failedVideos: failed, cachedCount };
 }
 
 /**
  * Use Gemini to "watch" and analyze a YouTube video by URL.
  */
-async function analyzeVideoWithGemini(video, geminiApiKey) {
+async function analyzeVideoWithGemini(video, geminiApiKey, signal) {
   const genAI = createGeminiClient(geminiApiKey);
   const model = genAI.getGenerativeModel({
     model: 'gemini-2.0-flash',
@@ -256,7 +561,7 @@ Be specific and detailed — reference actual content from the video.`;
       setTimeout(() => reject(new Error('Gemini API call timed out after 30s')), 30000)
     );
     const result = await Promise.race([
-      model.generateContent(prompt),
+      model.generateContent(prompt, { signal }),
       timeoutPromise,
     ]);
     const analysis = result.response.text();
@@ -273,6 +578,7 @@ Be specific and detailed — reference actual content from the video.`;
     }
     return null;
   } catch (err) {
+    if (signal?.aborted) throw err;
     const msg = err.message || '';
     if (msg.includes('429') || msg.includes('quota')) {
       console.log(`    ⚠️ Gemini quota hit for video analysis`);
@@ -285,12 +591,26 @@ Be specific and detailed — reference actual content from the video.`;
 
 /**
  * Analyze multiple videos with Gemini (for those without transcripts).
+ * Previously analyzed videos are served from the cache and don't count toward the Free cap.
  */
-async function analyzeVideosWithGemini(videos, onProgress = null, geminiApiKey = '', isPro = false) {
-  // Free: cap at 15 videos. Pro: analyze all.
-  const MAX_GEMINI_VIDEOS = isPro ? videos.length : 15;
-  const videosToAnalyze = videos.slice(0, MAX_GEMINI_VIDEOS);
-  const skipped = videos.length - videosToAnalyze.length;
+async function analyzeVideosWithGemini(videos, onProgress = null, geminiApiKey = '', isPro = false, options = {}) {
+  const cachedResults = [];
+  const uncached = [];
+  for (const video of videos) {
+    const cached = options.forceRefresh ? undefined : await cache.get(cache.keys.videoAnalysis(video.videoId));
+    if (cached) cachedResults.push(cached);
+    else uncached.push(video);
+  }
+  if (cachedResults.length > 0) {
+    console.log(`  Gemini: ${cachedResults.length} video analyses served from cache`);
+  }
+
+  // Free: cap at 15 videos. Pro: analyze all. Pinned videos are always analyzed, first.
+  const pinned = uncached.filter(v => v.pinned);
+  const unpinned = uncached.filter(v => !v.pinned);
+  const MAX_GEMINI_VIDEOS = isPro ? unpinned.length : 15;
+  const videosToAnalyze = [...pinned, ...unpinned.slice(0, MAX_GEMINI_VIDEOS)];
+  const skipped = uncached.length - videosToAnalyze.length;
   const maxConsecutiveFailures = isPro ? 5 : 3;
 
   if (skipped > 0) {
@@ -298,7 +618,7 @@ async function analyzeVideosWithGemini(videos, onProgress = null, geminiApiKey =
   }
   console.log(`  Gemini: ${isPro ? 'PRO' : 'FREE'} mode — analyzing ${videosToAnalyze.length} videos`);
 
-  const results = [];
+  const results = [...cachedResults];
   let consecutiveFailures = 0;
 
   if (isPro) {
@@ -325,13 +645,14 @@ async function analyzeVideosWithGemini(videos, onProgress = null, geminiApiKey =
       }
 
       const batchResults = await Promise.all(
-        batch.map(video => analyzeVideoWithGemini(video, geminiApiKey))
+        batch.map(video => analyzeVideoWithGemini(video, geminiApiKey, options.signal))
       );
 
       let batchFailed = 0;
       for (const r of batchResults) {
         if (r) {
           results.push(r);
+          await cache.set(cache.keys.videoAnalysis(r.videoId), r, cache.TTL.videoAnalysis, options.userId);
           consecutiveFailures = 0;
         } else {
           batchFailed++;
@@ -341,7 +662,7 @@ async function analyzeVideosWithGemini(videos, onProgress = null, geminiApiKey =
       else consecutiveFailures = 0;
 
       if (i + batchSize < videosToAnalyze.length) {
-        await new Promise(r => setTimeout(r, 1000));
+        await wait(1000, undefined, { signal: options.signal });
       }
     }
   } else {
@@ -365,22 +686,23 @@ async function analyzeVideosWithGemini(videos, onProgress = null, geminiApiKey =
         });
       }
 
-      const result = await analyzeVideoWithGemini(videosToAnalyze[i], geminiApiKey);
+      const result = await analyzeVideoWithGemini(videosToAnalyze[i], geminiApiKey, options.signal);
       if (result) {
         results.push(result);
+        await cache.set(cache.keys.videoAnalysis(result.videoId), result, cache.TTL.videoAnalysis, options.userId);
         consecutiveFailures = 0;
       } else {
         consecutiveFailures++;
       }
 
       if (i < videosToAnalyze.length - 1) {
-        await new Promise(r => setTimeout(r, 1500));
+        await wait(1500, undefined, { signal: options.signal });
       }
     }
   }
 
-  console.log(`  Gemini video analysis: ${results.length}/${videosToAnalyze.length} videos analyzed`);
+  console.log(`  Gemini video analysis: ${results.length - cachedResults.length}/${videosToAnalyze.length} videos analyzed (+${cachedResults.length} cached)`);
   return results;
 }
 
-module.exports = { researchGuest, fetchTranscripts, analyzeVideosWithGemini };
+module.exports = { researchGuest, normalizeReview, applyReview, fetchChannelTitles, fetchTranscripts, analyzeVideosWithGemini };
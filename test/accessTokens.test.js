@@ -0,0 +1,68 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'test';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mail = require('../server/mail');
+const auth = require('../server/auth');
+const accessTokens = require('../server/accessTokens');
+const storage = require('../server/storage');
+
+mail.registerTransport('test', async () => { });
+
+// Run scopedAuth(scope) (or plain authMiddleware) on a request with this bearer token; resolves to the HTTP status
+function authenticate(token, scope) {
+    return new Promise(resolve => {
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        const res = {
+            status(code) {
+                return { json: () => resolve({ status: code, req }) };
+            },
+        };
+        const middleware = scope ? auth.scopedAuth(scope) : auth.authMiddleware;
+        middleware(req, res, () => resolve({ status: 200, req }));
+    });
+}
+
+test('createAccessToken validates the name and scopes', async () => {
+    const { user } = await auth.register('pat-validate@example.com', 'secret1');
+    assert.equal((await accessTokens.createAccessToken(user.id, { name: ' ', scopes: ['read'] })).success, false);
+    assert.equal((await accessTokens.createAccessToken(user.id, { name: 'ci', scopes: [] })).success, false);
+
+    const unknown = await accessTokens.createAccessToken(user.id, { name: 'ci', scopes: ['read', 'admin'] });
+    assert.deepEqual(unknown, { success: false, error: 'Unknown scope: admin' });
+
+    const created = await accessTokens.createAccessToken(user.id, { name: 'ci', scopes: ['read', 'read'] });
+    assert.equal(created.success, true);
+    assert.ok(accessTokens.isAccessToken(created.token));
+    assert.deepEqual(created.accessToken.scopes, ['read']);
+    assert.equal(created.accessToken.tokenHash, undefined);
+});
+
+test('a token is accepted only on routes opted in for one of its scopes', async () => {
+    const { user } = await auth.register('pat-scopes@example.com', 'secret1');
+    const { token } = await accessTokens.createAccessToken(user.id, { name: 'script', scopes: ['read', 'research'] });
+
+    const read = await authenticate(token, 'read');
+    assert.equal(read.status, 200);
+    assert.equal(read.req.userId, user.id);
+    assert.equal(read.req.sessionId, null);
+    assert.equal((await authenticate(token, 'research')).status, 200);
+    assert.equal((await authenticate(token, 'write')).status, 403);
+    assert.equal((await authenticate(token)).status, 403);
+    assert.equal((await authenticate('iiq_pat_unknown', 'read')).status, 401);
+});
+
+test('expired and revoked tokens stop working', async () => {
+    const { user } = await auth.register('pat-revoke@example.com', 'secret1');
+    const expiring = await accessTokens.createAccessToken(user.id, { name: 'old', scopes: ['read'], expiresInDays: 1 });
+    await storage.repository('accessTokens').update(expiring.accessToken.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.equal((await authenticate(expiring.token, 'read')).status, 401);
+
+    const { token, accessToken } = await accessTokens.createAccessToken(user.id, { name: 'ci', scopes: ['write'] });
+    assert.equal((await authenticate(token, 'write')).status, 200);
+    assert.equal(await accessTokens.revokeAccessToken('someone-else', accessToken.id), false);
+    assert.equal(await accessTokens.revokeAccessToken(user.id, accessToken.id), true);
+    assert.equal((await authenticate(token, 'write')).status, 401);
+});
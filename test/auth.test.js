@@ -0,0 +1,88 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'test';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mail = require('../server/mail');
+const auth = require('../server/auth');
+
+mail.registerTransport('test', async () => { });
+
+// Run authMiddleware on a request with this bearer token; resolves to the HTTP status (200 if it let the request through)
+function authenticate(token) {
+    return new Promise(resolve => {
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        const res = {
+            status(code) {
+                return { json: () => resolve({ status: code, req }) };
+            },
+        };
+        auth.authMiddleware(req, res, () => resolve({ status: 200, req }));
+    });
+}
+
+test('register and login issue a token pair for a device session', async () => {
+    const registered = await auth.register('Ada@Example.com', 'secret1', 'Ada');
+    assert.equal(registered.success, true);
+    assert.equal(registered.user.email, 'ada@example.com');
+    assert.equal(registered.user.passwordHash, undefined);
+    assert.equal((await auth.register('ada@example.com', 'secret2')).success, false);
+
+    const wrong = await auth.login('ada@example.com', 'nope');
+    assert.deepEqual([wrong.success, wrong.status], [false, 401]);
+    const badInput = await auth.login({ $ne: '' }, 'secret1');
+    assert.deepEqual([badInput.success, badInput.status], [false, 400]);
+
+    const loggedIn = await auth.login('ada@example.com', 'secret1');
+    assert.equal(loggedIn.success, true);
+    const { status, req } = await authenticate(loggedIn.token);
+    assert.equal(status, 200);
+    assert.equal(req.userId, registered.user.id);
+    assert.ok(req.sessionId);
+});
+
+test('refresh rotates the refresh token and keeps the device session', async () => {
+    const { refreshToken, token } = await auth.register('rotate@example.com', 'secret1');
+    const first = (await authenticate(token)).req.sessionId;
+
+    const refreshed = await auth.refresh(refreshToken);
+    assert.equal(refreshed.success, true);
+    assert.notEqual(refreshed.refreshToken, refreshToken);
+    assert.equal((await authenticate(refreshed.token)).req.sessionId, first);
+
+    const again = await auth.refresh(refreshed.refreshToken);
+    assert.equal(again.success, true);
+    assert.equal((await auth.refresh('not-a-token')).success, false);
+});
+
+test('replaying a rotated refresh token signs the device out', async () => {
+    const { refreshToken } = await auth.register('reuse@example.com', 'secret1');
+    const rotated = await auth.refresh(refreshToken);
+
+    const replay = await auth.refresh(refreshToken);
+    assert.deepEqual(replay, { success: false, error: 'Invalid refresh token' });
+
+    // The legitimate holder of the newer token is out too, access token included
+    const next = await auth.refresh(rotated.refreshToken);
+    assert.deepEqual(next, { success: false, error: 'Session has been signed out' });
+    assert.equal((await authenticate(rotated.token)).status, 401);
+});
+
+test('logout and revoking a device end that session only', async () => {
+    const first = await auth.register('devices@example.com', 'secret1');
+    const second = await auth.login('devices@example.com', 'secret1');
+    const firstSession = (await authenticate(first.token)).req.sessionId;
+    const secondSession = (await authenticate(second.token)).req.sessionId;
+
+    const devices = await auth.listDevices(first.user.id, firstSession);
+    assert.equal(devices.length, 2);
+
+    assert.equal(await auth.revokeDevice(first.user.id, secondSession), true);
+    assert.equal((await authenticate(second.token)).status, 401);
+    assert.equal((await authenticate(first.token)).status, 200);
+
+    assert.equal(await auth.logout({ refreshToken: first.refreshToken }), true);
+    assert.equal((await authenticate(first.token)).status, 401);
+    assert.equal((await auth.refresh(first.refreshToken)).success, false);
+});
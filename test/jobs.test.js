@@ -0,0 +1,55 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../server/storage');
+const jobs = require('../server/jobs');
+
+const researchJobs = storage.repository('researchJobs');
+const jobEvents = storage.repository('jobEvents');
+
+// A job from an earlier process: its events are only in storage
+async function storedJob(status, types) {
+    const job = await researchJobs.create({ workspaceId: 'w1', userId: 'u1', guestName: 'Ada', status });
+    for (const [i, type] of types.entries()) {
+        await jobEvents.create({ jobId: job.id, seq: i + 1, type, data: { n: i + 1 }, createdAt: new Date().toISOString() });
+    }
+    return job;
+}
+
+function follow(jobId, afterSeq) {
+    const received = [];
+    const { done } = jobs.followJob(jobId, afterSeq, event => { received.push(event); });
+    return done.then(() => received);
+}
+
+test('followJob replays the stored events in order', async () => {
+    const job = await storedJob('completed', ['progress', 'progress', 'review', 'result']);
+    const received = await follow(job.id, 0);
+    assert.deepEqual(received.map(e => e.seq), [1, 2, 3, 4]);
+    assert.deepEqual(received.map(e => e.type), ['progress', 'progress', 'review', 'result']);
+});
+
+test('followJob resumes after the last event the client saw', async () => {
+    const job = await storedJob('completed', ['progress', 'progress', 'progress', 'result']);
+    const received = await follow(job.id, 2);
+    assert.deepEqual(received.map(e => e.seq), [3, 4]);
+});
+
+test('followJob finishes after a stored final event and on jobs it has nothing for', async () => {
+    const job = await storedJob('failed', ['progress', 'error']);
+    assert.deepEqual((await follow(job.id, 0)).map(e => e.type), ['progress', 'error']);
+    assert.deepEqual(await follow(job.id, 2), []);
+    assert.deepEqual(await follow('missing', 0), []);
+});
+
+test('jobs cut off by a restart get a final error event', async () => {
+    const job = await storedJob('running', ['progress', 'progress']);
+    await jobs.recoverInterruptedJobs();
+
+    const received = await follow(job.id, 2);
+    assert.equal(received.length, 1);
+    assert.deepEqual([received[0].seq, received[0].type], [3, 'error']);
+    assert.equal((await jobs.getJob('w1', job.id)).status, 'failed');
+    assert.equal(await jobs.getJob('w2', job.id), null);
+});
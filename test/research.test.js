@@ -0,0 +1,56 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeResearch } = require('../server/research');
+
+const previous = {
+    guestName: 'Ada Lovelace',
+    bio: 'Mathematician',
+    interviews: [{ videoId: 'a', title: 'Old A' }, { videoId: 'b', title: 'B' }],
+    podcastEpisodes: [{ link: 'https://pod/1', title: 'Ep 1' }],
+    totalInterviewsFound: 2,
+    transcriptsAnalyzed: 3,
+    topicsSummary: '\n=== YouTube ===\nold videos\n\n=== Wikipedia ===\nold wiki\n',
+    videoAnalysis: '## Old markdown analysis',
+    sources: [{ name: 'youtube', status: 'done' }, { name: 'wikipedia', status: 'done' }],
+};
+
+test('new items come first and saved ones they repeat are dropped', () => {
+    const merged = mergeResearch(previous, {
+        interviews: [{ videoId: 'c', title: 'C' }, { videoId: 'a', title: 'New A' }],
+        transcriptsAnalyzed: 2,
+        topicsSummary: '',
+        sources: [{ name: 'youtube', status: 'done' }],
+    });
+    assert.deepEqual(merged.interviews.map(i => [i.videoId, i.title]), [['c', 'C'], ['a', 'New A'], ['b', 'B']]);
+    assert.equal(merged.totalInterviewsFound, 3);
+    assert.equal(merged.transcriptsAnalyzed, 5);
+    assert.deepEqual(merged.sources, [{ name: 'youtube', status: 'done' }]);
+});
+
+test('what the refresh did not find keeps its saved value', () => {
+    const merged = mergeResearch(previous, {
+        bio: '',
+        podcastEpisodes: [],
+        interviews: [],
+        transcriptsAnalyzed: 0,
+        topicsSummary: '',
+        sources: [],
+    });
+    assert.equal(merged.bio, 'Mathematician');
+    assert.deepEqual(merged.podcastEpisodes, previous.podcastEpisodes);
+    assert.equal(merged.guestName, 'Ada Lovelace');
+});
+
+test('refreshed source sections replace the saved ones in the summary', () => {
+    const merged = mergeResearch(previous, {
+        transcriptsAnalyzed: 0,
+        topicsSummary: '\n=== YouTube ===\nnew videos\n',
+        interviewReport: { themes: [] },
+        sources: [],
+    });
+    assert.equal(merged.topicsSummary, '\n=== YouTube ===\nnew videos\n\n=== Wikipedia ===\nold wiki\n');
+    assert.deepEqual(merged.interviewReport, { themes: [] });
+    assert.equal('videoAnalysis' in merged, false);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRepository } = require('../server/storage/memory');
+
+test('create assigns an id and createdAt; findById returns a copy', async () => {
+    const repo = createMemoryRepository({ keyField: 'id' });
+    const doc = await repo.create({ name: 'Ada', tags: ['x'] });
+    assert.ok(doc.id);
+    assert.ok(doc.createdAt);
+
+    const found = await repo.findById(doc.id);
+    assert.deepEqual(found, doc);
+    found.tags.push('y');
+    assert.deepEqual((await repo.findById(doc.id)).tags, ['x']);
+    assert.equal(await repo.findById('missing'), null);
+});
+
+test('find supports filter operators, sort, limit and fields', async () => {
+    const repo = createMemoryRepository({ keyField: 'id' });
+    for (const [name, age] of [['a', 30], ['b', 20], ['c', 40], ['d', null]]) {
+        await repo.create({ name, age });
+    }
+
+    const names = docs => docs.map(d => d.name);
+    assert.deepEqual(names(await repo.find({ age: { $gt: 25 } }, { sort: { age: 1 } })), ['a', 'c']);
+    assert.deepEqual(names(await repo.find({ name: { $in: ['a', 'b'] } }, { sort: { name: -1 } })), ['b', 'a']);
+    assert.deepEqual(names(await repo.find({ age: { $exists: false } })), ['d']);
+    assert.deepEqual(names(await repo.find({ name: { $ne: 'a' } }, { sort: { name: 1 }, limit: 2 })), ['b', 'c']);
+
+    const [picked] = await repo.find({ name: 'c' }, { fields: ['age'] });
+    assert.deepEqual(Object.keys(picked).sort(), ['age', 'id']);
+    assert.equal(await repo.count({ age: { $gte: 30 } }), 2);
+    await assert.rejects(repo.find({ age: { $regex: 'x' } }), /Unsupported filter operator/);
+});
+
+test('update, upsert, remove and removeWhere', async () => {
+    const repo = createMemoryRepository({ keyField: 'email' });
+    const user = await repo.create({ email: 'a@x.io', name: 'A' });
+
+    const updated = await repo.update(user.id, { name: 'B', plan: undefined });
+    assert.equal(updated.name, 'B');
+    assert.equal('plan' in updated, false);
+    assert.equal(await repo.update('missing', { name: 'C' }), null);
+
+    const upserted = await repo.upsert({ email: 'a@x.io' }, { name: 'C' });
+    assert.equal(upserted.id, user.id);
+    const inserted = await repo.upsert({ email: 'b@x.io' }, { email: 'b@x.io', name: 'D' });
+    assert.notEqual(inserted.id, user.id);
+    assert.equal(await repo.count(), 2);
+
+    assert.equal(await repo.remove(user.id), true);
+    assert.equal(await repo.remove(user.id), false);
+    assert.equal(await repo.removeWhere({ name: 'D' }), 1);
+    assert.equal(await repo.count(), 0);
+});
@@ -0,0 +1,118 @@
+process.env.STORAGE_DRIVER = 'memory';
+process.env.MAIL_TRANSPORT = 'test';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mail = require('../server/mail');
+const storage = require('../server/storage');
+const workspaces = require('../server/workspaces');
+
+const users = storage.repository('users');
+const sent = [];
+mail.registerTransport('test', async message => { sent.push(message); });
+
+function createUser(email) {
+    return users.create({ email, name: email.split('@')[0], createdAt: new Date().toISOString() });
+}
+
+// Run requireRole(minRole) for this user and workspace; resolves to the HTTP status (200 if it let the request through)
+function checkRole(minRole, userId, workspaceId) {
+    return new Promise(resolve => {
+        const req = { userId, params: { workspaceId }, get: () => undefined };
+        const res = {
+            status(code) {
+                return { json: () => resolve({ status: code, req }) };
+            },
+        };
+        workspaces.requireRole(minRole)(req, res, () => resolve({ status: 200, req }));
+    });
+}
+
+// The invitation token from the link in the last email sent
+function lastInviteToken() {
+    return new URL(sent.at(-1).text.match(/https?:\/\/\S+/)[0]).searchParams.get('invite');
+}
+
+// Invite the member into the workspace as `role` and accept with the emailed link
+async function addMember(workspaceId, owner, member, role) {
+    const invited = await workspaces.createInvitation(workspaceId, owner, { email: member.email, role });
+    assert.equal(invited.success, true);
+    return workspaces.acceptInvitation(lastInviteToken(), member.id);
+}
+
+test('every account gets one personal workspace it owns', async () => {
+    const user = await createUser('solo@example.com');
+    const [first, second] = await Promise.all([
+        workspaces.ensurePersonalWorkspace(user.id),
+        workspaces.ensurePersonalWorkspace(user.id),
+    ]);
+    assert.equal(first.id, second.id);
+
+    const list = await workspaces.listWorkspaces(user.id);
+    assert.equal(list.length, 1);
+    assert.deepEqual([list[0].personal, list[0].role], [true, 'owner']);
+
+    const { status, req } = await checkRole('owner', user.id, undefined);
+    assert.equal(status, 200);
+    assert.equal(req.workspaceId, first.id);
+});
+
+test('requireRole lets members through only at or above the required role', async () => {
+    const owner = await createUser('owner@example.com');
+    const viewer = await createUser('viewer@example.com');
+    const outsider = await createUser('outsider@example.com');
+    const { workspace } = await workspaces.createWorkspace(owner.id, { name: 'Show' });
+
+    const accepted = await addMember(workspace.id, owner, viewer, 'viewer');
+    assert.equal(accepted.success, true);
+    assert.equal(accepted.workspace.role, 'viewer');
+
+    assert.equal((await checkRole('viewer', viewer.id, workspace.id)).status, 200);
+    assert.equal((await checkRole('editor', viewer.id, workspace.id)).status, 403);
+    assert.equal((await checkRole('viewer', outsider.id, workspace.id)).status, 404);
+
+    assert.equal((await workspaces.updateMemberRole(workspace.id, viewer.id, 'editor')).success, true);
+    assert.equal((await checkRole('editor', viewer.id, workspace.id)).status, 200);
+    assert.equal((await checkRole('owner', viewer.id, workspace.id)).status, 403);
+    assert.equal((await workspaces.updateMemberRole(workspace.id, viewer.id, 'admin')).success, false);
+});
+
+test('editors edit the channel profile but only owners rename', async () => {
+    const owner = await createUser('renamer@example.com');
+    const { workspace } = await workspaces.createWorkspace(owner.id, { name: 'Before' });
+
+    const asEditor = await workspaces.updateWorkspace(workspace.id, 'editor', { name: 'After', channelDescription: ' Tech ' });
+    assert.deepEqual([asEditor.workspace.name, asEditor.workspace.channelDescription], ['Before', 'Tech']);
+
+    const asOwner = await workspaces.updateWorkspace(workspace.id, 'owner', { name: 'After' });
+    assert.equal(asOwner.workspace.name, 'After');
+});
+
+test('a workspace always keeps an owner', async () => {
+    const owner = await createUser('last-owner@example.com');
+    const editor = await createUser('editor@example.com');
+    const { workspace } = await workspaces.createWorkspace(owner.id, { name: 'Shared' });
+    await addMember(workspace.id, owner, editor, 'editor');
+
+    assert.equal((await workspaces.updateMemberRole(workspace.id, owner.id, 'editor')).success, false);
+    assert.equal((await workspaces.removeMember(workspace.id, owner.id)).success, false);
+
+    await workspaces.updateMemberRole(workspace.id, editor.id, 'owner');
+    assert.equal((await workspaces.removeMember(workspace.id, owner.id)).success, true);
+    assert.equal((await checkRole('viewer', owner.id, workspace.id)).status, 404);
+});
+
+test('an invitation can only be accepted by the account it was sent to', async () => {
+    const owner = await createUser('inviter@example.com');
+    const invitee = await createUser('invitee@example.com');
+    const other = await createUser('other@example.com');
+    const { workspace } = await workspaces.createWorkspace(owner.id, { name: 'Private' });
+
+    await workspaces.createInvitation(workspace.id, owner, { email: invitee.email, role: 'editor' });
+    const token = lastInviteToken();
+
+    const wrongAccount = await workspaces.acceptInvitation(token, other.id);
+    assert.deepEqual([wrongAccount.success, wrongAccount.status], [false, 403]);
+    assert.equal((await workspaces.acceptInvitation(token, invitee.id)).success, true);
+    assert.equal((await workspaces.acceptInvitation(token, invitee.id)).success, false);
+});